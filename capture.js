@@ -0,0 +1,567 @@
+/**
+ * Canvas Particles & Creatures — clip capture
+ *
+ * GIF and WebM encoders plus the recorder that drives them from a canvas.
+ * Browser only: it needs a canvas, and MediaRecorder or WebCodecs for WebM.
+ */
+
+// =================================================================
+// RECORDING
+// Captures the canvas to a WebM video or an animated GIF. In real time the
+// browser's MediaRecorder does the WebM work; offline, the main loop is
+// stepped at a fixed frame rate and each frame is encoded before the next
+// one is simulated, so slow machines produce smooth clips instead of
+// dropping frames.
+// =================================================================
+
+// Growable byte buffer used by the encoders.
+class ByteWriter {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+  }
+
+  byte(b) {
+    this.reserve(1);
+    this.bytes[this.length++] = b;
+  }
+
+  u16(n) {
+    this.byte(n & 0xff);
+    this.byte((n >> 8) & 0xff);
+  }
+
+  write(arr) {
+    this.reserve(arr.length);
+    this.bytes.set(arr, this.length);
+    this.length += arr.length;
+  }
+
+  ascii(str) {
+    for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i));
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Animated GIF encoder. Each frame gets its own 256-colour palette, picked
+ * by median cut over a 15-bit colour histogram, and is LZW-compressed as
+ * soon as it is added so only the compressed clip is kept in memory.
+ */
+export class GifEncoder {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.out = new ByteWriter();
+    this.indices = new Uint8Array(width * height);
+    this.histogram = new Uint32Array(32768);
+    this.lookup = new Uint8Array(32768);
+    // LZW dictionary keyed by prefix * 256 + byte. Entries are only valid
+    // for the current generation, so a table reset is a counter bump.
+    this.lzwCodes = new Uint16Array(4096 * 256);
+    this.lzwGeneration = new Uint32Array(4096 * 256);
+    this.generation = 0;
+    this.frames = 0;
+
+    const out = this.out;
+    out.ascii('GIF89a');
+    out.u16(width);
+    out.u16(height);
+    out.byte(0x70); // no global colour table, 8 bits of colour resolution
+    out.byte(0);
+    out.byte(0);
+    // Netscape extension: loop forever.
+    out.write([0x21, 0xff, 0x0b]);
+    out.ascii('NETSCAPE2.0');
+    out.write([0x03, 0x01, 0x00, 0x00, 0x00]);
+  }
+
+  /**
+   * Quantizes and compresses one frame.
+   * @param {Uint8ClampedArray} rgba - Pixel data, width * height * 4 bytes.
+   * @param {number} delay - Frame duration in seconds.
+   */
+  addFrame(rgba, delay) {
+    const palette = this.quantize(rgba);
+    const out = this.out;
+    // Graphic control extension: frame delay in hundredths of a second.
+    out.write([0x21, 0xf9, 0x04, 0x04]);
+    out.u16(Math.max(2, Math.round(delay * 100)));
+    out.write([0x00, 0x00]);
+    // Image descriptor with a 256-entry local colour table.
+    out.byte(0x2c);
+    out.u16(0);
+    out.u16(0);
+    out.u16(this.width);
+    out.u16(this.height);
+    out.byte(0x87);
+    out.write(palette);
+    this.compress();
+    this.frames++;
+  }
+
+  /**
+   * Median cut: repeatedly splits the colour box with the most pixels times
+   * spread along its widest channel, until there are 256 boxes. Each pixel
+   * then maps to its box's weighted average colour.
+   * @returns {Uint8Array} The 768-byte colour table.
+   */
+  quantize(rgba) {
+    const hist = this.histogram;
+    hist.fill(0);
+    const n = this.width * this.height;
+    for (let i = 0, p = 0; i < n; i++, p += 4) {
+      hist[((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3)]++;
+    }
+    let used = 0;
+    for (let c = 0; c < 32768; c++) if (hist[c]) used++;
+    const colors = new Uint16Array(used);
+    for (let c = 0, k = 0; c < 32768; c++) if (hist[c]) colors[k++] = c;
+
+    const channel = (c, ch) => (c >> (10 - ch * 5)) & 31;
+    const makeBox = (lo, hi) => {
+      const min = [31, 31, 31];
+      const max = [0, 0, 0];
+      let count = 0;
+      for (let i = lo; i < hi; i++) {
+        const c = colors[i];
+        for (let ch = 0; ch < 3; ch++) {
+          const v = channel(c, ch);
+          if (v < min[ch]) min[ch] = v;
+          if (v > max[ch]) max[ch] = v;
+        }
+        count += hist[c];
+      }
+      const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+      const axis = ranges.indexOf(Math.max(...ranges));
+      return { lo, hi, count, axis, score: hi - lo > 1 ? count * ranges[axis] : 0 };
+    };
+
+    const boxes = [makeBox(0, used)];
+    while (boxes.length < 256) {
+      let best = -1;
+      for (let i = 0; i < boxes.length; i++) {
+        if (boxes[i].score > 0 && (best < 0 || boxes[i].score > boxes[best].score)) best = i;
+      }
+      if (best < 0) break;
+      const box = boxes[best];
+      colors.subarray(box.lo, box.hi).sort((a, b) => channel(a, box.axis) - channel(b, box.axis));
+      // Split where half the box's pixels fall on each side.
+      let acc = 0;
+      let mid = box.lo + 1;
+      for (let i = box.lo; i < box.hi - 1; i++) {
+        acc += hist[colors[i]];
+        mid = i + 1;
+        if (acc * 2 >= box.count) break;
+      }
+      boxes.splice(best, 1, makeBox(box.lo, mid), makeBox(mid, box.hi));
+    }
+
+    const palette = new Uint8Array(768);
+    boxes.forEach((box, index) => {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let i = box.lo; i < box.hi; i++) {
+        const c = colors[i];
+        const weight = hist[c];
+        r += channel(c, 0) * weight;
+        g += channel(c, 1) * weight;
+        b += channel(c, 2) * weight;
+        this.lookup[c] = index;
+      }
+      const count = box.count || 1;
+      palette[index * 3] = Math.round((r / count) * 255 / 31);
+      palette[index * 3 + 1] = Math.round((g / count) * 255 / 31);
+      palette[index * 3 + 2] = Math.round((b / count) * 255 / 31);
+    });
+
+    for (let i = 0, p = 0; i < n; i++, p += 4) {
+      this.indices[i] = this.lookup[((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3)];
+    }
+    return palette;
+  }
+
+  // Variable-width LZW over the frame's palette indices, written in
+  // 255-byte sub-blocks.
+  compress() {
+    const out = this.out;
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const codes = this.lzwCodes;
+    const generations = this.lzwGeneration;
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    const flushBlock = () => {
+      out.byte(blockLength);
+      out.write(block.subarray(0, blockLength));
+      blockLength = 0;
+    };
+    const emit = (code) => {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block[blockLength++] = bits & 0xff;
+        if (blockLength === 255) flushBlock();
+        bits >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    out.byte(minCodeSize);
+    this.generation++;
+    emit(clearCode);
+    const indices = this.indices;
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const c = indices[i];
+      const key = prefix * 256 + c;
+      if (generations[key] === this.generation) {
+        prefix = codes[key];
+        continue;
+      }
+      emit(prefix);
+      if (nextCode === 4096) {
+        emit(clearCode);
+        this.generation++;
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        generations[key] = this.generation;
+        codes[key] = nextCode++;
+      }
+      prefix = c;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+      block[blockLength++] = bits & 0xff;
+      if (blockLength === 255) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+    out.byte(0);
+  }
+
+  /**
+   * @returns {Blob} The finished GIF.
+   */
+  finish() {
+    this.out.byte(0x3b);
+    return new Blob([this.out.result()], { type: 'image/gif' });
+  }
+}
+
+// EBML (the container format WebM is built on) element helpers.
+function ebmlVarInt(n) {
+  let length = 1;
+  while (n >= Math.pow(2, 7 * length) - 1) length++;
+  const out = new Uint8Array(length);
+  for (let i = length - 1, v = n; i >= 0; i--, v = Math.floor(v / 256)) out[i] = v % 256;
+  out[0] |= 1 << (8 - length);
+  return out;
+}
+
+function ebmlUint(n) {
+  const out = [];
+  do {
+    out.unshift(n % 256);
+    n = Math.floor(n / 256);
+  } while (n > 0);
+  return Uint8Array.from(out);
+}
+
+function ebmlFloat(n) {
+  const out = new Uint8Array(8);
+  new DataView(out.buffer).setFloat64(0, n);
+  return out;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+/**
+ * Builds one EBML element.
+ * @param {number} id - Element ID, including its length marker bits.
+ * @param {number|string|Uint8Array|Uint8Array[]} value - Unsigned integer,
+ *   ASCII string, raw bytes or a list of already-built child elements.
+ */
+function ebml(id, value) {
+  let data;
+  if (typeof value === 'number') data = ebmlUint(value);
+  else if (typeof value === 'string') data = Uint8Array.from(value, ch => ch.charCodeAt(0));
+  else if (Array.isArray(value)) data = concatBytes(value);
+  else data = value;
+  return concatBytes([ebmlUint(id), ebmlVarInt(data.length), data]);
+}
+
+/**
+ * Minimal WebM muxer for a single VP8 track fed by a WebCodecs
+ * VideoEncoder. Starts a new cluster at every key frame.
+ */
+export class WebmWriter {
+  constructor(width, height, fps) {
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.clusters = [];
+    this.blocks = [];
+    this.clusterTime = 0;
+    this.duration = 0;
+  }
+
+  /**
+   * @param {EncodedVideoChunk} chunk - Output of VideoEncoder.
+   */
+  addChunk(chunk) {
+    const time = Math.round(chunk.timestamp / 1000);
+    if (chunk.type === 'key' || time - this.clusterTime > 30000) {
+      this.closeCluster();
+      this.clusterTime = time;
+    }
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const relative = time - this.clusterTime;
+    const header = Uint8Array.of(0x81, (relative >> 8) & 0xff, relative & 0xff, chunk.type === 'key' ? 0x80 : 0);
+    this.blocks.push(ebml(0xa3, concatBytes([header, data])));
+    this.duration = Math.max(this.duration, time + 1000 / this.fps);
+  }
+
+  closeCluster() {
+    if (this.blocks.length === 0) return;
+    this.clusters.push(ebml(0x1f43b675, [ebml(0xe7, this.clusterTime), ...this.blocks]));
+    this.blocks = [];
+  }
+
+  /**
+   * @returns {Blob} The finished WebM file.
+   */
+  finish() {
+    this.closeCluster();
+    const header = ebml(0x1a45dfa3, [
+      ebml(0x4286, 1), ebml(0x42f7, 1), ebml(0x42f2, 4), ebml(0x42f3, 8),
+      ebml(0x4282, 'webm'), ebml(0x4287, 2), ebml(0x4285, 2),
+    ]);
+    const info = ebml(0x1549a966, [
+      ebml(0x2ad7b1, 1000000), // timestamps in milliseconds
+      ebml(0x4489, ebmlFloat(this.duration)),
+      ebml(0x4d80, 'canvas-particles'),
+      ebml(0x5741, 'canvas-particles'),
+    ]);
+    const tracks = ebml(0x1654ae6b, [
+      ebml(0xae, [
+        ebml(0xd7, 1), ebml(0x73c5, 1), ebml(0x9c, 0), ebml(0x86, 'V_VP8'), ebml(0x83, 1),
+        ebml(0xe0, [ebml(0xb0, this.width), ebml(0xba, this.height)]),
+      ]),
+    ]);
+    const segment = ebml(0x18538067, [info, tracks, ...this.clusters]);
+    return new Blob([header, segment], { type: 'video/webm' });
+  }
+}
+
+/**
+ * Records the canvas to a WebM or GIF clip.
+ *
+ * Real time: WebM goes through MediaRecorder on a captured canvas stream and
+ * GIF frames are grabbed from the running loop at the chosen frame rate.
+ *
+ * Offline: the recorder takes over the main loop and steps it with a fixed
+ * timestep, encoding every frame before simulating the next. WebM frames go
+ * through WebCodecs when the browser has it; otherwise each frame is pushed
+ * to the stream by hand and paced in real time.
+ */
+export class ClipRecorder {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas to record.
+   * @param {object} options
+   * @param {'webm'|'gif'} options.format
+   * @param {number} options.fps - Frames per second of the clip.
+   * @param {boolean} options.offline - Step the loop at a fixed rate.
+   * @param {number} [options.gifWidth=640] - GIFs wider than this are scaled down.
+   */
+  constructor(canvas, options) {
+    this.canvas = canvas;
+    this.format = options.format;
+    this.fps = options.fps;
+    this.offline = options.offline;
+    this.gifWidth = options.gifWidth || 640;
+    this.recording = false;
+    this.frames = 0;
+    this.lastGrab = -Infinity;
+  }
+
+  /**
+   * Starts recording.
+   * @param {function(number): void} step - Runs one frame of the main loop
+   *   at the given timestamp (ms). Only used offline.
+   * @returns {Promise<Blob>} Resolves with the clip once `stop` is called.
+   */
+  start(step) {
+    this.recording = true;
+    this.startedAt = performance.now();
+    this.result = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+
+    try {
+      this.setup();
+    } catch (err) {
+      this.fail(err);
+      return this.result;
+    }
+
+    if (this.offline) this.runOffline(step).catch(err => this.fail(err));
+    return this.result;
+  }
+
+  /**
+   * Length of the clip so far, in seconds.
+   */
+  get duration() {
+    if (this.offline) return this.frames / this.fps;
+    return ((this.stoppedAt || performance.now()) - this.startedAt) / 1000;
+  }
+
+  // Creates the encoder (or MediaRecorder) for the chosen format.
+  setup() {
+    const { canvas, fps } = this;
+    if (this.format === 'gif') {
+      const scale = Math.min(1, this.gifWidth / canvas.width);
+      this.scratch = document.createElement('canvas');
+      this.scratch.width = Math.max(1, Math.round(canvas.width * scale));
+      this.scratch.height = Math.max(1, Math.round(canvas.height * scale));
+      this.scratchCtx = this.scratch.getContext('2d', { willReadFrequently: true });
+      this.gif = new GifEncoder(this.scratch.width, this.scratch.height);
+    } else if (this.offline && typeof VideoEncoder !== 'undefined') {
+      // VP8 needs even dimensions.
+      const width = canvas.width & ~1;
+      const height = canvas.height & ~1;
+      this.videoRect = { x: 0, y: 0, width, height };
+      this.webm = new WebmWriter(width, height, fps);
+      this.encoder = new VideoEncoder({
+        output: chunk => this.webm.addChunk(chunk),
+        error: err => this.fail(err),
+      });
+      this.encoder.configure({ codec: 'vp8', width, height, framerate: fps, bitrate: 8e6 });
+    } else {
+      // MediaRecorder on a canvas stream. Offline without WebCodecs, the
+      // stream gets no frames of its own; each one is pushed with requestFrame.
+      this.stream = canvas.captureStream(this.offline ? 0 : fps);
+      this.track = this.stream.getVideoTracks()[0];
+      const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+      const mimeType = types.find(t => MediaRecorder.isTypeSupported(t));
+      this.chunks = [];
+      this.mediaRecorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: 8e6 });
+      this.mediaRecorder.ondataavailable = e => { if (e.data.size) this.chunks.push(e.data); };
+      this.mediaRecorder.onstop = () => {
+        this.stream.getTracks().forEach(t => t.stop());
+        this.resolve(new Blob(this.chunks, { type: 'video/webm' }));
+      };
+      this.mediaRecorder.start(1000);
+    }
+  }
+
+  // Steps the main loop frame by frame until stopped.
+  async runOffline(step) {
+    const frameMs = 1000 / this.fps;
+    const startTime = performance.now();
+    for (let i = 0; this.recording; i++) {
+      const frameStart = performance.now();
+      step(startTime + i * frameMs);
+      if (this.format === 'gif') {
+        this.grabGifFrame();
+      } else if (this.encoder) {
+        const frame = new VideoFrame(this.canvas, {
+          timestamp: Math.round(i * frameMs * 1000),
+          duration: Math.round(frameMs * 1000),
+          visibleRect: this.videoRect,
+        });
+        this.encoder.encode(frame, { keyFrame: i % (this.fps * 2) === 0 });
+        frame.close();
+        while (this.encoder.encodeQueueSize > 2) await new Promise(r => setTimeout(r, 1));
+      } else {
+        this.track.requestFrame();
+      }
+      this.frames++;
+      // Yield so Stop (and the rest of the page) stays responsive. The
+      // MediaRecorder fallback timestamps frames as they arrive, so it has
+      // to wait out the rest of the frame.
+      const wait = this.stream ? frameMs - (performance.now() - frameStart) : 0;
+      await new Promise(r => setTimeout(r, Math.max(0, wait)));
+    }
+  }
+
+  /**
+   * Called by the main loop after drawing a real-time frame. Grabs a GIF
+   * frame whenever a frame interval has passed.
+   * @param {number} now - The loop timestamp (ms).
+   */
+  onFrame(now) {
+    if (!this.recording || this.offline || this.format !== 'gif') return;
+    if (now - this.lastGrab < 1000 / this.fps - 1) return;
+    this.lastGrab = now;
+    this.grabGifFrame();
+    this.frames++;
+  }
+
+  grabGifFrame() {
+    const { scratch, scratchCtx } = this;
+    scratchCtx.drawImage(this.canvas, 0, 0, scratch.width, scratch.height);
+    const image = scratchCtx.getImageData(0, 0, scratch.width, scratch.height);
+    this.gif.addFrame(image.data, 1 / this.fps);
+  }
+
+  /**
+   * Stops recording. The promise returned by `start` resolves with the clip.
+   */
+  async stop() {
+    if (!this.recording) return this.result;
+    this.recording = false;
+    this.stoppedAt = performance.now();
+    try {
+      if (this.gif) {
+        this.resolve(this.gif.finish());
+      } else if (this.encoder) {
+        await this.encoder.flush();
+        this.encoder.close();
+        this.resolve(this.webm.finish());
+      } else {
+        this.mediaRecorder.stop();
+      }
+    } catch (err) {
+      this.fail(err);
+    }
+    return this.result;
+  }
+
+  fail(err) {
+    this.recording = false;
+    this.reject(err);
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Canvas Particles & Creatures — <creature-canvas> element
+ *
+ * The simulation packaged as a custom element, for creatures in cards, page
+ * headers and anywhere else that isn't a full-window demo:
+ *
+ *   <script type="module" src="creature-canvas.js"></script>
+ *   <creature-canvas entity="dragon" speed="1.5" count="80" controls></creature-canvas>
+ *
+ * Every element runs its own world, so any number can share a page.
+ */
+import { World, SIM_STEP, Emitter, entityTypes, entityMeta, onEntityRegistered, targetModes } from './sim.js';
+import { CanvasRenderer } from './render.js';
+
+// =================================================================
+// CREATURE CANVAS ELEMENT
+// Sizes its canvas from its own box with a ResizeObserver and runs the same
+// fixed-step loop as the demo. The optional overlay has an entity picker
+// and speed and count sliders that write back to the attributes, so the
+// attributes are always the element's current settings.
+// =================================================================
+
+// Longest stretch of real time caught up in one frame (see demo.js).
+const MAX_FRAME_TIME = 0.25;
+// Pointer stream rate at a count of 50, as in the demo.
+const BASE_SPAWN_PER_SECOND = 200;
+
+const TEMPLATE = `
+  <style>
+    :host { display: block; position: relative; overflow: hidden; min-height: 120px; background: #071028; }
+    :host([hidden]) { display: none; }
+    canvas { position: absolute; inset: 0; width: 100%; height: 100%; display: block; touch-action: none; }
+    .controls {
+      position: absolute; left: 8px; top: 8px; padding: 6px 8px; border-radius: 6px;
+      display: flex; flex-direction: column; gap: 4px;
+      background: rgba(255, 255, 255, 0.08); backdrop-filter: blur(6px);
+      color: #e6eef8; font: 11px system-ui, sans-serif;
+    }
+    .controls[hidden] { display: none; }
+    .controls label { display: flex; flex-direction: column; }
+    .controls input[type=range] { width: 110px; }
+  </style>
+  <canvas part="canvas"></canvas>
+  <div class="controls" part="controls" hidden>
+    <select data-attr="entity" aria-label="Entity"></select>
+    <label>Speed: <span data-label="speed"></span>
+      <input data-attr="speed" type="range" min="0.1" max="5" step="0.1" />
+    </label>
+    <label>Count: <span data-label="count"></span>
+      <input data-attr="count" type="range" min="0" max="200" step="1" />
+    </label>
+  </div>`;
+
+/**
+ * A self-contained creature simulation.
+ *
+ * Attributes:
+ * - `entity`: entity types to show, separated by spaces (default `snake`);
+ * - `speed`: global speed multiplier (default 1);
+ * - `count`: particles a click spawns, and how dense a held pointer's stream
+ *   is, as the demo's Count slider (default 50);
+ * - `controls`: when present, shows the entity, speed and count overlay;
+ * - `target`: target mode for every creature, a key of `targetModes`
+ *   (default `idle`: follow the pointer, wander when it is away);
+ * - `ecosystem`: when present, runs ecosystem mode (see Ecosystem in
+ *   sim.js): food drops on its own and on clicks, and creatures eat,
+ *   hunt, breed and starve, for a tank that looks after itself;
+ * - `seed`: seed for a reproducible run (default random);
+ * - `capacity`: size of the particle pool (default 5000).
+ */
+export class CreatureCanvas extends HTMLElement {
+  static get observedAttributes() {
+    return ['entity', 'speed', 'count', 'controls', 'target', 'ecosystem'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+    this.canvas = this.shadowRoot.querySelector('canvas');
+    this.renderer = new CanvasRenderer(this.canvas.getContext('2d'));
+    this.overlay = this.shadowRoot.querySelector('.controls');
+    this.world = null;
+    this.rafId = 0;
+    this.last = 0;
+    this.accumulator = 0;
+    this.isDown = false;
+    this.visible = true;
+    this.populated = false;
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.intersectionObserver = typeof IntersectionObserver === 'function'
+      ? new IntersectionObserver(entries => { this.visible = entries[entries.length - 1].isIntersecting; })
+      : null;
+
+    for (const kind of ['down', 'move', 'leave', 'up', 'cancel']) {
+      this.canvas.addEventListener('pointer' + kind, (e) => this.handlePointer(kind, e));
+    }
+    this.overlay.addEventListener('input', (e) => {
+      if (e.target.dataset.attr) this.setAttribute(e.target.dataset.attr, e.target.value);
+    });
+  }
+
+  get entity() { return this.getAttribute('entity') || 'snake'; }
+  set entity(value) { this.setAttribute('entity', value); }
+
+  get speed() {
+    const speed = Number(this.getAttribute('speed'));
+    return this.hasAttribute('speed') && Number.isFinite(speed) ? speed : 1;
+  }
+  set speed(value) { this.setAttribute('speed', value); }
+
+  get count() {
+    const count = Number(this.getAttribute('count'));
+    return this.hasAttribute('count') && Number.isFinite(count) ? count : 50;
+  }
+  set count(value) { this.setAttribute('count', value); }
+
+  get controls() { return this.hasAttribute('controls'); }
+  set controls(value) { this.toggleAttribute('controls', Boolean(value)); }
+
+  get ecosystem() { return this.hasAttribute('ecosystem'); }
+  set ecosystem(value) { this.toggleAttribute('ecosystem', Boolean(value)); }
+
+  get target() {
+    const mode = this.getAttribute('target');
+    return Object.hasOwn(targetModes, mode) ? mode : 'idle';
+  }
+  set target(value) { this.setAttribute('target', value); }
+
+  connectedCallback() {
+    if (!this.world) {
+      const seedAttr = this.getAttribute('seed');
+      const seed = seedAttr !== null && Number.isFinite(Number(seedAttr))
+        ? Number(seedAttr) >>> 0
+        : Math.floor(Math.random() * 4294967296);
+      const capacity = Number(this.getAttribute('capacity'));
+      this.world = new World({ seed, capacity: Number.isFinite(capacity) && capacity > 0 ? capacity : 5000 });
+      this.sparkleEmitter = new Emitter(this.world, { shape: 'point' });
+      this.streamEmitter = new Emitter(this.world, { shape: 'circle', radius: 6 });
+      this.world.ecosystem.enabled = this.ecosystem;
+    }
+    this.stopListening = onEntityRegistered(() => this.syncControls());
+    this.syncControls();
+    this.resizeObserver.observe(this);
+    if (this.intersectionObserver) this.intersectionObserver.observe(this);
+    this.last = performance.now();
+    const loop = (now) => {
+      this.frame(now);
+      this.rafId = requestAnimationFrame(loop);
+    };
+    this.rafId = requestAnimationFrame(loop);
+  }
+
+  disconnectedCallback() {
+    cancelAnimationFrame(this.rafId);
+    this.resizeObserver.disconnect();
+    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    this.stopListening();
+  }
+
+  attributeChangedCallback(name) {
+    if (!this.world) return;
+    // Before the first resize, the creatures wait for a size to start in the middle of.
+    if (name === 'entity' && this.populated) this.populate();
+    else if (name === 'target') this.world.scene.entries.forEach(e => this.world.scene.setTarget(e.id, this.target));
+    else if (name === 'ecosystem') this.world.ecosystem.enabled = this.ecosystem;
+    this.syncControls();
+  }
+
+  /**
+   * Matches the canvas and world to the element's size. Creatures are
+   * created on the first non-empty size, so they start in the middle.
+   */
+  resize() {
+    const rect = this.getBoundingClientRect();
+    const w = Math.round(rect.width);
+    const h = Math.round(rect.height);
+    if (!w || !h || (w === this.canvas.width && h === this.canvas.height && this.populated)) return;
+    this.canvas.width = this.world.width = w;
+    this.canvas.height = this.world.height = h;
+    this.renderer.fillStyle = '#071028';
+    this.renderer.fillRect(0, 0, w, h);
+    if (!this.populated) this.populate();
+  }
+
+  /**
+   * Replaces the scene with the creatures named in `entity`. Unknown types
+   * are skipped with a console error, so one typo doesn't blank the element.
+   */
+  populate() {
+    const { world } = this;
+    world.scene.clear();
+    for (const type of this.entity.split(/\s+/).filter(Boolean)) {
+      if (!Object.hasOwn(entityTypes, type)) {
+        console.error(`<creature-canvas>: unknown entity "${type}"`);
+        continue;
+      }
+      world.scene.setTarget(world.scene.add(type).id, this.target);
+    }
+    if (!this.populated) {
+      // A sprinkle of background particles, as dense as the demo's.
+      const n = Math.round(world.width * world.height / 12000);
+      for (let i = 0; i < n; i++) this.sparkleEmitter.burst(1, { x: world.rand(0, world.width), y: world.rand(0, world.height) });
+    }
+    this.populated = true;
+  }
+
+  // Shows or hides the overlay and puts the current settings in it.
+  syncControls() {
+    this.overlay.hidden = !this.controls;
+    const select = this.overlay.querySelector('select');
+    select.innerHTML = Object.entries(entityMeta)
+      .map(([type, meta]) => `<option value="${type}">${meta.label.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</option>`)
+      .join('');
+    select.value = this.entity.split(/\s+/)[0];
+    for (const key of ['speed', 'count']) {
+      this.overlay.querySelector(`input[data-attr="${key}"]`).value = this[key];
+      this.overlay.querySelector(`[data-label="${key}"]`).textContent = key === 'speed' ? this.speed.toFixed(1) : this.count;
+    }
+  }
+
+  handlePointer(kind, e) {
+    const { pointer } = this.world;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    if (kind === 'down' || kind === 'move') {
+      pointer.x = x;
+      pointer.y = y;
+      pointer.present = true;
+      pointer.lastActivity = this.world.time;
+    }
+    if (kind === 'down') {
+      this.isDown = true;
+      if (this.ecosystem) this.world.ecosystem.dropFood(x, y);
+      this.sparkleEmitter.burst(this.count, { x, y });
+      try {
+        this.canvas.setPointerCapture(e.pointerId);
+      } catch (_) {}
+    } else if (kind === 'leave') {
+      if (!this.isDown) pointer.present = false;
+    } else if (kind === 'up' || kind === 'cancel') {
+      this.isDown = false;
+      if (e.pointerType === 'touch') pointer.present = false;
+    }
+  }
+
+  /**
+   * Runs the simulation steps that fit in the time since the last frame and
+   * draws, interpolating between the last two steps. Stands still while
+   * scrolled out of view.
+   */
+  frame(now) {
+    const elapsed = Math.min(MAX_FRAME_TIME, Math.max(0, (now - this.last) / 1000));
+    this.last = now;
+    if (!this.visible || !this.populated) return;
+    const { world, renderer } = this;
+
+    this.accumulator += elapsed;
+    while (this.accumulator >= SIM_STEP - 1e-9) {
+      if (this.isDown) {
+        this.streamEmitter.options.rate = Math.min(1000, BASE_SPAWN_PER_SECOND * (this.count / 50));
+        this.streamEmitter.emit(SIM_STEP, world.pointer);
+      }
+      world.step(SIM_STEP, this.speed);
+      this.accumulator -= SIM_STEP;
+    }
+    this.accumulator = Math.max(0, this.accumulator);
+    const alpha = Math.min(1, this.accumulator / SIM_STEP);
+    world.frameTime = (world.time - SIM_STEP * (1 - alpha)) * 1000;
+
+    const fade = 1 - Math.pow(1 - 0.18, elapsed * 60);
+    renderer.fillStyle = `rgba(8,12,20,${fade.toFixed(4)})`;
+    renderer.fillRect(0, 0, world.width, world.height);
+    world.obstacles.draw(renderer);
+    world.particles.draw(renderer, alpha);
+    world.ecosystem.draw(renderer);
+    world.scene.draw(renderer, alpha);
+  }
+}
+
+if (!customElements.get('creature-canvas')) customElements.define('creature-canvas', CreatureCanvas);
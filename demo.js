@@ -2,1318 +2,1489 @@
  * Canvas Particles & Creatures Demo
  *
  * This script powers a canvas-based animation demo featuring a particle system
- * and several interactive, procedurally animated creatures. It handles rendering,
- * user interaction, and the logic for each entity.
+ * and several interactive, procedurally animated creatures. The simulation
+ * itself lives in sim.js; this module is the page around it: canvas sizing,
+ * sidebar controls, pointer input, sessions, recording and the main loop.
  */
-(() => {
-  const canvas = document.getElementById('canvas');
-  const ctx = canvas.getContext('2d');
-  let w = canvas.width = innerWidth;
-  let h = canvas.height = innerHeight;
-
-  // Handle window resizing
-  window.addEventListener('resize', () => {
-    w = canvas.width = innerWidth;
-    h = canvas.height = innerHeight;
-  });
+import {
+  World, SIM_STEP, Emitter, ForceField, School, targetModes, entityTypes, entityMeta, defineCreature, onEntityRegistered,
+  SPARKLE_STYLE, SOFT_STYLE, STAR_STYLE, STREAK_STYLE, RING_STYLE,
+} from './sim.js';
+import { CanvasRenderer, SvgRenderer, parseColor } from './render.js';
+import { ClipRecorder } from './capture.js';
+
+const canvas = document.getElementById('canvas');
+const ctx = canvas.getContext('2d');
+let w = canvas.width = innerWidth;
+let h = canvas.height = innerHeight;
+
+// Handle window resizing
+window.addEventListener('resize', () => {
+  w = canvas.width = innerWidth;
+  h = canvas.height = innerHeight;
+  world.width = w;
+  world.height = h;
+});
+
+// Pass ?seed=<n> in the URL to reproduce a run; otherwise a fresh seed is picked.
+const seedParam = new URLSearchParams(location.search).get('seed');
+let seed = seedParam !== null && Number.isFinite(Number(seedParam))
+  ? Number(seedParam) >>> 0
+  : Math.floor(Math.random() * 4294967296);
+
+// Hard cap on live particles across every emitter in the scene.
+const MAX_PARTICLES = 30000;
+
+// Creatures, particles, force fields and the authored path all live in the world.
+const world = new World({ width: w, height: h, seed, capacity: MAX_PARTICLES });
+const { particles, scene, path } = world;
+
+const sparkleEmitter = new Emitter(world, { shape: 'point' });
+const streamEmitter = new Emitter(world, { shape: 'circle', radius: 6 });
+
+/**
+ * Spawns a specified number of particles at a given x and y coordinate.
+ * @param {number} x - The x coordinate at which to spawn the particles.
+ * @param {number} y - The y coordinate at which to spawn the particles.
+ * @param {number} n - The number of particles to spawn. Defaults to 6.
+ */
+function spawn(x, y, n = 6) {
+  sparkleEmitter.burst(n, { x, y });
+}
 
-  const rand = (a, b) => Math.random() * (b - a) + a;
+// =================================================================
+// UI CONTROLS
+// This section handles the sidebar UI for selecting entities and adjusting parameters.
+// =================================================================
+const countRange = document.getElementById('count');
+const speedRange = document.getElementById('speed');
+const clearBtn = document.getElementById('clear');
+const countLabel = document.getElementById('countLabel');
+const speedLabel = document.getElementById('speedLabel');
+const particleStats = document.getElementById('particleStats');
+document.getElementById('particleCap').textContent = MAX_PARTICLES;
+// The entity selector dropdown picks which creature the Add button creates
+const entitySelect = document.getElementById('entitySelect');
+
+// Event listeners for the UI controls
+countRange.addEventListener('input', () => countLabel.textContent = countRange.value);
+speedRange.addEventListener('input', () => speedLabel.textContent = Number(speedRange.value).toFixed(1));
+clearBtn.addEventListener('click', () => particles.clear());
+
+// Seed: restarting reloads the page with ?seed=<n>, which replays the same run.
+// A preset link in the hash is dropped, as it would bring back its own seed.
+const seedInput = document.getElementById('seed');
+seedInput.value = seed;
+document.getElementById('restartSeed').addEventListener('click', () => {
+  const url = new URL(location.href);
+  url.searchParams.set('seed', Number(seedInput.value) >>> 0);
+  url.hash = '';
+  location.href = url.href;
+});
+
+// Canvas tool and path authoring controls
+const toolSelect = document.getElementById('tool');
+const pathTypeSelect = document.getElementById('pathType');
+const pathModeSelect = document.getElementById('pathMode');
+const showPathToggle = document.getElementById('showPath');
+pathTypeSelect.addEventListener('change', () => path.setType(pathTypeSelect.value));
+pathModeSelect.addEventListener('change', () => path.setMode(pathModeSelect.value));
+document.getElementById('undoPathPoint').addEventListener('click', () => path.removeLastPoint());
+document.getElementById('clearPath').addEventListener('click', () => path.clear());
+
+// Pointer particle look, including a custom image sprite
+const pointerStyleSelect = document.getElementById('pointerStyle');
+const pointerStyles = {
+  sparkle: SPARKLE_STYLE,
+  soft: SOFT_STYLE,
+  star: STAR_STYLE,
+  spark: STREAK_STYLE,
+  ring: RING_STYLE,
+};
+function setPointerStyle(style) {
+  sparkleEmitter.setStyle(style);
+  streamEmitter.setStyle(style);
+}
+pointerStyleSelect.addEventListener('change', () => {
+  if (pointerStyles[pointerStyleSelect.value]) setPointerStyle(pointerStyles[pointerStyleSelect.value]);
+});
+document.getElementById('spriteFile').addEventListener('change', (e) => {
+  const file = e.target.files && e.target.files[0];
+  if (!file) return;
+  const img = new Image();
+  img.onload = () => {
+    pointerStyles.image = Object.assign({}, SPARKLE_STYLE, { render: 'image', image: img });
+    pointerStyleSelect.querySelector('option[value="image"]').disabled = false;
+    pointerStyleSelect.value = 'image';
+    setPointerStyle(pointerStyles.image);
+  };
+  img.src = URL.createObjectURL(file);
+});
+
+// Force field controls
+const fieldTypeSelect = document.getElementById('fieldType');
+const fieldStrengthRange = document.getElementById('fieldStrength');
+const fieldRadiusRange = document.getElementById('fieldRadius');
+const fieldAngleRange = document.getElementById('fieldAngle');
+const fieldFalloffSelect = document.getElementById('fieldFalloff');
+const fieldHostSelect = document.getElementById('fieldHost');
+const showFieldsToggle = document.getElementById('showFields');
+fieldStrengthRange.addEventListener('input', () => document.getElementById('fieldStrengthLabel').textContent = fieldStrengthRange.value);
+fieldRadiusRange.addEventListener('input', () => document.getElementById('fieldRadiusLabel').textContent = fieldRadiusRange.value);
+fieldAngleRange.addEventListener('input', () => document.getElementById('fieldAngleLabel').textContent = fieldAngleRange.value);
+
+// Builds a field from the current sidebar settings.
+function createFieldFromControls(options) {
+  return new ForceField(fieldTypeSelect.value, Object.assign({
+    strength: Number(fieldStrengthRange.value),
+    radius: Number(fieldRadiusRange.value),
+    angle: Number(fieldAngleRange.value) * Math.PI / 180,
+    falloff: fieldFalloffSelect.value,
+  }, options));
+}
 
-  // Linear interpolation
-  function lerp(a, b, t) {
-    return a + (b - a) * t;
+document.getElementById('attachField').addEventListener('click', () => {
+  const entry = scene.get(Number(fieldHostSelect.value));
+  if (entry) world.fields.push(createFieldFromControls({ host: entry.entity }));
+});
+document.getElementById('clearFields').addEventListener('click', () => world.fields = []);
+
+// Obstacle controls. With the obstacle tool, a drag draws a circle from its
+// centre, a rectangle from a corner, or a freehand outline.
+const obstacleShapeSelect = document.getElementById('obstacleShape');
+// Points of a freehand outline closer together than this are dropped.
+const FREEHAND_SPACING = 10;
+// The obstacle being dragged out, until the pointer is released.
+let obstacleDraft = null;
+
+// Turns the draft into an obstacle, unless it is too small to be one.
+function finishObstacle() {
+  const d = obstacleDraft;
+  obstacleDraft = null;
+  let shape = null;
+  if (d.shape === 'circle') {
+    const radius = Math.hypot(d.x - d.x0, d.y - d.y0);
+    if (radius >= 4) shape = { type: 'circle', x: d.x0, y: d.y0, radius };
+  } else if (d.shape === 'rect') {
+    if (Math.abs(d.x - d.x0) >= 4 && Math.abs(d.y - d.y0) >= 4) shape = { type: 'rect', x: d.x0, y: d.y0, width: d.x - d.x0, height: d.y - d.y0 };
+  } else if (d.points.length >= 3) {
+    shape = { type: 'polygon', points: d.points };
   }
+  if (shape) world.obstacles.add(shape);
+}
 
-  // Circular linear interpolation (for angles)
-  function angleLerp(a, b, t) {
-    const diff = ((b - a + Math.PI) % (Math.PI * 2)) - Math.PI;
-    return a + diff * t;
+// Outline of the obstacle being drawn.
+function drawObstacleDraft(r) {
+  const d = obstacleDraft;
+  r.save();
+  r.strokeStyle = 'rgba(148,163,184,0.8)';
+  r.lineWidth = 1.5;
+  r.setLineDash([5, 5]);
+  r.beginPath();
+  if (d.shape === 'circle') {
+    r.arc(d.x0, d.y0, Math.hypot(d.x - d.x0, d.y - d.y0), 0, Math.PI * 2);
+  } else if (d.shape === 'rect') {
+    r.moveTo(d.x0, d.y0);
+    r.lineTo(d.x, d.y0);
+    r.lineTo(d.x, d.y);
+    r.lineTo(d.x0, d.y);
+    r.closePath();
+  } else {
+    d.points.forEach((p, i) => i === 0 ? r.moveTo(p.x, p.y) : r.lineTo(p.x, p.y));
+    r.lineTo(d.x, d.y);
   }
+  r.stroke();
+  r.restore();
+}
 
-  /**
-   * Particle class for creating and managing particle effects.
-   * Each particle has a position, velocity, size, lifespan, and color.
-   * Particles are used for visual effects like smoke, fire, and sparkles.
-   */
-  class Particle {
-    // options: {vx,vy,size,life,hue,color}
-    constructor(x, y, options = {}) {
-      this.x = x;
-      this.y = y;
-      if (options.vx !== undefined) {
-        this.vx = options.vx;
-      } else {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = rand(0.2, 2);
-        this.vx = Math.cos(angle) * speed;
+/**
+ * Fills the scene with a koi pond: lumpy rocks scattered around a clear
+ * middle, a koi school and two lone koi wandering between them.
+ */
+function makeKoiPond() {
+  scene.clear();
+  world.obstacles.clear();
+  const cx = w / 2;
+  const cy = h / 2;
+  for (let placed = 0, tries = 0; placed < 7 && tries < 100; tries++) {
+    const size = world.rand(30, 70);
+    const x = world.rand(size, w - size);
+    const y = world.rand(size, h - size);
+    // Keep the middle, where the koi start, and room between rocks.
+    if (Math.hypot(x - cx, y - cy) < 140 + size || world.obstacles.distance(x, y) < size + 60) continue;
+    const turn = world.rand(0, Math.PI * 2);
+    const points = [];
+    for (let i = 0; i < 8; i++) {
+      const a = turn + i / 8 * Math.PI * 2;
+      const r = size * world.rand(0.75, 1.1);
+      points.push({ x: x + Math.cos(a) * r, y: y + Math.sin(a) * r * 0.8 });
+    }
+    world.obstacles.add({ type: 'polygon', points });
+    placed++;
+  }
+  for (const type of ['koiSchool', 'koi', 'koi']) {
+    const entry = scene.add(type);
+    scene.setTarget(entry.id, 'wander');
+    inspectedId = entry.id;
+  }
+  renderEntityList();
+}
+
+document.getElementById('undoObstacle').addEventListener('click', () => world.obstacles.removeLast());
+document.getElementById('clearObstacles').addEventListener('click', () => world.obstacles.clear());
+document.getElementById('koiPond').addEventListener('click', makeKoiPond);
+
+// Ecosystem mode: clicks drop food as well as particles, and an overlay
+// counts who is still alive.
+const ecosystemToggle = document.getElementById('ecosystem');
+const autoFeedToggle = document.getElementById('autoFeed');
+const ecoStats = document.getElementById('ecoStats');
+// Pellets dropped by one click.
+const FOOD_PER_CLICK = 6;
+// The ecosystem's version when the entity list was last rebuilt for it.
+let ecosystemVersion = 0;
+ecosystemToggle.addEventListener('change', () => {
+  world.ecosystem.enabled = ecosystemToggle.checked;
+  ecoStats.hidden = !ecosystemToggle.checked;
+});
+autoFeedToggle.addEventListener('change', () => world.ecosystem.autoFeed = autoFeedToggle.checked);
+
+// Puts the population counts in the overlay, one line per kind of creature.
+function updateEcoStats() {
+  const census = world.ecosystem.census();
+  const lines = Object.entries(census.counts).map(([type, n]) => `${entityLabel(type)}: ${n}`);
+  lines.push(`Food: ${census.food}`, `Born ${census.born} · eaten ${census.eaten} · starved ${census.starved}`);
+  const text = lines.join('\n');
+  if (ecoStats.textContent !== text) ecoStats.textContent = text;
+}
+const collideToggle = document.getElementById('collide');
+collideToggle.addEventListener('change', () => world.collisions.enabled = collideToggle.checked);
+
+// pointer (click/hold/drag/touch) interactions. The position, presence and
+// last activity live in `world.pointer`, where target providers read them.
+let isDown = false;
+
+/**
+ * Applies one pointer event to the simulation. Live canvas events and
+ * session replay both come through here.
+ * @param {'down'|'move'|'up'|'leave'} kind - The kind of pointer event.
+ * @param {number} x - Canvas x coordinate.
+ * @param {number} y - Canvas y coordinate.
+ * @param {string} [pointerType] - 'mouse', 'pen' or 'touch'.
+ */
+function applyPointer(kind, x, y, pointerType) {
+  const pointer = world.pointer;
+  switch (kind) {
+    case 'down':
+      pointer.x = x;
+      pointer.y = y;
+      pointer.present = true;
+      pointer.lastActivity = world.time;
+      if (toolSelect.value === 'path') {
+        // In path mode clicks place control points instead of spawning particles.
+        path.addPoint(x, y);
+        return;
       }
-      if (options.vy !== undefined) {
-        this.vy = options.vy;
-      } else {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = rand(0.2, 2);
-        this.vy = Math.sin(angle) * speed;
+      if (toolSelect.value === 'field') {
+        world.fields.push(createFieldFromControls({ x, y }));
+        return;
       }
-      this.size = options.size ?? rand(1, 4);
-      this.life = options.life ?? rand(60, 200);
-      this.hue = options.hue ?? rand(180, 260);
-      this.color = options.color; // optional CSS color
-    }
-    update(speedMultiplier) {
-      /**
-       * Updates the particle's properties based on the provided speed multiplier.
-       * This method is responsible for updating the particle's position,
-       * decreasing its lifespan, and reducing its size over time.
-       * @param {number} speedMultiplier - A multiplier to adjust the particle's speed.
-       */
-      this.x += this.vx * speedMultiplier;
-      this.y += this.vy * speedMultiplier;
-      this.life -= 1;
-      if (this.size > 0.08) this.size *= 0.996;
-    }
-    draw(ctx) {
-      ctx.beginPath();
-      /**
-       * Draws the particle on the canvas context.
-       * Uses either a specified CSS color or a hue-based color derived from the particle's properties.
-       * Fades the particle out as its life decreases.
-       */
-      if (this.color) {
-        // color is full CSS color, fade with life
-        const alpha = Math.max(0, this.life / 200);
-        // Use globalAlpha as a simple way to fade any CSS color.
-        ctx.fillStyle = this.color;
-        ctx.globalAlpha = alpha;
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.globalAlpha = 1;
-      } else {
-        ctx.fillStyle = `hsla(${this.hue},85%,60%,${Math.max(0, this.life / 200)})`;
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
+      if (toolSelect.value === 'obstacle') {
+        obstacleDraft = { shape: obstacleShapeSelect.value, x0: x, y0: y, x, y, points: [{ x, y }] };
+        return;
       }
-    }
+      isDown = true;
+      if (world.ecosystem.enabled) world.ecosystem.dropFood(x, y, FOOD_PER_CLICK);
+      // immediate burst on down
+      spawn(x, y, Number(countRange.value));
+      return;
+    case 'move':
+      pointer.x = x;
+      pointer.y = y;
+      pointer.present = true;
+      pointer.lastActivity = world.time;
+      if (obstacleDraft) {
+        obstacleDraft.x = x;
+        obstacleDraft.y = y;
+        const lastPoint = obstacleDraft.points[obstacleDraft.points.length - 1];
+        if (Math.hypot(x - lastPoint.x, y - lastPoint.y) >= FREEHAND_SPACING) obstacleDraft.points.push({ x, y });
+      }
+      return;
+    case 'leave':
+      if (!isDown) pointer.present = false;
+      return;
+    case 'up':
+      isDown = false;
+      if (obstacleDraft) finishObstacle();
+      // A lifted finger leaves nothing behind to follow.
+      if (pointerType === 'touch') pointer.present = false;
+      return;
   }
+}
 
-  let particles = [];
+/**
+ * Turns a canvas pointer event into a recorded, applied pointer event.
+ * Live input is ignored while a session replays.
+ */
+function handlePointer(kind, e) {
+  if (session.replaying) return;
+  const rect = canvas.getBoundingClientRect();
+  // Rounded so the recorded session replays exactly what was applied.
+  const x = Math.round((e.clientX - rect.left) * 100) / 100;
+  const y = Math.round((e.clientY - rect.top) * 100) / 100;
+  session.record({ type: 'pointer', kind, x, y, pointerType: e.pointerType });
+  applyPointer(kind, x, y, e.pointerType);
+}
 
-  /**
-   * Spawns a specified number of particles at a given x and y coordinate.
-   * @param {number} x - The x coordinate at which to spawn the particles.
-   * @param {number} y - The y coordinate at which to spawn the particles.
-   * @param {number} n - The number of particles to spawn. Defaults to 6.
-   */
-  function spawn(x, y, n = 6) {
-    for (let i = 0; i < n; i++) particles.push(new Particle(x, y));
+canvas.addEventListener('pointerdown', (e) => {
+  handlePointer('down', e);
+  if (!isDown && !obstacleDraft) return;
+  try {
+    // Capture the pointer to continue receiving events even if the cursor leaves the canvas.
+    canvas.setPointerCapture && canvas.setPointerCapture(e.pointerId);
+  } catch (_) {}
+});
+canvas.addEventListener('pointermove', (e) => handlePointer('move', e));
+canvas.addEventListener('pointerleave', (e) => handlePointer('leave', e));
+
+function endPointer(e) {
+  handlePointer('up', e);
+  try {
+    // Release the pointer capture when the interaction ends.
+    canvas.releasePointerCapture && canvas.releasePointerCapture(e && e.pointerId);
+  } catch (_) {}
+}
+canvas.addEventListener('pointerup', endPointer);
+canvas.addEventListener('pointercancel', endPointer);
+
+// initial background particles
+function spawnBackground() {
+  for (let i = 0; i < 80; i++) spawn(world.rand(0, w), world.rand(0, h), 1);
+}
+spawnBackground();
+
+// main loop
+let last = performance.now();
+// The simulation advances in fixed steps of SIM_STEP seconds, whatever the
+// display's refresh rate. Leftover time carries over in `accumulator`, and
+// frames drawn between two steps interpolate between them.
+// Longest stretch of real time caught up in one frame, so a backgrounded tab
+// doesn't return to a burst of hundreds of steps.
+const MAX_FRAME_TIME = 0.25;
+let accumulator = 0;
+// the stream emitter rate is scaled by the count slider while holding the pointer
+const baseSpawnPerSecond = 200; // this will be scaled by count slider and limited
+
+const addEntityBtn = document.getElementById('addEntity');
+const entityList = document.getElementById('entityList');
+
+function addEntity(type) {
+  try {
+    inspectedId = scene.add(type).id;
+  } catch (e) {
+    console.error("Failed to create entity:", type, e);
+    alert("Error creating " + type + ". See console for details."); // Notify user
   }
+  renderEntityList();
+}
 
-  // =================================================================
-  // UI CONTROLS
-  // This section handles the sidebar UI for selecting entities and adjusting parameters.
-  // =================================================================
-  const countRange = document.getElementById('count');
-  const speedRange = document.getElementById('speed');
-  const clearBtn = document.getElementById('clear');
-  const countLabel = document.getElementById('countLabel');
-  const speedLabel = document.getElementById('speedLabel');
-  // The entity selector dropdown, which replaced the old "Snake Mode" toggle
-  const entitySelect = document.getElementById('entitySelect');
-
-  // Event listeners for the UI controls
-  countRange.addEventListener('input', () => countLabel.textContent = countRange.value);
-  speedRange.addEventListener('input', () => speedLabel.textContent = Number(speedRange.value).toFixed(1));
-  clearBtn.addEventListener('click', () => particles = []);
-
-  // pointer (click/hold/drag/touch) interactions
-  let isDown = false;
-  let px = 0,
-    py = 0;
-
-  canvas.addEventListener('pointerdown', (e) => {
-    const rect = canvas.getBoundingClientRect();
-    px = e.clientX - rect.left;
-    py = e.clientY - rect.top;
-    isDown = true;
-    try {
-      // Capture the pointer to continue receiving events even if the cursor leaves the canvas.
-      canvas.setPointerCapture && canvas.setPointerCapture(e.pointerId);
-    } catch (_) {}
-    // immediate burst on down
-    spawn(px, py, Number(countRange.value));
-  });
-  canvas.addEventListener('pointermove', (e) => {
-    const rect = canvas.getBoundingClientRect();
-    px = e.clientX - rect.left;
-    py = e.clientY - rect.top;
+// The entity dropdown's option for `type`, or null.
+function entityTypeOption(type) {
+  return [...entitySelect.options].find(option => option.value === type) || null;
+}
+
+// The dropdown label of an entity type. Definitions name themselves, so
+// this is arbitrary text: show it with textContent, never as markup.
+function entityLabel(type) {
+  const option = entityTypeOption(type);
+  return option ? option.textContent : type;
+}
+
+/**
+ * Rebuilds the entity list in the sidebar from the scene entries.
+ * Rows are listed in draw order, so the last row is drawn on top.
+ */
+function renderEntityList() {
+  entityList.innerHTML = '';
+  scene.entries.forEach((entry, i) => {
+    const row = document.createElement('li');
+    row.className = 'entity-row';
+    row.dataset.id = entry.id;
+    row.innerHTML = `
+      <div class="entity-head">
+        <span class="entity-name" title="Edit parameters"></span>
+        <button data-action="back" title="Move back" ${i === 0 ? 'disabled' : ''}>&uarr;</button>
+        <button data-action="forward" title="Move forward" ${i === scene.entries.length - 1 ? 'disabled' : ''}>&darr;</button>
+        <button data-action="remove" title="Remove">&times;</button>
+      </div>
+      <label>Speed: <span class="entity-speed-label">${entry.speed.toFixed(1)}</span>
+        <input data-field="speed" type="range" min="0.1" max="3" step="0.1" value="${entry.speed}" />
+      </label>
+      <label>Target:
+        <select data-field="target"></select>
+      </label>`;
+    // Labels can come from loaded definitions, so they go in as text.
+    row.querySelector('.entity-name').textContent = `${entityLabel(entry.type)} #${entry.id}`;
+    const targetSelect = row.querySelector('[data-field="target"]');
+    for (const [mode, m] of Object.entries(targetModes)) targetSelect.add(new Option(m.label, mode));
+    if (entry.entity instanceof School) row.appendChild(schoolControls(entry.entity));
+    targetSelect.value = entry.targetMode;
+    row.classList.toggle('inspected', entry.id === inspectedId);
+    entityList.appendChild(row);
   });
+  renderInspector();
 
-  function endPointer(e) {
-    isDown = false;
-    try {
-      // Release the pointer capture when the interaction ends.
-      canvas.releasePointerCapture && canvas.releasePointerCapture(e && e.pointerId);
-    } catch (_) {}
-  }
-  canvas.addEventListener('pointerup', endPointer);
-  canvas.addEventListener('pointercancel', endPointer);
+  // Keep the force field "attach to" list in step with the scene.
+  fieldHostSelect.replaceChildren(...scene.entries.map(entry => new Option(`${entityLabel(entry.type)} #${entry.id}`, entry.id)));
+}
 
-  /**
-   * Represents a bone segment in a skeletal structure.
-   * Each bone has a position (x, y), a length, an angle, and an optional parent bone.
-   * Bones are used to create articulated creatures like snakes, dragons, and centipedes.
-   * @param {number} x - The x coordinate of the bone.
-   * @param {number} y - The y coordinate of the bone.
-   */
-  class Bone {
-    constructor(x, y, parent = null, length = 20, angle = 0) {
-      this.x = x;
-      this.y = y;
-      this.length = length;
-      this.angle = angle;
-      this.parent = parent;
-    }
+/**
+ * Builds the collapsible group of steering sliders for a school.
+ * @param {School} school - The school whose config the sliders edit.
+ */
+function schoolControls(school) {
+  const group = document.createElement('details');
+  group.className = 'entity-group';
+  group.innerHTML = '<summary>School</summary>';
+  // Built node by node: the config may come from a loaded preset.
+  for (const t of School.tunables) {
+    const label = document.createElement('label');
+    const shown = document.createElement('span');
+    shown.dataset.label = t.key;
+    shown.textContent = school.config[t.key];
+    const input = document.createElement('input');
+    input.dataset.school = t.key;
+    Object.assign(input, { type: 'range', min: t.min, max: t.max, step: t.step, value: school.config[t.key] });
+    label.append(`${t.label}: `, shown, ' ', input);
+    group.appendChild(label);
+  }
+  return group;
+}
 
-    update() {
-      /**
-       * Updates the bone's position based on its parent's position and angle.
-       * If the bone has no parent, its position remains unchanged.
-       */
-      if (this.parent) {
-        this.x = this.parent.x + Math.cos(this.angle) * this.length;
-        this.y = this.parent.y + Math.sin(this.angle) * this.length;
-      }
-    }
+entityList.addEventListener('click', (e) => {
+  if (e.target.classList.contains('entity-name')) {
+    inspectedId = Number(e.target.closest('.entity-row').dataset.id);
+    renderEntityList();
+    return;
   }
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const id = Number(btn.closest('.entity-row').dataset.id);
+  if (btn.dataset.action === 'remove') {
+    scene.remove(id);
+    // Move the inspector on to the front-most creature.
+    if (id === inspectedId) inspectedId = scene.entries.length ? scene.entries[scene.entries.length - 1].id : null;
+  } else {
+    scene.move(id, btn.dataset.action === 'forward' ? 1 : -1);
+  }
+  renderEntityList();
+});
+
+entityList.addEventListener('input', (e) => {
+  const row = e.target.closest('.entity-row');
+  const entry = row && scene.get(Number(row.dataset.id));
+  if (!entry) return;
+  if (e.target.dataset.school) {
+    const key = e.target.dataset.school;
+    entry.entity.config[key] = Number(e.target.value);
+    row.querySelector(`[data-label="${key}"]`).textContent = e.target.value;
+  } else if (e.target.dataset.field === 'speed') {
+    entry.speed = Number(e.target.value);
+    row.querySelector('.entity-speed-label').textContent = entry.speed.toFixed(1);
+  } else if (e.target.dataset.field === 'target') {
+    scene.setTarget(entry.id, e.target.value);
+  }
+});
 
-  // LimbSystem – for legs, claws, wings
-   /**
-   * Manages a system of connected bone segments forming a limb.
-   * Used for creating legs, claws, and wings for creatures.
-   * The limb segments are updated and drawn as a chain of connected bones.
-   */
-  class LimbSystem {
-    constructor(parentBone, segments = 3, length = 25, side = 1, clawCount = 0) {
-      this.parentBone = parentBone;
-      this.segments = [];
-      this.side = side;
-      this.clawCount = clawCount;
-
-      // build chain of limb segments
-      let currentParent = parentBone;
-      for (let i = 0; i < segments; i++) {
-        const seg = new Bone(currentParent.x, currentParent.y, currentParent, length, 0);
-        this.segments.push(seg);
-        currentParent = seg;
-      }
-    }
+// =================================================================
+// INSPECTOR
+// Live editor for one creature's config. The controls are generated from
+// the config itself: sliders for numbers, colour pickers for hues and CSS
+// colours, checkboxes for flags and collapsible groups for nested objects.
+// Edits take effect on the next simulation step.
+// =================================================================
+const inspector = document.getElementById('inspector');
+let inspectedId = null;
+
+// Slider ranges by config key, or by dotted path for nested values. Numbers
+// not listed here get a range around their starting value; null hides a key.
+const CONFIG_RANGES = {
+  boneCount: { min: 2, max: 120, step: 1 },
+  boneLength: { min: 4, max: 60, step: 1 },
+  headAngleSmoothing: { min: 0.5, max: 20, step: 0.1 },
+  'headSpeed.min': { min: 0, max: 15, step: 0.1 },
+  'headSpeed.max': { min: 0, max: 15, step: 0.1 },
+  'headSpeed.dist': { min: 50, max: 1000, step: 10 },
+  'bodyRadius.0': { min: 0, max: 2, step: 0.05 },
+  'bodyRadius.1': { min: 0, max: 2, step: 0.05 },
+  glowHueRange: { min: 0, max: 360, step: 1 },
+  ribWobbleAmp: { min: 0, max: 10, step: 0.1 },
+  mouthIdleSpeed: { min: 0, max: 0.02, step: 0.0005 },
+  maxParticles: { min: 0, max: 5000, step: 50 },
+  'spine.stiffness': { min: 0, max: 1, step: 0.01 },
+  'spine.maxBend': { min: 0.05, max: 3.14, step: 0.01 },
+  'spine.drag': { min: 0, max: 1, step: 0.01 },
+  'spine.gravity': { min: -1, max: 1, step: 0.01 },
+  'gait.stride': { min: 0.2, max: 4, step: 0.05 },
+  'gait.duty': { min: 0.1, max: 0.9, step: 0.05 },
+  'gait.wavelength': { min: 2, max: 40, step: 1 },
+  followDelay: null, // only seeds headAngleSmoothing when the dragon is built
+};
+
+// A slider range for a number with no entry in CONFIG_RANGES: up to ten
+// times its order of magnitude.
+function guessRange(value) {
+  const magnitude = 10 ** Math.floor(Math.log10(Math.abs(value) || 1));
+  return { min: value < 0 ? -magnitude * 10 : 0, max: magnitude * 10, step: magnitude / 10 };
+}
 
-    update(time, moveDist = 0) {
-      /**
-       * Updates each segment of the limb to have a base angle perpendicular to its parent, plus a sway.
-       * @param {number} time - The current time in milliseconds.
-       */
-      // Update each segment to have a base angle perpendicular to its parent, plus a sway
-      this.segments.forEach((seg, i) => {
-        const parentAngle = seg.parent ? seg.parent.angle : 0;
-        let baseAngle;
-
-        if (i === 1) {
-          baseAngle = parentAngle - this.side * 1.2;
-          // Second segment bends inwards (knee/elbow)
-        } else {
-          const outwardAngle = (i === 0) ? Math.PI / 2 : -0.8; // First segment (hip/shoulder)
-          baseAngle = parentAngle + this.side * outwardAngle;
-        }
-        //Wobble effect
-        const wobbleStrength = Math.min(1, moveDist / 200); // Scale wobble with distance to cursor
-        const sway = Math.sin(time / 400 + i * 0.5) * 0.25 * wobbleStrength; // Add life-like oscillation
-        seg.angle = baseAngle + sway;
-        seg.update();
-      });
-    }
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : String(+value.toFixed(4));
+}
 
-    draw(ctx) {
-      /**
-       * Draws the limb on the canvas context.
-       * Draws the bone segments and claws (if specified).
-       */
-      ctx.strokeStyle = "rgba(255,255,255,0.5)";
-      ctx.lineWidth = 1.2;
-
-      ctx.beginPath();
-      this.segments.forEach((seg, i) => {
-        if (i === 0) ctx.moveTo(seg.parent.x, seg.parent.y);
-        ctx.lineTo(seg.x, seg.y);
-      });
-      ctx.stroke();
-
-      // claws at the tip if specified
-      if (this.clawCount > 0 && this.segments.length > 1) {
-        const tip = this.segments[this.segments.length - 1];
-        const prev = this.segments[this.segments.length - 2];
-        const angle = Math.atan2(tip.y - prev.y, tip.x - prev.x);
-        const clawLen = 12;
-        for (let i = 0; i < this.clawCount; i++) {
-          const spread = (i - (this.clawCount - 1) / 2) * 0.3;
-          ctx.beginPath();
-          ctx.moveTo(tip.x, tip.y);
-          ctx.lineTo(
-            tip.x + Math.cos(angle + spread) * clawLen,
-            tip.y + Math.sin(angle + spread) * clawLen
-          );
-          ctx.stroke();
-        }
-      }
+// Colour pickers only speak #rrggbb, so hues and CSS colours are converted
+// on the way in and out. Alpha is kept aside and put back on edit.
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function hueToHex(hue) {
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    return 255 * (0.5 - 0.5 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return toHex(channel(0), channel(8), channel(4));
+}
+
+function hexToHue(hex) {
+  const [r, g, b] = hexToRgb(hex);
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  if (!d) return 0;
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return Math.round(h * 60) % 360;
+}
+
+/**
+ * Reads a CSS colour for a colour picker.
+ * @returns {{hex: string, alpha: number}|null} Null for colours the picker
+ *   can't show, such as names.
+ */
+function cssToHex(css) {
+  const { color, opacity } = parseColor(css);
+  let m = color.match(/^rgb\((\d+),(\d+),(\d+)\)$/);
+  if (m) return { hex: toHex(m[1], m[2], m[3]), alpha: opacity };
+  m = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i);
+  if (m) return { hex: `#${m[1]}${m[1]}${m[2]}${m[2]}${m[3]}${m[3]}`.toLowerCase(), alpha: 1 };
+  return /^#[0-9a-f]{6}$/i.test(color) ? { hex: color.toLowerCase(), alpha: 1 } : null;
+}
+
+function hexToCss(hex, alpha) {
+  return alpha < 1 ? `rgba(${hexToRgb(hex).join(',')},${alpha})` : hex;
+}
+
+/**
+ * Builds the controls for every value in `config`, with a collapsible group
+ * for each nested object or array. Each input names its value by dotted
+ * path in `data-config`.
+ * @param {object} config - The object the controls edit.
+ * @param {object} ranges - Slider ranges, as in CONFIG_RANGES.
+ * @param {string} [prefix] - Path of `config` inside the creature's config.
+ */
+function configControls(config, ranges, prefix = '') {
+  const fragment = document.createDocumentFragment();
+  for (const [key, value] of Object.entries(config)) {
+    const path = prefix + key;
+    const range = Object.hasOwn(ranges, path) ? ranges[path] : ranges[key];
+    if (range === null || typeof value === 'function') continue;
+    // Keys and values can come from loaded definitions and presets, so
+    // everything goes in as text or properties, never as markup.
+    if (value && typeof value === 'object') {
+      const group = document.createElement('details');
+      group.className = 'entity-group';
+      const summary = document.createElement('summary');
+      summary.textContent = key;
+      group.append(summary, configControls(value, ranges, path + '.'));
+      fragment.appendChild(group);
+      continue;
+    }
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.dataset.config = path;
+    const color = typeof value === 'string' ? cssToHex(value) : null;
+    if (typeof value === 'boolean') {
+      label.className = 'inline-row';
+      input.type = 'checkbox';
+      input.checked = value;
+      label.append(input, ` ${key}`);
+    } else if (typeof value === 'number' && /Hue$/.test(key)) {
+      label.className = 'inline-row';
+      input.dataset.kind = 'hue';
+      Object.assign(input, { type: 'color', value: hueToHex(value) });
+      label.append(`${key} `, input);
+    } else if (color) {
+      label.className = 'inline-row';
+      input.dataset.kind = 'color';
+      input.dataset.alpha = color.alpha;
+      Object.assign(input, { type: 'color', value: color.hex });
+      label.append(`${key} `, input);
+    } else if (typeof value === 'number') {
+      const { min, max, step } = range || guessRange(value);
+      const shown = document.createElement('span');
+      shown.dataset.label = path;
+      shown.textContent = formatValue(value);
+      Object.assign(input, { type: 'range', min, max, step, value });
+      label.append(`${key}: `, shown, ' ', input);
+    } else {
+      Object.assign(input, { type: 'text', value });
+      label.append(`${key}: `, input);
     }
+    fragment.appendChild(label);
   }
+  return fragment;
+}
 
-  // =================================================================
-  // FORELIMB SYSTEM
-  // =================================================================
-  class ForeLimbSystem extends LimbSystem {
-    // Specific update logic for forelimbs
-    /**
-     * Adjusts the angles and sway of the forelimb segments for a more natural front-leg motion.
-     */
-    update(time, moveDist = 0) {
-      this.segments.forEach((seg, i) => {
-        const parentAngle = seg.parent ? seg.parent.angle : 0;
-        let baseAngle;
-        if (i === 1) {
-           baseAngle = parentAngle - this.side * 1.0;
-        } else {
-          baseAngle = parentAngle + this.side * (i === 0 ? Math.PI / 2.0 : -0.9);
-        }
-        const wobbleStrength = Math.min(1, moveDist / 200);
-        const sway = Math.sin(time / 400 + i * 0.5) * 0.25 * wobbleStrength;
-        seg.angle = baseAngle + sway;
-        seg.update();
-      });
-    }
+/**
+ * Rebuilds the inspector for the creature in `inspectedId`.
+ */
+function renderInspector() {
+  const entry = scene.get(inspectedId);
+  inspector.innerHTML = '';
+  if (!entry) {
+    inspector.innerHTML = '<span class="hint">No creature selected</span>';
+    return;
   }
-  // =================================================================
-  // WING SYSTEM
-
-  class WingSystem extends LimbSystem {
-    /**
-     * Generates a flapping animation for wings, creating a sweeping motion where they fold and flutter.
-     */
-    update(time, moveDist = 0) {
-      const flapCycle = time / 600; // Slower, more majestic flap
-      const flapAngle = Math.sin(flapCycle) * 1.4;
-
-      this.segments.forEach((seg, i) => {
-        const parentAngle = seg.parent ? seg.parent.angle : 0;
-        let baseAngle;
-
-        if (i === 0) {
-          baseAngle = parentAngle + this.side * (Math.PI / 2.2 + flapAngle);
-        } else {
-          const fold = Math.sin(flapCycle + Math.PI / 2) * 0.6;
-          baseAngle = parentAngle + this.side * (0.1 + fold);
-        }
-        
-        const flutter = Math.sin(time / 100 + i) * 0.05 * Math.min(1, moveDist / 200);
-        seg.angle = baseAngle + this.side * flutter;
-        seg.update();
-      });
-    }
+  const name = document.createElement('span');
+  name.className = 'entity-name';
+  name.textContent = `${entityLabel(entry.type)} #${entry.id}`;
+  inspector.appendChild(name);
+  if (!entry.entity.config) {
+    inspector.insertAdjacentHTML('beforeend', '<span class="hint">Nothing to edit on this creature</span>');
+    return;
+  }
+  // Schools bring their own slider ranges.
+  const ranges = Object.assign({}, CONFIG_RANGES);
+  for (const t of entry.entity.constructor.tunables || []) ranges[t.key] = t;
+  inspector.appendChild(configControls(entry.entity.config, ranges));
+  const reset = document.createElement('button');
+  reset.textContent = 'Reset to defaults';
+  reset.dataset.action = 'reset';
+  inspector.appendChild(reset);
+}
 
-    draw(ctx) {
-      /**
-       * Draws the wing on the canvas context.
-       * Draws the wing bones and the scalloped wing membrane.
-       */
-      // Draw the wing bones
-      super.draw(ctx);
-
-      // Draw the wing membrane
-      ctx.fillStyle = 'rgba(180, 210, 255, 0.08)';
-      ctx.strokeStyle = 'rgba(210, 230, 255, 0.2)';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      ctx.moveTo(this.parentBone.x, this.parentBone.y);
-
-      // Draw a curved, scalloped membrane between the wing bones for a more realistic look.
-      for (let i = 0; i < this.segments.length - 1; i++) {
-        const p1 = this.segments[i];
-        const p2 = this.segments[i + 1];
-        const midX = (p1.x + p2.x) / 2;
-        const midY = (p1.y + p2.y) / 2;
-        ctx.quadraticCurveTo(p1.x, p1.y, midX, midY);
-      }
-      // Connect back to the root bone
-      ctx.lineTo(this.segments[this.segments.length - 1].x, this.segments[this.segments.length - 1].y);
-      ctx.closePath();
-      ctx.fill();
-      ctx.stroke();
-    }
+inspector.addEventListener('input', (e) => {
+  const el = e.target;
+  const entry = scene.get(inspectedId);
+  if (!entry || !el.dataset.config) return;
+  let value;
+  if (el.type === 'checkbox') value = el.checked;
+  else if (el.dataset.kind === 'hue') value = hexToHue(el.value);
+  else if (el.dataset.kind === 'color') value = hexToCss(el.value, Number(el.dataset.alpha));
+  else if (el.type === 'range') value = Number(el.value);
+  else value = el.value;
+
+  const keys = el.dataset.config.split('.');
+  const last = keys.pop();
+  keys.reduce((obj, key) => obj[key], entry.entity.config)[last] = value;
+  // Rebuilds bones only when the bone count changed.
+  if (entry.entity.configChanged) entry.entity.configChanged();
+  const label = [...inspector.querySelectorAll('[data-label]')].find(l => l.dataset.label === el.dataset.config);
+  if (label) label.textContent = formatValue(value);
+});
+
+inspector.addEventListener('click', (e) => {
+  if (!e.target.closest('button[data-action="reset"]')) return;
+  scene.resetConfig(inspectedId);
+  renderEntityList();
+});
+
+const idleRange = document.getElementById('idle');
+const idleLabel = document.getElementById('idleLabel');
+idleRange.addEventListener('input', () => {
+  world.idleSeconds = Number(idleRange.value);
+  idleLabel.textContent = idleRange.value;
+});
+
+addEntityBtn.addEventListener('click', () => addEntity(entitySelect.value));
+addEntity(entitySelect.value); // Start with the default selected entity
+
+/**
+ * Lists an entity type in the entity dropdown, or renames its entry.
+ * Every registered type is listed, including ones registered later by
+ * plugins (see registerEntity) or loaded from creature definitions.
+ */
+function listEntityType(type, EntityClass, meta) {
+  let option = entityTypeOption(type);
+  if (!option) {
+    option = document.createElement('option');
+    option.value = type;
+    entitySelect.appendChild(option);
   }
+  option.textContent = meta.label;
+}
+for (const [type, meta] of Object.entries(entityMeta)) listEntityType(type, entityTypes[type], meta);
+onEntityRegistered(listEntityType);
+
+// Creature definitions loaded from JSON become new choices in the entity dropdown.
+const creatureFile = document.getElementById('creatureFile');
+
+// Definitions loaded so far, for sessions to replay with.
+function loadedCreatures() {
+  return Object.values(entityTypes).filter(T => T.definition).map(T => T.definition);
+}
 
-  // =================================================================
-  // HINDLIMB SYSTEM
-  // =================================================================
-    class HindLimbSystem extends LimbSystem {
-    /**
-     * Specific update logic for hindlimbs.
-     * Adjusts the angles and sway of the hindlimb segments.
-     */
-    update(time, moveDist = 0) {
-      // Specific update logic for hindlimbs
-      this.segments.forEach((seg, i) => {
-        const parentAngle = seg.parent ? seg.parent.angle : 0;
-        let baseAngle;
-
-        if (i === 1) {
-          baseAngle = parentAngle - this.side * -1.1;
-        } else {
-          baseAngle = parentAngle + this.side * (i === 0 ? Math.PI / 2.0 : -1.0);
-        }
-
-
-        const wobbleStrength = Math.min(1, moveDist / 200);
-
-        const sway = Math.sin(time / 400 + i * 0.5) * 0.25 * wobbleStrength;
-        seg.angle = baseAngle + sway;
-        seg.update();
-      });
+creatureFile.addEventListener('change', async () => {
+  for (const file of creatureFile.files) {
+    try {
+      const definition = JSON.parse(await file.text());
+      entitySelect.value = defineCreature(definition);
+      session.record({ type: 'creature', definition });
+    } catch (e) {
+      console.error('Failed to load creature:', file.name, e);
+      alert(`Could not load ${file.name}: ${e.message}`);
     }
   }
+  creatureFile.value = '';
+});
 
-  // =================================================================
-  // ENTITY CLASSES
-  // =================================================================
-
-  // =================================================================
-  // SKELETAL ENTITY (BASE CLASS)
-  // Provides common "follow-the-leader" mechanics for segmented creatures.
-  // =================================================================
-  class SkeletalEntity {
-    constructor(config) {
-      // The child class now provides the full config object.
-      // We just ensure the base properties exist.
-      this.config = Object.assign({
-        boneCount: 20,
-        boneLength: 25,
-        headAngleSmoothing: 8,
-        headSpeed: { min: 1.5, max: 6.0, dist: 300 },
-      }, config || {});
-      this.bones = [];
-      this.init();
-    }
+// All on-screen drawing goes through the canvas renderer.
+const renderer = new CanvasRenderer(ctx);
 
-    init() {
-      this.bones = [];
-      const hx = Math.round(w / 2);
-      const hy = Math.round(h / 2);
-      for (let i = 0; i < this.config.boneCount; i++) {
-        this.bones.push({
-          x: hx - i * this.config.boneLength,
-          y: hy,
-          angle: 0
-        });
-      }
-    }
+/**
+ * Draws the current frame (particles, then creatures) with any renderer.
+ * @param {CanvasRenderer|SvgRenderer} r - The renderer to draw with.
+ * @param {number} [alpha=1] - Interpolation between the last two simulation steps.
+ */
+function drawFrame(r, alpha = 1) {
+  // Obstacles go at the very back, then particles and food, then the entities.
+  world.obstacles.draw(r);
+  particles.draw(r, alpha);
+  world.ecosystem.draw(r);
+  scene.draw(r, alpha);
+}
 
-    update(dt, px, py, speedVal) {
-      const head = this.bones[0];
-      const dx = px - head.x;
-      const dy = py - head.y;
-      const dist = Math.hypot(dx, dy) || 1;
-      const targetAngle = Math.atan2(dy, dx);
-
-      head.angle = angleLerp(head.angle, targetAngle, Math.min(1, dt * this.config.headAngleSmoothing));
-
-      const moveSpeed = lerp(this.config.headSpeed.min, this.config.headSpeed.max, Math.min(1, dist / this.config.headSpeed.dist)) * speedVal;
-      head.x += Math.cos(head.angle) * moveSpeed * Math.min(1, dt * 60);
-      head.y += Math.sin(head.angle) * moveSpeed * Math.min(1, dt * 60);
-
-      for (let i = 1; i < this.bones.length; i++) {
-        const parent = this.bones[i - 1];
-        const child = this.bones[i];
-        const bdx = parent.x - child.x;
-        const bdy = parent.y - child.y;
-        const bTargetAngle = Math.atan2(bdy, bdx);
-
-        child.x = parent.x - Math.cos(bTargetAngle) * this.config.boneLength;
-        child.y = parent.y - Math.sin(bTargetAngle) * this.config.boneLength;
-        child.angle = bTargetAngle;
-      }
-    }
+/**
+ * Writes the current frame out as an SVG file, with creatures as vector paths.
+ */
+function exportSvg() {
+  const svg = new SvgRenderer(w, h);
+  svg.fillStyle = '#080c14';
+  svg.fillRect(0, 0, w, h);
+  drawFrame(svg);
+  const url = URL.createObjectURL(new Blob([svg.toString()], { type: 'image/svg+xml' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `creatures-${Date.now()}.svg`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+document.getElementById('exportSvg').addEventListener('click', exportSvg);
+
+// Recording controls
+const recordFormat = document.getElementById('recordFormat');
+const recordFps = document.getElementById('recordFps');
+const recordOffline = document.getElementById('recordOffline');
+const recordStartBtn = document.getElementById('recordStart');
+const recordStopBtn = document.getElementById('recordStop');
+const recordStatus = document.getElementById('recordStatus');
+let recorder = null;
+let rafId = 0;
+
+function setRecordingUi(active) {
+  recordStartBtn.disabled = active;
+  recordStopBtn.disabled = !active;
+  recordFormat.disabled = active;
+  recordFps.disabled = active;
+  recordOffline.disabled = active;
+}
 
-    emitParticles() { /* Base implementation does nothing */ }
+function startRecording() {
+  const format = recordFormat.value;
+  const fps = Math.max(1, Math.min(60, Number(recordFps.value) || 30));
+  const offline = recordOffline.checked;
+  if (format === 'webm' && typeof MediaRecorder === 'undefined' && !(offline && typeof VideoEncoder !== 'undefined')) {
+    alert('This browser cannot record WebM video. Try GIF instead.');
+    return;
   }
-
-  // =================================================================
-  // FISH ENTITY
-  // Defines a simple fish that swims towards the cursor.
-  // =================================================================
-  class Fish {
-    /**
-     * Represents a fish with the ability to swim towards the cursor.
-     * The fish has a position, velocity, angle, size, and color.
-     * It animates its fins and tail and emits bubble-like particles.
-     */
-    constructor() {
-      this.x = w / 2;
-      this.y = h / 2;
-      this.vx = 0;
-      this.vy = 0;
-      this.angle = 0;
-      this.size = 25;
-      this.time = 0;
-      this.hue = rand(180, 220);
+  recorder = new ClipRecorder(canvas, { format, fps, offline });
+  if (offline) cancelAnimationFrame(rafId);
+  setRecordingUi(true);
+  recordStatus.textContent = 'Recording…';
+
+  recorder.start(frame).then((blob) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `creatures-${Date.now()}.${format}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    recordStatus.textContent = `Saved ${recorder.duration.toFixed(1)}s clip (${(blob.size / 1024 / 1024).toFixed(1)} MB)`;
+  }).catch((err) => {
+    console.error('Recording failed:', err);
+    alert('Recording failed: ' + err.message);
+    recordStatus.textContent = '';
+  }).finally(() => {
+    const wasOffline = recorder.offline;
+    recorder = null;
+    setRecordingUi(false);
+    if (wasOffline) {
+      last = performance.now();
+      rafId = requestAnimationFrame(loop);
     }
+  });
+}
 
-    update(dt, px, py, speedVal) {
-      /**
-       * Updates the fish's properties based on the provided parameters.
-       * Moves the fish towards the cursor, smoothly rotating and accelerating.
-       * @param {number} dt - The time delta in seconds.
-       * @param {number} px - The x coordinate of the cursor.
-       * @param {number} py - The y coordinate of the cursor.
-       * @param {number} speedVal - A multiplier to adjust the fish's speed.
-       */
-      this.time += dt;
-      const dx = px - this.x;
-      const dy = py - this.y;
-      const dist = Math.hypot(dx, dy) || 1;
-      const targetAngle = Math.atan2(dy, dx);
-      
-      // Smoothly rotate towards the target angle.
-      const angleDiff = ((targetAngle - this.angle + Math.PI) % (Math.PI * 2)) - Math.PI;
-      this.angle += angleDiff * Math.min(1, dt * 4);
-
-      // Accelerate towards the cursor, with more acceleration when further away.
-      const acceleration = lerp(0.05, 0.3, Math.min(1, dist / 500)) * speedVal;
-      this.vx += Math.cos(this.angle) * acceleration;
-      this.vy += Math.sin(this.angle) * acceleration;
-
-      // friction
-      this.vx *= 0.96;
-      this.vy *= 0.96;
-
-      this.x += this.vx * Math.min(1, dt * 60);
-      this.y += this.vy * Math.min(1, dt * 60);
-    }
+recordStartBtn.addEventListener('click', startRecording);
+recordStopBtn.addEventListener('click', () => {
+  if (!recorder) return;
+  recordStatus.textContent = 'Encoding…';
+  recorder.stop();
+});
 
-    draw(ctx) {
-      /**
-       * Draws the fish on the canvas context.
-       * Uses procedural animation for fins and tail and a radial gradient for the body.
-       */
-      ctx.save();
-      ctx.translate(this.x, this.y);
-      ctx.rotate(this.angle);
-
-      // Procedural animation for fins and tail based on time.
-      const bodySway = Math.sin(this.time * 15) * 0.1;
-
-      // Dorsal Fin
-      ctx.fillStyle = `hsla(${this.hue + 10}, 70%, 40%, 0.8)`;
-      ctx.beginPath();
-      ctx.moveTo(-this.size * 0.1, -this.size * 0.3);
-      ctx.quadraticCurveTo(
-        -this.size * 0.3, -this.size * 0.6 + bodySway * this.size * 0.5,
-        -this.size * 0.6, -this.size * 0.2 + bodySway * this.size * 0.2
-      );
-      ctx.closePath();
-      ctx.fill();
-
-
-      const tailSway = Math.sin(this.time * 25) * 0.4;
-
-      // Tail
-      ctx.fillStyle = `hsl(${this.hue + 20}, 80%, 50%)`;
-      ctx.beginPath();
-      ctx.moveTo(-this.size * 0.8, 0);
-      ctx.quadraticCurveTo(-this.size * 1.2, -this.size * 0.5 + tailSway * this.size, -this.size * 1.5, tailSway * this.size * 0.4);
-      ctx.quadraticCurveTo(-this.size * 1.2, this.size * 0.5 + tailSway * this.size, -this.size * 0.8, 0);
-      ctx.fill();
-
-      // Body with a radial gradient to give it a 3D look.
-      const bodyGrad = ctx.createRadialGradient(0, 0, this.size * 0.2, 0, 0, this.size * 1.2);
-      bodyGrad.addColorStop(0, `hsl(${this.hue}, 90%, 75%)`);
-      bodyGrad.addColorStop(1, `hsl(${this.hue}, 90%, 55%)`);
-      ctx.fillStyle = bodyGrad;
-      ctx.beginPath();
-      ctx.ellipse(0, 0, this.size, this.size * 0.5, 0, 0, Math.PI * 2);
-      ctx.fill();
-
-      // Eye with a small highlight for a more lively look.
-      const eyeX = this.size * 0.5;
-      const eyeY = 0;
-      ctx.fillStyle = 'white';
-      ctx.beginPath();
-      ctx.arc(eyeX, eyeY, this.size * 0.15, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = 'black';
-      ctx.beginPath();
-      ctx.arc(eyeX + this.size * 0.05, eyeY, this.size * 0.08, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = 'rgba(255,255,255,0.7)';
-      ctx.beginPath();
-      ctx.arc(eyeX + this.size * 0.02, eyeY - this.size * 0.02, this.size * 0.05, 0, Math.PI * 2);
-      ctx.fill();
-
-      ctx.restore();
-    }
+// =================================================================
+// SESSIONS
+// Records pointer input and sidebar changes, each stamped with the
+// simulation step it arrived before, so a run can be exported as JSON and
+// replayed exactly: same seed, same starting setup, same inputs at the same
+// steps. Used to reproduce bug reports and for canned demos.
+// =================================================================
 
-    emitParticles(dt) {
-      /**
-       * Emits bubble-like particles from behind the fish.
-       * The particles have a random size, lifespan, and hue.
-       */
-      // Occasionally emit bubble-like particles from behind the fish.
-      if (Math.random() < Math.min(0.5, dt * 60 * 0.2)) {
-        const angle = this.angle + Math.PI + rand(-0.2, 0.2);
-        const speed = rand(0.2, 1.0);
-        particles.push(new Particle(this.x, this.y, {
-          vx: Math.cos(angle) * speed,
-          vy: Math.sin(angle) * speed,
-          size: rand(1, 4),
-          life: rand(40, 100),
-          hue: rand(180, 220)
-        }));
-      }
-    }
+/**
+ * Session recorder and player. The demo supplies hooks to capture and
+ * rebuild its starting state, run a step, and apply a recorded event.
+ */
+class Session {
+  /**
+   * @param {object} hooks
+   * @param {function(): object} hooks.capture - Snapshot of the starting setup.
+   * @param {function(object): void} hooks.restore - Rebuilds the world from a session.
+   * @param {function(): number} hooks.step - Number of simulation steps run so far.
+   * @param {function(): void} hooks.simulate - Runs one simulation step.
+   * @param {function(object): void} hooks.apply - Applies one recorded event.
+   */
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.data = null;
+    this.state = 'idle'; // 'idle', 'recording' or 'replaying'
+    this.paused = false;
+    this.cursor = 0;
   }
-  // =================================================================
-  // END OF FISH ENTITY
-  // =================================================================
-
-  // =================================================================
-  // KOI ENTITY
-  // Extends the Fish class with different colors, patterns, and a larger size.
-  // =================================================================
-class Koi extends Fish {
-    /**
-     * Extends the Fish class with unique colors, patterns, and size.
-     */
-    constructor() {
-      super();
-      this.size = 35;
-      this.hue = rand(0, 50); // Oranges and reds for a koi look.
-    }
 
-    draw(ctx) {
-      /**
-       * Draws the Koi on the canvas context.
-       * Uses unique colors, patterns, and bezier curves to create organic-looking spots.
-       */
-      ctx.save();
-      ctx.translate(this.x, this.y);
-      ctx.rotate(this.angle);
-
-      const bodySway = Math.sin(this.time * 15) * 0.1;
-
-      // Dorsal Fin
-      ctx.fillStyle = `hsla(${this.hue + 5}, 70%, 50%, 0.8)`;
-      ctx.beginPath();
-      ctx.moveTo(-this.size * 0.1, -this.size * 0.4);
-      ctx.quadraticCurveTo(
-        -this.size * 0.3, -this.size * 0.7 + bodySway * this.size * 0.5,
-        -this.size * 0.6, -this.size * 0.3 + bodySway * this.size * 0.2
-      );
-      ctx.closePath();
-      ctx.fill();
-
-      const tailSway = Math.sin(this.time * 20) * 0.5;
-
-      // Tail
-      ctx.fillStyle = `hsl(${this.hue + 10}, 80%, 60%)`;
-      ctx.beginPath();
-      ctx.moveTo(-this.size * 0.7, 0);
-      ctx.quadraticCurveTo(-this.size * 1.4, -this.size * 0.6 + tailSway * this.size, -this.size * 1.8, tailSway * this.size * 0.3);
-      ctx.quadraticCurveTo(-this.size * 1.4, this.size * 0.6 + tailSway * this.size, -this.size * 0.7, 0);
-      ctx.fill();
-
-      // Body
-      const bodyGrad = ctx.createRadialGradient(0, 0, this.size * 0.2, 0, 0, this.size * 1.2);
-      bodyGrad.addColorStop(0, `hsl(${this.hue}, 95%, 80%)`);
-      bodyGrad.addColorStop(1, `hsl(${this.hue}, 95%, 60%)`);
-      ctx.fillStyle = bodyGrad;
-      ctx.beginPath();
-      ctx.ellipse(0, 0, this.size, this.size * 0.6, 0, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Draw organic-looking spots using bezier curves.
-      ctx.fillStyle = `hsla(${this.hue - 20}, 90%, 30%, 0.8)`;
-      // More organic spots
-      ctx.beginPath();
-      ctx.moveTo(this.size * 0.4, this.size * 0.2);
-      ctx.bezierCurveTo(this.size * 0.5, -this.size * 0.1, this.size * 0.1, -this.size * 0.3, -this.size * 0.1, -this.size * 0.1);
-      ctx.bezierCurveTo(-this.size * 0.3, this.size * 0.1, this.size * 0.2, this.size * 0.4, this.size * 0.4, this.size * 0.2);
-      ctx.fill();
-      ctx.beginPath();
-      ctx.moveTo(-this.size * 0.5, this.size * 0.3);
-      ctx.bezierCurveTo(-this.size * 0.8, this.size * 0.1, -this.size * 0.8, -this.size * 0.3, -this.size * 0.6, -this.size * 0.2);
-      ctx.bezierCurveTo(-this.size * 0.4, -this.size * 0.1, -this.size * 0.3, this.size * 0.4, -this.size * 0.5, this.size * 0.3);
-      ctx.fill();
-
-      // Eye
-      const eyeX = this.size * 0.6;
-      const eyeY = 0;
-      ctx.fillStyle = 'white';
-      ctx.beginPath();
-      ctx.arc(eyeX, eyeY, this.size * 0.12, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.fillStyle = 'black';
-      ctx.beginPath();
-      ctx.arc(eyeX + this.size * 0.05, eyeY, this.size * 0.07, 0, Math.PI * 2);
-      ctx.fill();
-
-      ctx.restore();
-    }
+  get recording() {
+    return this.state === 'recording';
   }
-  // =================================================================
-  // END OF KOI ENTITY
-  // =================================================================
-
-  // =================================================================
-  // CENTIPEDE ENTITY
-  // Defines a multi-segmented creature with legs that follows the cursor.
-  // =================================================================
-  class Centipede extends SkeletalEntity {
-    /**
-     * Represents a multi-segmented centipede that follows the cursor.
-     * The centipede has a variable number of bones, each with a length and angle.
-     * It animates its legs and antennae and emits no particles.
-     */
-    constructor() {
-      super({
-        boneCount: 40,
-        boneLength: 12,
-        headAngleSmoothing: 10,
-      });
-    }
 
-    draw(ctx) {
-      /**
-       * Draws the centipede on the canvas context.
-       * Uses gradients and procedural animation to create a wiggly, realistic appearance.
-       */
-      const time = performance.now() / 1000;
-      for (let i = 1; i < this.bones.length; i++) {
-        const b = this.bones[i];
-        const t = i / this.bones.length;
-
-        // Body segment
-        const grad = ctx.createRadialGradient(b.x, b.y, 1, b.x, b.y, this.config.boneLength * 0.7);
-        grad.addColorStop(0, `hsl(30, 50%, ${lerp(50, 35, t)}%)`);
-        grad.addColorStop(1, `hsl(30, 50%, ${lerp(30, 15, t)}%)`);
-        ctx.fillStyle = grad;
-        ctx.beginPath();
-        ctx.arc(b.x, b.y, lerp(this.config.boneLength * 0.6, this.config.boneLength * 0.2, t), 0, Math.PI * 2);
-        ctx.fill();
-
-        // Procedurally animate legs to wiggle as the centipede moves.
-        const legLength = this.config.boneLength * 1.4;
-        const legWiggle = Math.sin(time * 40 - i * 0.5);
-        const pxp = -Math.sin(b.angle);
-        const pyp = Math.cos(b.angle);
-
-        ctx.strokeStyle = `hsl(30, 40%, 15%)`;
-        ctx.lineWidth = 2;
-        
-        // Draw two-segment, jointed legs for a more realistic look.
-        for (let side = -1; side <= 1; side += 2) {
-          const jointAngle = b.angle + side * 1.2 + legWiggle * 0.5;
-          const jointX = b.x + Math.cos(jointAngle) * legLength * 0.5;
-          const jointY = b.y + Math.sin(jointAngle) * legLength * 0.5;
-          const tipAngle = b.angle + side * 1.0 + legWiggle * 0.8;
-          const tipX = jointX + Math.cos(tipAngle) * legLength * 0.6;
-          const tipY = jointY + Math.sin(tipAngle) * legLength * 0.6;
-
-          ctx.beginPath();
-          ctx.moveTo(b.x, b.y);
-          ctx.lineTo(jointX, jointY);
-          ctx.lineTo(tipX, tipY);
-          ctx.stroke();
-        }
-      }
+  get replaying() {
+    return this.state === 'replaying';
+  }
 
-      // Head
-      const head = this.bones[0];
-      const headGrad = ctx.createRadialGradient(head.x, head.y, 2, head.x, head.y, this.config.boneLength);
-      headGrad.addColorStop(0, 'hsl(30, 60%, 60%)');
-      headGrad.addColorStop(1, 'hsl(30, 60%, 40%)');
-      ctx.fillStyle = headGrad;
-      ctx.beginPath();
-      ctx.arc(head.x, head.y, this.config.boneLength * 0.8, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Add wiggling antennae to the head.
-      const antennaWiggle = Math.sin(time * 20) * 0.4;
-      ctx.strokeStyle = 'hsl(30, 40%, 10%)';
-      ctx.lineWidth = 1.5;
-      for (let side = -1; side <= 1; side += 2) {
-        const ang = head.angle - side * 0.5 + antennaWiggle * side * 0.3;
-        ctx.beginPath();
-        ctx.moveTo(head.x, head.y);
-        ctx.lineTo(head.x + Math.cos(ang) * this.config.boneLength * 1.5, head.y + Math.sin(ang) * this.config.boneLength * 1.5);
-        ctx.stroke();
-      }
+  // True while a replay is paused, so the main loop must not step.
+  get halted() {
+    return this.replaying && this.paused;
+  }
 
-      ctx.fillStyle = 'black';
-      ctx.beginPath();
-      ctx.arc(head.x + Math.cos(head.angle) * 4, head.y + Math.sin(head.angle) * 4, 2, 0, Math.PI * 2);
-      ctx.fill();
-    }
+  /**
+   * Rebuilds the world from the current setup and starts recording.
+   */
+  startRecording() {
+    this.data = Object.assign({ version: Session.VERSION }, this.hooks.capture(), { steps: 0, events: [] });
+    this.hooks.restore(this.data);
+    this.state = 'recording';
   }
-  // =================================================================
-  // END OF CENTIPEDE ENTITY
-  // =================================================================
-
-  // =================================================================
-  // SNAKE ENTITY
-  // This class defines the behavior and appearance of the snake.
-  // It manages the skeleton, movement, and rendering of the creature.
-  // =================================================================
-  class Snake extends SkeletalEntity {
-    /**
-     * Manages the behavior and appearance of the snake.
-     * Manages the skeleton, movement, and rendering of the creature.
-     */
-    constructor(config = {}) {
-      // Create the complete config object first.
-      const finalConfig = Object.assign({
-        boneCount: 22,
-        boneLength: 26,
-        glowHue: 190,
-        glowHueRange: 60,
-        ribWobbleAmp: 2,
-        mouthIdleSpeed: 0.003,
-        headSpeed: { min: 0.5, max: 4.5, dist: 400 }
-      }, config);
-
-      // Pass the final, unified config to the parent.
-      super(finalConfig);
-    }
 
-    draw(ctx, px, py) {
-      /**
-       * Draws the snake on the canvas context.
-       * Uses a spine polyline, vertebrae, ribs, and a head with a skull, mouth, teeth, and eyes.
-       */
-      const bones = this.bones;
-      const boneLength = this.config.boneLength;
-
-      // === Spine polyline ===
-      const path = new Path2D();
-      for (let i = 0; i < bones.length; i++) {
-        const b = bones[i];
-        if (i === 0) path.moveTo(b.x, b.y);
-        else path.lineTo(b.x, b.y);
-      }
+  /**
+   * Adds an event, stamped with the current step. Ignored unless recording.
+   * @param {object} event - {type: 'pointer'|'control'|'click'|'creature', ...}.
+   */
+  record(event) {
+    if (!this.recording) return;
+    event.step = this.hooks.step();
+    this.data.events.push(event);
+  }
 
-      // The spine's glow hue shifts over time for a dynamic effect.
-      const hueShift = (performance.now() / 50) % this.config.glowHueRange;
-      const glowHue = (this.config.glowHue + hueShift) % 360;
-
-      ctx.strokeStyle = 'rgba(240,240,240,0.12)';
-      ctx.lineWidth = 2.0;
-      ctx.lineJoin = 'round';
-      ctx.stroke(path);
-
-      // A second pass to draw the glow, which pulses in size.
-      const glowPulse = 0.5 + (Math.sin(performance.now() / 400) + 1) * 0.25;
-      ctx.shadowColor = `hsla(${glowHue}, 100%, 70%, 0.4)`;
-      ctx.shadowBlur = 15 * glowPulse;
-      ctx.strokeStyle = `hsla(${glowHue}, 100%, 75%, 0.3)`;
-      ctx.lineWidth = 4;
-      ctx.stroke(path);
-
-      // Reset
-      ctx.shadowColor = 'transparent';
-      ctx.shadowBlur = 0;
-      ctx.lineWidth = 1.0;
-
-      // === Vertebrae: Draw small ellipses along the spine. ===
-      for (let i = 1; i < bones.length; i++) {
-        const b = bones[i];
-        const t = i / bones.length;
-        const rx = lerp(boneLength * 0.5, boneLength * 0.22, t);
-        const ry = lerp(boneLength * 0.22, boneLength * 0.08, t);
-        ctx.save();
-        ctx.translate(b.x, b.y);
-        ctx.rotate(b.angle);
-        const vertGrad = ctx.createLinearGradient(-rx, -ry, rx, ry);
-        const alpha = lerp(0.95, 0.25, t);
-        vertGrad.addColorStop(0, `rgba(255,255,255,${alpha})`);
-        vertGrad.addColorStop(1, `rgba(220,220,230,${alpha * 0.8})`);
-        ctx.fillStyle = vertGrad;
-        ctx.beginPath();
-        ctx.ellipse(0, 0, rx * 0.4, ry * 0.6, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-      }
+  /**
+   * Ends recording or replay. Live input drives the simulation again.
+   */
+  stop() {
+    if (this.recording) this.data.steps = this.hooks.step();
+    this.state = 'idle';
+    this.paused = false;
+  }
 
-      // === Ribs: Draw curved ribs that have a subtle "breathing" wobble. ===
-      for (let i = 1; i < bones.length; i++) {
-        const b = bones[i];
-        const t = i / bones.length;
-        const ux = Math.cos(b.angle);
-        const uy = Math.sin(b.angle);
-        const pxp = -uy;
-        const pyp = ux;
-
-        // The wobble is a sine wave based on time and the bone's index.
-        const wobble = Math.sin(performance.now() / 250 + i * 0.5) * this.config.ribWobbleAmp;
-        const ribLen = lerp(boneLength * 0.5, boneLength * 0.18, t) + wobble;
-        const alpha = lerp(0.9, 0.1, t); // fade tail stronger
-        ctx.strokeStyle = `rgba(245,245,245,${alpha})`;
-        ctx.lineWidth = Math.max(0.7, 1.0 - t * 0.6);
-
-        const sx = b.x;
-        const sy = b.y;
-        // Left rib
-        const lx = sx - pxp * (2 + ribLen);
-        const ly = sy - pyp * (2 + ribLen);
-        const c1x = sx - pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
-        const c1y = sy - pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
-        ctx.beginPath();
-        ctx.moveTo(sx - pxp * 2, sy - pyp * 2);
-        ctx.quadraticCurveTo(c1x, c1y, lx, ly);
-        ctx.stroke();
-
-        // Right rib
-        const rx = sx + pxp * (2 + ribLen);
-        const ry = sy + pyp * (2 + ribLen);
-        const c2x = sx + pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
-        const c2y = sy + pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
-        ctx.beginPath();
-        ctx.moveTo(sx + pxp * 2, sy + pyp * 2);
-        ctx.quadraticCurveTo(c2x, c2y, rx, ry);
-        ctx.stroke();
-      }
+  play() {
+    if (!this.data) return;
+    if (!this.replaying || this.hooks.step() >= this.data.steps) this.seek(0);
+    this.paused = false;
+  }
 
-      // === Head: Draw the skull, mouth, teeth, and eyes. ===
-      const head = this.bones[0];
-      const dxh = px - head.x;
-      const dyh = py - head.y;
-      const distH = Math.hypot(dxh, dyh) || 1;
-
-      // Mouth opening is a combination of an idle "hiss" and opening wider when the cursor is close.
-      const idle = (Math.sin(performance.now() * this.config.mouthIdleSpeed) + 1) * 0.5;
-      const openH = Math.max(0, Math.min(1, 1 - distH / 200)) + idle * 0.3;
-
-      ctx.save();
-      ctx.translate(head.x, head.y);
-      ctx.rotate(head.angle);
-
-      // Skull
-      ctx.fillStyle = '#f0f4f8';
-      ctx.beginPath();
-      ctx.ellipse(0, 0, boneLength * 0.7, boneLength * 0.6, 0, 0, Math.PI * 2);
-      ctx.fill();
-
-      // Mouth
-      ctx.fillStyle = '#071028';
-      ctx.beginPath();
-      const mouthW = boneLength * 0.9;
-      const mouthH = boneLength * 0.22 + openH * 10;
-      ctx.moveTo(-mouthW * 0.45, 0);
-      ctx.quadraticCurveTo(-mouthW * 0.2, mouthH, mouthW * 0.35, openH * 6);
-      ctx.quadraticCurveTo(-mouthW * 0.2, -mouthH, -mouthW * 0.45, 0);
-      ctx.closePath();
-      ctx.fill();
-
-      // Draw simple triangular teeth inside the mouth.
-      ctx.fillStyle = 'rgba(245,245,245,0.95)';
-      const teeth = 6;
-      for (let i = 0; i < teeth; i++) {
-        const tx = -boneLength * 0.18 + i * (boneLength * 0.12);
-        // lower
-        ctx.beginPath();
-        ctx.moveTo(tx, 6 + openH * 6);
-        ctx.lineTo(tx + 3, 2 + openH * 4);
-        ctx.lineTo(tx - 3, 2 + openH * 4);
-        ctx.closePath();
-        ctx.fill();
-        // upper
-        ctx.beginPath();
-        ctx.moveTo(tx, -6 - openH * 6);
-        ctx.lineTo(tx + 3, -2 - openH * 4);
-        ctx.lineTo(tx - 3, -2 - openH * 4);
-        ctx.closePath();
-        ctx.fill();
-      }
+  pause() {
+    this.paused = true;
+  }
 
-      // Eyes that glow and track the cursor's position.
-      const eyeAngle = Math.atan2(dyh, dxh) - head.angle;
-      const eyeDist = Math.min(boneLength * 0.1, distH * 0.05);
-      const ex = Math.cos(eyeAngle) * eyeDist;
-      const ey = Math.sin(eyeAngle) * eyeDist;
-      ctx.fillStyle = `hsl(${glowHue}, 100%, 70%)`;
-      ctx.shadowColor = `hsl(${glowHue}, 100%, 70%)`;
-      ctx.shadowBlur = 8;
-      ctx.beginPath();
-      ctx.arc(boneLength * 0.2 + ex, -boneLength * 0.22 + ey, 2.5, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.beginPath();
-      ctx.arc(boneLength * 0.2 + ex, boneLength * 0.22 + ey, 2.5, 0, Math.PI * 2);
-      ctx.fill();
-
-      ctx.restore();
+  /**
+   * Jumps the replay to `step` by rebuilding the world and re-running every
+   * step up to it. Backwards seeks start over from step 0.
+   */
+  seek(step) {
+    if (!this.data) return;
+    const target = Math.max(0, Math.min(this.data.steps, Math.round(step)));
+    if (!this.replaying || target < this.hooks.step()) {
+      this.state = 'replaying';
+      this.paused = true;
+      this.cursor = 0;
+      this.hooks.restore(this.data);
     }
-
-    // Refactored emitParticles to use a config object for parameters
-    emitParticles(dt) {
-      const { bones, config } = this;
-      if (!bones || particles.length > config.maxParticles) return;
-
-      const particleConfig = {
-        emissionRate: 0.4, //Base emission rate
-        speed: {min: 0.2, max: 1.2}, //Base speed range
-        size: {min: 0.6, max: 1.8}, //Base size range
-        life: {min: 30, max: 90}, //Base life range
-        hue: {min: 10, max: 50}, //Base hue range
-      };
-
-      const chance = Math.min(0.6, dt * 60 * particleConfig.emissionRate);
-      for (let i = 0; i < this.bones.length; i += 3) {
-        if (Math.random() < chance) {
-          const b = this.bones[i];
-          const ang = b.angle + (Math.random() - 0.5) * 0.3;
-          const speed = rand(particleConfig.speed.min, particleConfig.speed.max);
-          const vx = Math.cos(ang) * speed * (0.5 + (1 - i / this.bones.length));
-          const vy = Math.sin(ang) * speed * (0.5 + (1 - i / this.bones.length));
-          const size = rand(particleConfig.size.min, particleConfig.size.max);
-          const life = rand(particleConfig.life.min, particleConfig.life.max);
-          const hue = rand(particleConfig.hue.min, particleConfig.hue.max);
-          particles.push(new Particle(b.x + rand(-2, 2), b.y + rand(-2, 2), {
-            vx, vy, size, life, hue
-          }));
-        }
-      }
+    while (this.hooks.step() < target) {
+      this.beforeStep();
+      this.hooks.simulate();
     }
   }
 
-// =================================================================
-// END OF SNAKE ENTITY
-// =================================================================
+  /**
+   * Called before every simulation step. While replaying, applies the
+   * events recorded before this step and pauses at the end of the session.
+   */
+  beforeStep() {
+    if (!this.replaying) return;
+    const step = this.hooks.step();
+    const events = this.data.events;
+    while (this.cursor < events.length && events[this.cursor].step <= step) {
+      this.hooks.apply(events[this.cursor++]);
+    }
+    if (step >= this.data.steps) this.paused = true;
+  }
 
-// =================================================================
-// DRAGON ENTITY
-// A standalone class for the dragon, with its own skeleton, limbs, and rendering.
-// =================================================================
-class Dragon extends SkeletalEntity {
   /**
-   * Represents a dragon with its own skeleton, limbs, and rendering.
-   * Manages the dragon's bones, ribs, limbs, and wings.
+   * Loads a session parsed from JSON.
+   * @throws {Error} If it isn't a session this version can replay.
    */
-  constructor(config = {}) {
-    // Create the complete config object first.
-    const finalConfig = Object.assign({
-      boneCount: 45,
-      boneLength: 28,
-      glowHue: 190,
-      glowHueRange: 60,
-      ribWobbleAmp: 2,
-      mouthIdleSpeed: 0.003,
-      maxParticles: 1500,
-      followDelay: 0.08, // Smooth following delay (lower = faster response)
-      headAngleSmoothing: 1 / (0.08 * 60), // Convert delay to smoothing factor
-      headSpeed: { min: 1.5, max: 8.0, dist: 500 } // Custom speed for dragon
-    }, config);
-
-    // Pass the final, unified config to the parent.
-    super(finalConfig);
-
-    this.limbs = [];
-    this.wings = [];
-
-    // Initialize limbs and wings after the parent constructor has created the bones.
-    this.limbs = [
-      new LimbSystem(this.bones[6], 3, 25, 1, 3),
-      new ForeLimbSystem(this.bones[6], 3, 25, -1, 3),
-      new HindLimbSystem(this.bones[25], 3, 25, 1, 3),
-      new HindLimbSystem(this.bones[25], 3, 25, -1, 3),
-    ];
-    this.wings = [
-      new WingSystem(this.bones[7], 5, 30, 1, 0),
-      new WingSystem(this.bones[7], 5, 30, -1, 0),
-    ];
+  load(data) {
+    if (!data || data.version !== Session.VERSION || !Array.isArray(data.events) || !Number.isFinite(data.steps)) {
+      throw new Error('Not a session file, or from an incompatible version');
+    }
+    this.stop();
+    this.data = data;
   }
-  update(dt, px, py, speedVal) {
-    // First, call the parent update method to move the spine
-    const time = performance.now();
-    const head = this.bones[0];
-
-    // Calculate distance to cursor BEFORE moving, so limbs get the correct value for animation.
-    const dist = Math.hypot(px - head.x, py - head.y);
-
-    // Now, move the entity.
-    super.update(dt, px, py, speedVal);
-    // Update ribs, limbs, and wings
-    this.limbs.forEach(l => l.update(time, dist));
-    this.wings.forEach(w => w.update(time, dist));
+
+  toJSON() {
+    return this.data;
+  }
+}
+Session.VERSION = 1;
+
+const sessionPanel = document.querySelector('.controls');
+const sessionRecordBtn = document.getElementById('sessionRecord');
+const sessionPlayBtn = document.getElementById('sessionPlay');
+const sessionStopBtn = document.getElementById('sessionStop');
+const sessionExportBtn = document.getElementById('sessionExport');
+const sessionFile = document.getElementById('sessionFile');
+const sessionScrub = document.getElementById('sessionScrub');
+const sessionStatus = document.getElementById('sessionStatus');
+
+// Sidebar controls are addressed by id, or by entity id plus position for
+// the unnamed controls in an entity's row or in the inspector.
+function controlKey(el) {
+  if (el.id) return { id: el.id };
+  if (inspector.contains(el)) {
+    return { inspect: inspectedId, index: [...inspector.querySelectorAll('input, select, button')].indexOf(el) };
   }
+  const row = el.closest('.entity-row');
+  if (!row) return null;
+  return { row: Number(row.dataset.id), index: [...row.querySelectorAll('input, select, button')].indexOf(el) };
+}
 
-  draw(ctx, px, py) {
-    const { bones, config } = this;
-    const { boneLength, glowHue, glowHueRange } = config;
-
-    const time = performance.now();
-    const hueShift = (time / 50) % glowHueRange;
-    const currentHue = (glowHue + hueShift) % 360;
-
-    // === Spine ===
-    ctx.strokeStyle = "rgba(255,255,255,0.7)";
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(this.bones[0].x, this.bones[0].y);
-    this.bones.forEach(b => ctx.lineTo(b.x, b.y));
-    ctx.stroke();
-
-    // === Ribs (Copied from Snake class) ===
-    for (let i = 1; i < bones.length; i++) {
-      const b = bones[i];
-      const t = i / bones.length;
-      const ux = Math.cos(b.angle);
-      const uy = Math.sin(b.angle);
-      const pxp = -uy;
-      const pyp = ux;
-
-      const wobble = Math.sin(performance.now() / 250 + i * 0.5) * config.ribWobbleAmp;
-      const ribLen = lerp(boneLength * 0.6, boneLength * 0.2, t) + wobble;
-      const alpha = lerp(0.9, 0.1, t);
-      ctx.strokeStyle = `rgba(245,245,245,${alpha})`;
-      ctx.lineWidth = Math.max(0.8, 1.2 - t * 0.7);
-
-      const sx = b.x;
-      const sy = b.y;
-      // Left rib
-      const lx = sx - pxp * (2 + ribLen);
-      const ly = sy - pyp * (2 + ribLen);
-      const c1x = sx - pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
-      const c1y = sy - pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
-      ctx.beginPath();
-      ctx.moveTo(sx - pxp * 2, sy - pyp * 2);
-      ctx.quadraticCurveTo(c1x, c1y, lx, ly);
-      ctx.stroke();
-
-      // Right rib
-      const rx = sx + pxp * (2 + ribLen);
-      const ry = sy + pyp * (2 + ribLen);
-      const c2x = sx + pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
-      const c2y = sy + pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
-      ctx.beginPath();
-      ctx.moveTo(sx + pxp * 2, sy + pyp * 2);
-      ctx.quadraticCurveTo(c2x, c2y, rx, ry);
-      ctx.stroke();
+function controlElement(key) {
+  if (key.id) return document.getElementById(key.id);
+  if ('inspect' in key) {
+    if (key.inspect !== inspectedId) {
+      inspectedId = key.inspect;
+      renderEntityList();
     }
+    return inspector.querySelectorAll('input, select, button')[key.index];
+  }
+  const row = entityList.querySelector(`.entity-row[data-id="${key.row}"]`);
+  return row ? row.querySelectorAll('input, select, button')[key.index] : null;
+}
+
+// Sets a control's value and fires the events its handlers listen for.
+function setControl(el, event) {
+  if ('checked' in event) el.checked = event.checked;
+  else el.value = event.value;
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
 
-    // === Limbs ===
-    this.limbs.forEach(l => l.draw(ctx));
+function recordableControl(el) {
+  return el && !el.closest('[data-session-ignore]') && el.type !== 'file';
+}
+
+// Listen in the capture phase, so an entity row is still in the document
+// when its own handler re-renders the list.
+function recordControl(e) {
+  const el = e.target;
+  if (!session.recording || !recordableControl(el)) return;
+  const toggle = el.type === 'checkbox' || el.type === 'radio';
+  // Ranges and number fields report through 'input'; selects and checkboxes through 'change'.
+  if ((e.type === 'input') === (toggle || el.tagName === 'SELECT')) return;
+  const key = controlKey(el);
+  if (!key) return;
+  session.record(Object.assign({ type: 'control' }, key, toggle ? { checked: el.checked } : { value: el.value }));
+}
+sessionPanel.addEventListener('input', recordControl, true);
+sessionPanel.addEventListener('change', recordControl, true);
+sessionPanel.addEventListener('click', (e) => {
+  const button = e.target.closest('button');
+  if (!session.recording || !recordableControl(button)) return;
+  const key = controlKey(button);
+  if (key) session.record(Object.assign({ type: 'click' }, key));
+}, true);
+
+function snapshotControls() {
+  return [...sessionPanel.querySelectorAll('input[id], select[id]')]
+    .filter(recordableControl)
+    .map(el => (el.type === 'checkbox' ? { id: el.id, checked: el.checked } : { id: el.id, value: el.value }));
+}
 
-    // === Wings ===
-    this.wings.forEach(w => w.draw(ctx));
+// The top-level config values an entry has changed since it was added.
+function configOverrides(entry) {
+  if (!entry.entity.config) return null;
+  const overrides = {};
+  for (const [key, value] of Object.entries(entry.entity.config)) {
+    const json = JSON.stringify(value);
+    if (json !== JSON.stringify(entry.defaults[key])) overrides[key] = JSON.parse(json);
+  }
+  return overrides;
+}
+
+/**
+ * The starting setup of a session or preset: seed, canvas size, loaded
+ * creature definitions, sidebar values, path, creatures with their config
+ * overrides, force fields and obstacles. Creatures restart from their spawn pose.
+ */
+function captureWorld() {
+  const entities = scene.entries.map(e => e.entity);
+  return {
+    seed,
+    width: w,
+    height: h,
+    creatures: loadedCreatures(),
+    controls: snapshotControls(),
+    path: path.points.map(p => ({ x: p.x, y: p.y })),
+    entities: scene.entries.map(e => ({
+      type: e.type,
+      speed: e.speed,
+      targetMode: e.targetMode,
+      config: configOverrides(e),
+    })),
+    fields: world.fields.map(f => ({
+      type: f.type, x: f.x, y: f.y, strength: f.strength, radius: f.radius,
+      falloff: f.falloff, angle: f.angle, bone: f.bone, host: entities.indexOf(f.host),
+    })),
+    obstacles: world.obstacles.toJSON(),
+  };
+}
 
-    // === Head ===
-    this.drawSkull(ctx, px, py, currentHue);
+// The part of a saved config that the creature's defaults also have. Unknown
+// keys, `__proto__` among them, are dropped at every level, since presets
+// and sessions can come from anyone.
+function knownConfig(saved, defaults) {
+  const known = {};
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return known;
+  for (const key of Object.keys(saved)) {
+    if (!Object.hasOwn(defaults, key)) continue;
+    const value = saved[key];
+    const base = defaults[key];
+    const nested = value && typeof value === 'object' && !Array.isArray(value) && base && typeof base === 'object' && !Array.isArray(base);
+    known[key] = nested ? knownConfig(value, base) : value;
   }
+  return known;
+}
 
-  drawSkull(ctx, px, py, glowHue) {
-    const { bones, config } = this;
-    const { boneLength } = config;
-    const head = bones[0];
-
-    ctx.save();
-    ctx.translate(head.x, head.y);
-    ctx.rotate(head.angle);
-
-    // Draw a stylized, black dragon head based on the reference image.
-    ctx.fillStyle = 'black';
-    ctx.strokeStyle = 'rgba(200, 200, 200, 0.8)';
-    ctx.lineWidth = 1;
-
-    // Main head shape
-    ctx.beginPath();
-    ctx.moveTo(boneLength * 0.6, 0);
-    ctx.lineTo(boneLength * 0.2, -boneLength * 0.5);
-    ctx.lineTo(-boneLength * 0.5, -boneLength * 0.3);
-    ctx.lineTo(-boneLength * 0.5, boneLength * 0.3);
-    ctx.lineTo(boneLength * 0.2, boneLength * 0.5);
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
-
-    // Horns/spikes
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(-boneLength * 0.5, -boneLength * 0.3);
-    ctx.lineTo(-boneLength * 0.7, -boneLength * 0.6);
-    ctx.stroke();
-    ctx.beginPath();
-    ctx.moveTo(-boneLength * 0.5, boneLength * 0.3);
-    ctx.lineTo(-boneLength * 0.7, boneLength * 0.6);
-    ctx.stroke();
-
-    // Eyes that glow and track the cursor's position.
-    const dxh = px - head.x;
-    const dyh = py - head.y;
-    const eyeAngle = Math.atan2(dyh, dxh) - head.angle;
-    const eyeDist = Math.min(boneLength * 0.1, Math.hypot(dxh, dyh) * 0.05);
-    const ex = Math.cos(eyeAngle) * eyeDist;
-    const ey = Math.sin(eyeAngle) * eyeDist;
-
-    ctx.fillStyle = `hsl(${glowHue}, 100%, 70%)`;
-    ctx.shadowColor = `hsl(${glowHue}, 100%, 70%)`;
-    ctx.shadowBlur = 8;
-    ctx.beginPath();
-    ctx.arc(boneLength * 0.3 + ex, -boneLength * 0.2 + ey, 3, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.arc(boneLength * 0.3 + ex, boneLength * 0.2 + ey, 3, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.shadowColor = 'transparent';
-    ctx.shadowBlur = 0;    // Mouth (new, correct implementation)
-    const distH = Math.hypot(px - head.x, py - head.y) || 1;
-    const idle = (Math.sin(performance.now() * config.mouthIdleSpeed) + 1) * 0.5;
-    const openFactor = Math.max(0, Math.min(1, 1 - distH / 200)) + idle * 0.3;
-    ctx.fillStyle = `hsl(${glowHue}, 90%, 50%)`;
-    ctx.beginPath();
-    ctx.moveTo(boneLength * 0.6, 0);
-    ctx.lineTo(boneLength * 0.4, openFactor * 4);
-    ctx.lineTo(boneLength * 0.4, -openFactor * 4);
-    ctx.closePath();
-    ctx.fill();
-
-    ctx.restore();
+/**
+ * Resets the simulation to the starting setup of `data`.
+ */
+function restoreWorld(data) {
+  seed = data.seed >>> 0;
+  world.reset(seed);
+  seedInput.value = seed;
+  // Definitions first, so the entity dropdown can select them.
+  for (const definition of data.creatures || []) defineCreature(definition);
+  for (const control of data.controls) {
+    const el = document.getElementById(control.id);
+    if (el) setControl(el, control);
   }
 
-  emitParticles(dt) {
-    const { bones, config } = this;
-    if (!bones || particles.length > config.maxParticles) return;
-
-    const chance = Math.min(0.8, dt * 60 * 0.6); // Increased chance for a denser trail
-
-    // Start emitting from the middle of the body to create a tail trail
-    for (let i = 15; i < this.bones.length; i += 2) {
-      if (Math.random() >= chance) continue;
-
-      const b = bones[i];
-      const ang = b.angle + (Math.random() - 0.5) * 0.3;
-      const speed = rand(0.2, 1.2);
-
-      const vx = Math.cos(ang) * speed * (0.2 + (1 - i / bones.length));
-      const vy = Math.sin(ang) * speed * (0.2 + (1 - i / bones.length));
-
-      particles.push(new Particle(
-        b.x + rand(-2, 2),
-        b.y + rand(-2, 2), {
-          vx,
-          vy,
-          size: rand(1.0, 2.5), // Slightly larger particles
-          life: rand(40, 100), // Slightly longer life
-          hue: rand(20, 50)
-        }
-      ));
+  sparkleEmitter.reset();
+  streamEmitter.reset();
+  isDown = false;
+  obstacleDraft = null;
+  accumulator = 0;
+  last = performance.now();
+
+  for (const p of data.path) path.addPoint(p.x, p.y);
+  // Older presets and sessions have no obstacles.
+  for (const o of data.obstacles || []) world.obstacles.add(o);
+  inspectedId = null;
+  for (const saved of data.entities) {
+    const entry = scene.add(saved.type);
+    entry.speed = Number(saved.speed) || 1;
+    scene.setTarget(entry.id, saved.targetMode);
+    if (saved.config && entry.defaults) {
+      // A copy, so live edits to nested values can't reach back into the session.
+      Object.assign(entry.entity.config, knownConfig(JSON.parse(JSON.stringify(saved.config)), entry.defaults));
+      if (entry.entity.configChanged) entry.entity.configChanged();
     }
+    inspectedId = entry.id;
   }
+  world.fields = data.fields.map(f => new ForceField(f.type, Object.assign({}, f, {
+    host: f.host >= 0 && scene.entries[f.host] ? scene.entries[f.host].entity : null,
+  })));
+  spawnBackground();
+  renderEntityList();
 }
-// =================================================================
-// END OF DRAGON ENTITY
-// =================================================================
 
+function applySessionEvent(event) {
+  if (event.type === 'pointer') {
+    applyPointer(event.kind, event.x, event.y, event.pointerType);
+    return;
+  }
+  if (event.type === 'creature') {
+    entitySelect.value = defineCreature(event.definition);
+    return;
+  }
+  const el = controlElement(event);
+  if (!el) return;
+  if (event.type === 'click') el.click();
+  else setControl(el, event);
+}
 
-  // initial background particles
-  for (let i = 0; i < 80; i++) spawn(rand(0, w), rand(0, h), 1);
-
-  // main loop
-  let last = performance.now();
-  // spawn accumulator controls continuous spawn while holding pointer
-  let spawnAcc = 0;
-  const baseSpawnPerSecond = 200; // this will be scaled by count slider and limited
-
-  // =================================================================
-  // ENTITY MANAGEMENT
-  // =================================================================
-  // This section handles switching between different creatures (Snake, Dragon, etc.)
-  // based on the UI dropdown selection.
-  // =================================================================
-  let activeEntity = null;
-  const entityTypes = {
-    snake: Snake,
-    fish: Fish,
-    koi: Koi,
-    centipede: Centipede,
-    dragon: Dragon,
-  };
+const session = new Session({
+  capture: captureWorld,
+  restore: restoreWorld,
+  step: () => world.steps,
+  simulate: () => simulate(SIM_STEP),
+  apply: applySessionEvent,
+});
+
+function updateSessionUi() {
+  const data = session.data;
+  const steps = data ? (session.recording ? world.steps : data.steps) : 0;
+  sessionRecordBtn.disabled = session.state !== 'idle';
+  sessionPlayBtn.disabled = !data || session.recording;
+  sessionPlayBtn.textContent = session.replaying && !session.paused ? 'Pause' : 'Play';
+  sessionStopBtn.disabled = session.state === 'idle';
+  sessionExportBtn.disabled = !data || session.recording;
+  sessionScrub.disabled = !data || session.recording;
+  sessionScrub.max = steps;
+  if (session.replaying) sessionScrub.value = world.steps;
+  if (session.recording) {
+    sessionStatus.textContent = `Recording… ${(world.steps * SIM_STEP).toFixed(1)}s, ${data.events.length} events`;
+  } else if (session.replaying) {
+    // Creatures start at the canvas centre, so a different window size gives a different run.
+    const sizeNote = data.width !== w || data.height !== h ? ` (recorded at ${data.width}×${data.height}, may drift)` : '';
+    sessionStatus.textContent = `Replay ${(world.steps * SIM_STEP).toFixed(1)} / ${(data.steps * SIM_STEP).toFixed(1)}s${sizeNote}`;
+  }
+}
 
-  function switchEntity() {
-    const type = entitySelect.value;
-    if (entityTypes[type]) {
-      try {
-        activeEntity = new entityTypes[type]();
-      } catch (e) {
-        console.error("Failed to create entity:", type, e);
-        activeEntity = null; // Ensure activeEntity is null to prevent further errors
-        alert("Error creating " + type + ". See console for details."); // Notify user
-      }
-    } else {
-      activeEntity = null;
-    }
+sessionRecordBtn.addEventListener('click', () => {
+  session.startRecording();
+  updateSessionUi();
+});
+sessionStopBtn.addEventListener('click', () => {
+  const wasRecording = session.recording;
+  session.stop();
+  if (wasRecording) {
+    sessionStatus.textContent = `Recorded ${(session.data.steps * SIM_STEP).toFixed(1)}s, ${session.data.events.length} events`;
   }
-  // Listen for changes on the dropdown and switch the active entity
-  entitySelect.addEventListener('change', switchEntity);
-  switchEntity(); // Initialize with the default selected entity
+  updateSessionUi();
+});
+sessionPlayBtn.addEventListener('click', () => {
+  if (session.replaying && !session.paused) session.pause();
+  else session.play();
+  updateSessionUi();
+});
+sessionScrub.addEventListener('input', () => {
+  session.seek(Number(sessionScrub.value));
+  updateSessionUi();
+});
+sessionExportBtn.addEventListener('click', () => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(session)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `session-${Date.now()}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+sessionFile.addEventListener('change', async () => {
+  const file = sessionFile.files[0];
+  if (!file) return;
+  try {
+    session.load(JSON.parse(await file.text()));
+    sessionStatus.textContent = `Loaded ${(session.data.steps * SIM_STEP).toFixed(1)}s, ${session.data.events.length} events`;
+  } catch (e) {
+    console.error('Failed to load session:', e);
+    alert('Could not load that session: ' + e.message);
+  }
+  sessionFile.value = '';
+  updateSessionUi();
+});
 
-  function loop(now) {
-    const dt = (now - last) / 1000;
-    last = now;
+// =================================================================
+// PRESETS
+// Named setups saved in localStorage, shared as JSON files or as a link with
+// the setup encoded in the URL hash. A preset is the same snapshot a session
+// starts from, so loading one restarts the simulation from that setup.
+// =================================================================
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = 'canvas-particles.presets';
+const presetName = document.getElementById('presetName');
+const presetSelect = document.getElementById('presetSelect');
+const presetFile = document.getElementById('presetFile');
+const presetStatus = document.getElementById('presetStatus');
 
-    // Clear the canvas with a low-alpha fill to create motion trails.
-    ctx.fillStyle = 'rgba(8,12,20,0.18)';
-    ctx.fillRect(0, 0, w, h);
+/**
+ * Snapshots the current setup as a preset.
+ * @param {string} name - The name it is saved and listed under.
+ */
+function capturePreset(name) {
+  return Object.assign({ version: PRESET_VERSION, name }, captureWorld());
+}
 
+/**
+ * Checks that `data` is a preset this version can load.
+ * @throws {Error} If it isn't.
+ */
+function checkPreset(data) {
+  if (!data || data.version !== PRESET_VERSION || typeof data.name !== 'string' ||
+      !Array.isArray(data.controls) || !Array.isArray(data.entities) || !Array.isArray(data.path) || !Array.isArray(data.fields) ||
+      (data.obstacles !== undefined && !Array.isArray(data.obstacles))) {
+    throw new Error('Not a preset, or from an incompatible version');
+  }
+  return data;
+}
 
-    const speed = Number(speedRange.value);
+// Saved presets by name. Storage can be unavailable (private windows, file://),
+// in which case there are simply none.
+function storedPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+  } catch (e) {
+    console.error('Failed to read presets:', e);
+    return {};
+  }
+}
 
-    // continuous spawn while pointer held (particles)
-    if (isDown) {
-      const targetPerSecond = Math.min(1000, baseSpawnPerSecond * (Number(countRange.value) / 50));
-      spawnAcc += targetPerSecond * dt;
-      while (spawnAcc >= 1) {
-        spawn(px + rand(-6, 6), py + rand(-6, 6), 1);
-        spawnAcc -= 1;
-      }
-    } else {
-      spawnAcc = Math.max(0, spawnAcc - 100 * dt);
-    }
+function storePresets(presets) {
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  } catch (e) {
+    console.error('Failed to save presets:', e);
+    alert('Could not save presets: ' + e.message);
+  }
+  renderPresetList();
+}
 
-    // Update and remove dead particles.
-    for (let i = particles.length - 1; i >= 0; i--) {
-      const p = particles[i];
-      p.update(speed);
-      if (p.life <= 0 || p.x < -60 || p.x > w + 60 || p.y < -60 || p.y > h + 60) particles.splice(i, 1);
-    }
+function renderPresetList() {
+  const selected = presetSelect.value;
+  presetSelect.innerHTML = Object.keys(storedPresets()).sort()
+    .map(name => `<option>${name.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</option>`).join('');
+  if ([...presetSelect.options].some(o => o.value === selected)) presetSelect.value = selected;
+}
 
-    // Update the currently active entity.
-    if (activeEntity) {
-      activeEntity.update(dt, px, py, speed);
-    }
+/**
+ * Restarts the simulation from a preset. Ends any session recording or
+ * replay first, since the world it ran in is gone.
+ */
+function loadPreset(preset) {
+  session.stop();
+  updateSessionUi();
+  restoreWorld(checkPreset(preset));
+  presetStatus.textContent = `Loaded "${preset.name}"`;
+}
+
+// Presets travel in the hash as base64url-encoded UTF-8 JSON.
+function encodePreset(preset) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(JSON.stringify(preset))) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
+function decodePreset(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+}
 
-    // Draw particles first, so they appear behind the entity.
-    for (let i = 0; i < particles.length; i++) particles[i].draw(ctx);
+// Opens the preset in a `#preset=...` link, if the page was given one.
+function loadHashPreset() {
+  const match = location.hash.match(/^#preset=(.+)$/);
+  if (!match) return;
+  try {
+    loadPreset(decodePreset(match[1]));
+  } catch (e) {
+    console.error('Failed to load preset from link:', e);
+    alert('Could not open the preset in this link: ' + e.message);
+  }
+}
 
-    if (activeEntity) {
-      activeEntity.draw(ctx, px, py);
-      if (activeEntity.emitParticles) {
-        activeEntity.emitParticles(dt);
+document.getElementById('presetSave').addEventListener('click', () => {
+  const name = presetName.value.trim() || presetSelect.value;
+  if (!name) {
+    alert('Give the preset a name first.');
+    return;
+  }
+  const presets = storedPresets();
+  presets[name] = capturePreset(name);
+  storePresets(presets);
+  presetSelect.value = name;
+  presetName.value = '';
+  presetStatus.textContent = `Saved "${name}"`;
+});
+document.getElementById('presetLoad').addEventListener('click', () => {
+  const preset = storedPresets()[presetSelect.value];
+  if (preset) {
+    try {
+      loadPreset(preset);
+    } catch (e) {
+      console.error('Failed to load preset:', presetSelect.value, e);
+      alert(`Could not load "${presetSelect.value}": ${e.message}`);
+    }
+  }
+});
+document.getElementById('presetDelete').addEventListener('click', () => {
+  const presets = storedPresets();
+  if (!(presetSelect.value in presets)) return;
+  delete presets[presetSelect.value];
+  storePresets(presets);
+});
+document.getElementById('presetExport').addEventListener('click', () => {
+  const preset = storedPresets()[presetSelect.value] || capturePreset(presetName.value.trim() || 'Untitled');
+  const url = URL.createObjectURL(new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `preset-${preset.name.replace(/[^\w-]+/g, '_')}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+// Imported presets (one per file, or an array of them) are saved, then the last one is loaded.
+presetFile.addEventListener('change', async () => {
+  const presets = storedPresets();
+  let last = null;
+  for (const file of presetFile.files) {
+    try {
+      const data = JSON.parse(await file.text());
+      for (const preset of Array.isArray(data) ? data : [data]) {
+        presets[checkPreset(preset).name] = preset;
+        last = preset;
       }
+    } catch (e) {
+      console.error('Failed to import preset:', file.name, e);
+      alert(`Could not import ${file.name}: ${e.message}`);
     }
+  }
+  presetFile.value = '';
+  if (!last) return;
+  storePresets(presets);
+  presetSelect.value = last.name;
+  try {
+    loadPreset(last);
+  } catch (e) {
+    console.error('Failed to load preset:', last.name, e);
+    alert(`Could not load "${last.name}": ${e.message}`);
+  }
+});
+// Puts the current setup in the address bar and, where allowed, on the clipboard.
+document.getElementById('presetLink').addEventListener('click', async () => {
+  history.replaceState(null, '', '#preset=' + encodePreset(capturePreset(presetSelect.value || 'Shared')));
+  try {
+    await navigator.clipboard.writeText(location.href);
+    presetStatus.textContent = 'Link copied';
+  } catch (_) {
+    presetStatus.textContent = 'Link is in the address bar';
+  }
+});
+window.addEventListener('hashchange', loadHashPreset);
+renderPresetList();
+loadHashPreset();
 
-    requestAnimationFrame(loop);
+/**
+ * Advances the simulation by one fixed step.
+ * @param {number} dt - The step length in seconds (always SIM_STEP).
+ */
+function simulate(dt) {
+  // continuous spawn while pointer held (particles)
+  if (isDown) {
+    streamEmitter.options.rate = Math.min(1000, baseSpawnPerSecond * (Number(countRange.value) / 50));
+    streamEmitter.emit(dt, world.pointer);
   }
 
-  // fill screen initially
-  ctx.fillStyle = '#071028';
-  ctx.fillRect(0, 0, w, h);
-  loop(performance.now());
+  world.step(dt, Number(speedRange.value));
+}
+
+/**
+ * Runs however many simulation steps fit in the time since the last frame,
+ * then draws, interpolating between the last two steps.
+ * @param {number} now - Frame timestamp in milliseconds.
+ */
+function frame(now) {
+  const elapsed = Math.min(MAX_FRAME_TIME, Math.max(0, (now - last) / 1000));
+  last = now;
+
+  accumulator += elapsed;
+  // The epsilon absorbs float drift, so a frame landing exactly on a step
+  // boundary runs that step at every refresh rate.
+  while (accumulator >= SIM_STEP - 1e-9) {
+    session.beforeStep();
+    if (session.halted) break;
+    simulate(SIM_STEP);
+    accumulator -= SIM_STEP;
+  }
+  // A paused replay holds still on its current step.
+  if (session.halted) accumulator = SIM_STEP;
+  accumulator = Math.max(0, accumulator);
+  const alpha = Math.min(1, accumulator / SIM_STEP);
+  // Animation time for the interpolated pose, one partial step behind.
+  world.frameTime = (world.time - SIM_STEP * (1 - alpha)) * 1000;
+
+  // Clear the canvas with a low-alpha fill to create motion trails. The fill
+  // is scaled by elapsed time so trails fade at the same rate at any refresh rate.
+  const fade = 1 - Math.pow(1 - 0.18, elapsed * 60);
+  renderer.fillStyle = `rgba(8,12,20,${fade.toFixed(4)})`;
+  renderer.fillRect(0, 0, w, h);
+
+  drawFrame(renderer, alpha);
+
+  // Path overlay: always while editing, otherwise only when toggled on.
+  const editingPath = toolSelect.value === 'path';
+  if (editingPath || showPathToggle.checked) path.draw(renderer, editingPath);
+  if (toolSelect.value === 'field' || showFieldsToggle.checked) world.fields.forEach(f => f.draw(renderer));
+  if (obstacleDraft) drawObstacleDraft(renderer);
+
+  if (particleStats.textContent !== String(particles.count)) particleStats.textContent = particles.count;
+  if (world.ecosystem.version !== ecosystemVersion) {
+    // Creatures were born, eaten or came back; the list follows the scene.
+    ecosystemVersion = world.ecosystem.version;
+    if (!scene.get(inspectedId)) inspectedId = scene.entries.length ? scene.entries[scene.entries.length - 1].id : null;
+    renderEntityList();
+  }
+  if (world.ecosystem.enabled) updateEcoStats();
+  if (session.state !== 'idle') updateSessionUi();
+  if (recorder && recorder.recording) {
+    recorder.onFrame(now);
+    recordStatus.textContent = `Recording… ${recorder.duration.toFixed(1)}s`;
+  }
+}
+
+// Real-time loop. Offline recording cancels it and steps `frame` itself.
+function loop(now) {
+  frame(now);
+  rafId = requestAnimationFrame(loop);
+}
 
-})();
+// fill screen initially
+renderer.fillStyle = '#071028';
+renderer.fillRect(0, 0, w, h);
+loop(performance.now());
@@ -0,0 +1,385 @@
+/**
+ * Canvas Particles & Creatures — renderers
+ *
+ * The drawing interface the simulation paints through, with a canvas
+ * implementation for the screen and an SVG one for vector frame exports.
+ */
+
+// =================================================================
+// RENDERERS
+// Everything that draws goes through a small renderer interface instead of
+// talking to CanvasRenderingContext2D directly, so a frame can be rendered
+// to a canvas or written out as an SVG document.
+//
+// The interface is the subset of the canvas 2D API the demo uses:
+//   state:     save, restore, translate, rotate, scale, setLineDash
+//   styles:    fillStyle, strokeStyle, lineWidth, lineJoin, lineCap,
+//              globalAlpha, globalCompositeOperation, shadowBlur,
+//              shadowColor, font
+//   paths:     beginPath, moveTo, lineTo, quadraticCurveTo, bezierCurveTo,
+//              arc, ellipse, closePath, fill(path?), stroke(path?),
+//              createPath() (a reusable path, like Path2D)
+//   paint:     fillRect, fillText, drawImage(image, x, y, w, h),
+//              createRadialGradient, createLinearGradient
+// =================================================================
+const RENDERER_PROPERTIES = [
+  'fillStyle', 'strokeStyle', 'lineWidth', 'lineJoin', 'lineCap', 'globalAlpha',
+  'globalCompositeOperation', 'shadowBlur', 'shadowColor', 'font',
+];
+
+/**
+ * Renderer backed by a canvas 2D context. Every call is forwarded as-is.
+ */
+export class CanvasRenderer {
+  constructor(ctx) {
+    this.ctx = ctx;
+  }
+
+  save() { this.ctx.save(); }
+  restore() { this.ctx.restore(); }
+  translate(x, y) { this.ctx.translate(x, y); }
+  rotate(a) { this.ctx.rotate(a); }
+  scale(x, y) { this.ctx.scale(x, y); }
+  setLineDash(dash) { this.ctx.setLineDash(dash); }
+  beginPath() { this.ctx.beginPath(); }
+  moveTo(x, y) { this.ctx.moveTo(x, y); }
+  lineTo(x, y) { this.ctx.lineTo(x, y); }
+  quadraticCurveTo(cx, cy, x, y) { this.ctx.quadraticCurveTo(cx, cy, x, y); }
+  bezierCurveTo(c1x, c1y, c2x, c2y, x, y) { this.ctx.bezierCurveTo(c1x, c1y, c2x, c2y, x, y); }
+  arc(x, y, r, a0, a1, ccw) { this.ctx.arc(x, y, r, a0, a1, ccw); }
+  ellipse(x, y, rx, ry, rot, a0, a1, ccw) { this.ctx.ellipse(x, y, rx, ry, rot, a0, a1, ccw); }
+  closePath() { this.ctx.closePath(); }
+  fill(path) { path ? this.ctx.fill(path) : this.ctx.fill(); }
+  stroke(path) { path ? this.ctx.stroke(path) : this.ctx.stroke(); }
+  createPath() { return new Path2D(); }
+  fillRect(x, y, w, h) { this.ctx.fillRect(x, y, w, h); }
+  fillText(text, x, y) { this.ctx.fillText(text, x, y); }
+  drawImage(image, x, y, w, h) { this.ctx.drawImage(image, x, y, w, h); }
+  createRadialGradient(x0, y0, r0, x1, y1, r1) { return this.ctx.createRadialGradient(x0, y0, r0, x1, y1, r1); }
+  createLinearGradient(x0, y0, x1, y1) { return this.ctx.createLinearGradient(x0, y0, x1, y1); }
+}
+RENDERER_PROPERTIES.forEach(prop => Object.defineProperty(CanvasRenderer.prototype, prop, {
+  get() { return this.ctx[prop]; },
+  set(value) { this.ctx[prop] = value; },
+}));
+
+// Converts CSS colours the demo uses (hex, names, rgb(a), hsl(a)) into an
+// SVG-safe colour and a separate opacity.
+export function parseColor(css) {
+  const str = String(css).trim();
+  if (str === 'transparent') return { color: 'black', opacity: 0 };
+  const m = str.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!m) return { color: str, opacity: 1 };
+  const parts = m[2].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+  const opacity = parts.length > 3 ? parts[3] : 1;
+  if (m[1].startsWith('rgb')) return { color: `rgb(${parts[0]},${parts[1]},${parts[2]})`, opacity };
+  const hh = ((parts[0] % 360) + 360) % 360 / 360;
+  const s = parts[1] / 100;
+  const l = parts[2] / 100;
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    t = (t + 1) % 1;
+    const v = t < 1 / 6 ? p + (q - p) * 6 * t : t < 1 / 2 ? q : t < 2 / 3 ? p + (q - p) * (2 / 3 - t) * 6 : p;
+    return Math.round(v * 255);
+  };
+  return { color: `rgb(${channel(hh + 1 / 3)},${channel(hh)},${channel(hh - 1 / 3)})`, opacity };
+}
+
+const svgNumber = (n) => Number.isFinite(n) ? +n.toFixed(2) : 0;
+const svgEscape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * A gradient recorded for the SVG backend; mirrors CanvasGradient.
+ */
+class SvgGradient {
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+}
+
+/**
+ * A reusable path for the SVG backend; mirrors Path2D. Commands are replayed
+ * through the renderer's transform when the path is filled or stroked.
+ */
+class SvgPath {
+  constructor() {
+    this.commands = [];
+  }
+}
+['moveTo', 'lineTo', 'quadraticCurveTo', 'bezierCurveTo', 'arc', 'ellipse', 'closePath'].forEach(name => {
+  SvgPath.prototype[name] = function (...args) { this.commands.push([name, args]); };
+});
+
+/**
+ * Renderer that records one frame as an SVG document. Paths become real
+ * vector <path> elements, gradients become <defs>, shadows become blur
+ * filters and blend modes become mix-blend-mode.
+ */
+export class SvgRenderer {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.body = [];
+    this.defs = [];
+    this.nextId = 0;
+    this.filters = new Map();
+    this.images = new Map();
+    this.stack = [];
+    this.state = {
+      matrix: [1, 0, 0, 1, 0, 0],
+      fillStyle: '#000',
+      strokeStyle: '#000',
+      lineWidth: 1,
+      lineJoin: 'miter',
+      lineCap: 'butt',
+      lineDash: [],
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      shadowBlur: 0,
+      shadowColor: 'transparent',
+      font: '10px sans-serif',
+    };
+    this.beginPath();
+  }
+
+  // --- state ---
+  save() {
+    this.stack.push(Object.assign({}, this.state, { matrix: this.state.matrix.slice() }));
+  }
+
+  restore() {
+    if (this.stack.length) this.state = this.stack.pop();
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [m0, m1, m2, m3, m4, m5] = this.state.matrix;
+    this.state.matrix = [
+      m0 * a + m2 * b, m1 * a + m3 * b,
+      m0 * c + m2 * d, m1 * c + m3 * d,
+      m0 * e + m2 * f + m4, m1 * e + m3 * f + m5,
+    ];
+  }
+
+  translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+  rotate(a) { this.transform(Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0); }
+  scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+  setLineDash(dash) { this.state.lineDash = dash.slice(); }
+
+  point(x, y) {
+    const m = this.state.matrix;
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  // Uniform scale and rotation of the current transform, for arcs and line widths.
+  get matrixScale() {
+    const m = this.state.matrix;
+    return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+  }
+
+  get matrixAngle() {
+    return Math.atan2(this.state.matrix[1], this.state.matrix[0]);
+  }
+
+  // --- paths ---
+  beginPath() {
+    this.pathData = [];
+    this.hasPoint = false;
+  }
+
+  moveTo(x, y) {
+    const [px, py] = this.point(x, y);
+    this.pathData.push(`M${svgNumber(px)} ${svgNumber(py)}`);
+    this.hasPoint = true;
+  }
+
+  lineTo(x, y) {
+    if (!this.hasPoint) return this.moveTo(x, y);
+    const [px, py] = this.point(x, y);
+    this.pathData.push(`L${svgNumber(px)} ${svgNumber(py)}`);
+  }
+
+  quadraticCurveTo(cx, cy, x, y) {
+    if (!this.hasPoint) this.moveTo(cx, cy);
+    const c = this.point(cx, cy);
+    const p = this.point(x, y);
+    this.pathData.push(`Q${c.map(svgNumber).join(' ')} ${p.map(svgNumber).join(' ')}`);
+  }
+
+  bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+    if (!this.hasPoint) this.moveTo(c1x, c1y);
+    const pts = [this.point(c1x, c1y), this.point(c2x, c2y), this.point(x, y)];
+    this.pathData.push('C' + pts.map(p => p.map(svgNumber).join(' ')).join(' '));
+  }
+
+  arc(x, y, r, a0, a1, ccw = false) {
+    this.ellipse(x, y, r, r, 0, a0, a1, ccw);
+  }
+
+  ellipse(x, y, rx, ry, rot, a0, a1, ccw = false) {
+    const TAU = Math.PI * 2;
+    const at = (a) => this.point(
+      x + rx * Math.cos(a) * Math.cos(rot) - ry * Math.sin(a) * Math.sin(rot),
+      y + rx * Math.cos(a) * Math.sin(rot) + ry * Math.sin(a) * Math.cos(rot)
+    );
+    let sweep = a1 - a0;
+    const full = ccw ? sweep <= -TAU : sweep >= TAU;
+    if (!full) sweep = ccw ? -(((-sweep % TAU) + TAU) % TAU) : ((sweep % TAU) + TAU) % TAU;
+    const start = at(a0);
+    this.pathData.push(`${this.hasPoint ? 'L' : 'M'}${svgNumber(start[0])} ${svgNumber(start[1])}`);
+    this.hasPoint = true;
+    const k = this.matrixScale;
+    const arcTo = (p, large) => this.pathData.push(
+      `A${svgNumber(rx * k)} ${svgNumber(ry * k)} ${svgNumber((rot + this.matrixAngle) * 180 / Math.PI)} ${large} ${ccw ? 0 : 1} ${svgNumber(p[0])} ${svgNumber(p[1])}`
+    );
+    if (full) {
+      // SVG arcs can't draw a full turn in one command, so split it in two.
+      arcTo(at(a0 + Math.PI), 0);
+      arcTo(start, 0);
+    } else {
+      arcTo(at(a0 + sweep), Math.abs(sweep) > Math.PI ? 1 : 0);
+    }
+  }
+
+  closePath() {
+    this.pathData.push('Z');
+  }
+
+  createPath() {
+    return new SvgPath();
+  }
+
+  // Builds the path data for fill()/stroke(), replaying a SvgPath if given.
+  takePath(path) {
+    if (!path) return this.pathData.join('');
+    const saved = this.pathData;
+    const savedPoint = this.hasPoint;
+    this.beginPath();
+    path.commands.forEach(([name, args]) => this[name](...args));
+    const d = this.pathData.join('');
+    this.pathData = saved;
+    this.hasPoint = savedPoint;
+    return d;
+  }
+
+  // --- paint ---
+  paint(style, opacityAttr, colorAttr) {
+    if (style instanceof SvgGradient) return `${colorAttr}="url(#${this.gradient(style)})"`;
+    const { color, opacity } = parseColor(style);
+    return `${colorAttr}="${svgEscape(color)}" ${opacityAttr}="${svgNumber(opacity)}"`;
+  }
+
+  gradient(g) {
+    const id = `g${this.nextId++}`;
+    const c = g.coords.map(svgNumber);
+    const attrs = g.type === 'radial'
+      ? `fx="${c[0]}" fy="${c[1]}" fr="${c[2]}" cx="${c[3]}" cy="${c[4]}" r="${c[5]}"`
+      : `x1="${c[0]}" y1="${c[1]}" x2="${c[2]}" y2="${c[3]}"`;
+    const stops = g.stops.map(({ offset, color }) => {
+      const p = parseColor(color);
+      return `<stop offset="${svgNumber(offset)}" stop-color="${svgEscape(p.color)}" stop-opacity="${svgNumber(p.opacity)}"/>`;
+    }).join('');
+    this.defs.push(`<${g.type}Gradient id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="matrix(${this.state.matrix.map(svgNumber).join(' ')})" ${attrs}>${stops}</${g.type}Gradient>`);
+    return id;
+  }
+
+  // Opacity, shadow and blend attributes shared by every painted element.
+  commonAttributes() {
+    const s = this.state;
+    let attrs = s.globalAlpha < 1 ? ` opacity="${svgNumber(s.globalAlpha)}"` : '';
+    const shadow = parseColor(s.shadowColor);
+    if (s.shadowBlur > 0 && shadow.opacity > 0) {
+      const key = `${shadow.color}|${shadow.opacity}|${s.shadowBlur}`;
+      let id = this.filters.get(key);
+      if (!id) {
+        id = `f${this.nextId++}`;
+        this.filters.set(key, id);
+        this.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="0" dy="0" stdDeviation="${svgNumber(s.shadowBlur / 2)}" flood-color="${svgEscape(shadow.color)}" flood-opacity="${svgNumber(shadow.opacity)}"/></filter>`);
+      }
+      attrs += ` filter="url(#${id})"`;
+    }
+    const blend = { lighter: 'plus-lighter', screen: 'screen', multiply: 'multiply', overlay: 'overlay' }[s.globalCompositeOperation];
+    if (blend) attrs += ` style="mix-blend-mode:${blend}"`;
+    return attrs;
+  }
+
+  fill(path) {
+    const d = this.takePath(path);
+    if (d) this.body.push(`<path d="${d}" ${this.paint(this.state.fillStyle, 'fill-opacity', 'fill')}${this.commonAttributes()}/>`);
+  }
+
+  stroke(path) {
+    const d = this.takePath(path);
+    if (!d) return;
+    const s = this.state;
+    const dash = s.lineDash.length ? ` stroke-dasharray="${s.lineDash.join(' ')}"` : '';
+    this.body.push(`<path d="${d}" fill="none" ${this.paint(s.strokeStyle, 'stroke-opacity', 'stroke')} stroke-width="${svgNumber(s.lineWidth * this.matrixScale)}" stroke-linejoin="${svgEscape(s.lineJoin)}" stroke-linecap="${svgEscape(s.lineCap)}"${dash}${this.commonAttributes()}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    const saved = this.pathData;
+    const savedPoint = this.hasPoint;
+    this.beginPath();
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+    this.fill();
+    this.pathData = saved;
+    this.hasPoint = savedPoint;
+  }
+
+  fillText(text, x, y) {
+    const { color, opacity } = parseColor(this.state.fillStyle);
+    this.body.push(`<text x="${svgNumber(x)}" y="${svgNumber(y)}" transform="matrix(${this.state.matrix.map(svgNumber).join(' ')})" fill="${svgEscape(color)}" fill-opacity="${svgNumber(opacity)}" style="font:${svgEscape(this.state.font)}"${this.commonAttributes()}>${svgEscape(text)}</text>`);
+  }
+
+  drawImage(image, x, y, w, h) {
+    let id = this.images.get(image);
+    if (!id) {
+      id = `i${this.nextId++}`;
+      this.images.set(image, id);
+      let url = image.src;
+      if (image.toDataURL) {
+        url = image.toDataURL();
+      } else {
+        // Inline bitmaps so the SVG stands on its own.
+        const c = document.createElement('canvas');
+        c.width = image.naturalWidth || image.width;
+        c.height = image.naturalHeight || image.height;
+        c.getContext('2d').drawImage(image, 0, 0);
+        try { url = c.toDataURL(); } catch (_) {}
+      }
+      this.defs.push(`<image id="${id}" xlink:href="${url}" width="1" height="1" preserveAspectRatio="none"/>`);
+    }
+    const m = this.state.matrix.map(svgNumber).join(' ');
+    this.body.push(`<use xlink:href="#${id}" transform="matrix(${m}) translate(${svgNumber(x)} ${svgNumber(y)}) scale(${svgNumber(w)} ${svgNumber(h)})"${this.commonAttributes()}/>`);
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SvgGradient('radial', [x0, y0, r0, x1, y1, r1]);
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient('linear', [x0, y0, x1, y1]);
+  }
+
+  /**
+   * Returns the recorded frame as a standalone SVG document.
+   */
+  toString() {
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">` +
+      `<defs>${this.defs.join('')}</defs>${this.body.join('\n')}</svg>`;
+  }
+}
+RENDERER_PROPERTIES.forEach(prop => Object.defineProperty(SvgRenderer.prototype, prop, {
+  get() { return this.state[prop]; },
+  set(value) { this.state[prop] = value; },
+}));
@@ -0,0 +1,5171 @@
+/**
+ * Canvas Particles & Creatures — simulation
+ *
+ * The particle system, force fields, body collisions, target providers and
+ * creatures, tied together by a World. Nothing here touches the DOM when
+ * imported, so creatures can be stepped from Node scripts and tests as well
+ * as from the demo page. Drawing goes through a renderer (see render.js).
+ */
+
+/**
+ * Seedable PRNG (mulberry32). Every random choice in the simulation goes
+ * through its world's `random()`, so the same seed replays the same motion.
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {function(): number} A generator of floats in [0, 1).
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Linear interpolation
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Circular linear interpolation (for angles)
+export function angleLerp(a, b, t) {
+  const diff = ((b - a + Math.PI) % (Math.PI * 2)) - Math.PI;
+  return a + diff * t;
+}
+
+// Wraps an angle into [-PI, PI).
+export function wrapAngle(a) {
+  return a - Math.floor((a + Math.PI) / (Math.PI * 2)) * Math.PI * 2;
+}
+
+// Hashes integer lattice coordinates to a pseudo-random value in [-1, 1].
+function hash2(ix, iy) {
+  let h = Math.imul(ix, 374761393) + Math.imul(iy, 668265263);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967295 * 2 - 1;
+}
+
+// Smooth 2D value noise in [-1, 1], used for organic wandering.
+export function noise2(x, y) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  return lerp(
+    lerp(hash2(ix, iy), hash2(ix + 1, iy), sx),
+    lerp(hash2(ix, iy + 1), hash2(ix + 1, iy + 1), sx),
+    sy
+  );
+}
+
+/**
+ * Uniform grid for neighbour lookups. Items are bucketed by the cell their
+ * position falls in, so a radius query only has to look at nearby cells
+ * instead of every item in the scene.
+ */
+export class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  key(cx, cy) {
+    return ((cx & 0xffff) << 16) | (cy & 0xffff);
+  }
+
+  clear() {
+    // Keep the bucket arrays around between frames unless the map has grown
+    // large from creatures roaming across many cells.
+    if (this.cells.size > 4096) this.cells.clear();
+    else for (const bucket of this.cells.values()) bucket.length = 0;
+  }
+
+  insert(item, x, y) {
+    const k = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    let bucket = this.cells.get(k);
+    if (!bucket) this.cells.set(k, bucket = []);
+    bucket.push(item);
+  }
+
+  /**
+   * Inserts an item into every cell its bounding circle overlaps, so a
+   * point lookup in any one of those cells finds it.
+   */
+  insertBounds(item, x, y, radius) {
+    const cs = this.cellSize;
+    const x0 = Math.floor((x - radius) / cs), x1 = Math.floor((x + radius) / cs);
+    const y0 = Math.floor((y - radius) / cs), y1 = Math.floor((y + radius) / cs);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const k = this.key(cx, cy);
+        let bucket = this.cells.get(k);
+        if (!bucket) this.cells.set(k, bucket = []);
+        bucket.push(item);
+      }
+    }
+  }
+
+  /**
+   * Collects every item stored in the cells overlapping the given circle.
+   * Callers still need to do their own exact distance check.
+   * @param {number} x - The x coordinate of the query centre.
+   * @param {number} y - The y coordinate of the query centre.
+   * @param {number} radius - The query radius.
+   * @param {Array} out - Optional array to fill, reused to avoid allocations.
+   * @returns {Array} The candidate items.
+   */
+  query(x, y, radius, out = []) {
+    out.length = 0;
+    const cs = this.cellSize;
+    const x0 = Math.floor((x - radius) / cs), x1 = Math.floor((x + radius) / cs);
+    const y0 = Math.floor((y - radius) / cs), y1 = Math.floor((y + radius) / cs);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const bucket = this.cells.get(this.key(cx, cy));
+        if (bucket) for (let i = 0; i < bucket.length; i++) out.push(bucket[i]);
+      }
+    }
+    return out;
+  }
+}
+
+// =================================================================
+// PARTICLES
+// Lifetime curves, the particle styles the demo ships with, and the pool
+// every emitter spawns into.
+// =================================================================
+
+/**
+ * A value that changes over a particle's normalized lifetime (0 = born, 1 = dead).
+ * Built from [t, value] keyframes with linear blending between them, or from a
+ * single number for a constant. Sampling reads a small precomputed table.
+ */
+export class Curve {
+  constructor(keys) {
+    if (typeof keys === 'number') keys = [[0, keys], [1, keys]];
+    this.keys = keys.slice().sort((a, b) => a[0] - b[0]);
+    this.table = new Float32Array(Curve.RESOLUTION + 1);
+    for (let i = 0; i <= Curve.RESOLUTION; i++) this.table[i] = this.evaluate(i / Curve.RESOLUTION);
+  }
+
+  evaluate(t) {
+    const keys = this.keys;
+    if (t <= keys[0][0]) return keys[0][1];
+    for (let i = 1; i < keys.length; i++) {
+      if (t <= keys[i][0]) {
+        const [t0, v0] = keys[i - 1];
+        const [t1, v1] = keys[i];
+        return lerp(v0, v1, (t - t0) / ((t1 - t0) || 1));
+      }
+    }
+    return keys[keys.length - 1][1];
+  }
+
+  sample(t) {
+    return this.table[Math.round(Math.min(1, Math.max(0, t)) * Curve.RESOLUTION)];
+  }
+}
+Curve.RESOLUTION = 64;
+
+// Particle styles shared by emitters. The curves run over normalized
+// lifetime: `hue` is added to each particle's own hue and `lightness` is the
+// HSL lightness in percent. `render` picks how each particle is drawn:
+// 'dot', 'soft' (radial sprite), 'spark' (streak along velocity), 'ring',
+// 'star' or 'image' (with `image` set to an image or canvas).
+// `blend` is the canvas composite mode used for the whole style.
+export const SPARKLE_STYLE = {
+  alpha: [[0, 0.8], [1, 0]],
+  size: [[0, 1], [1, 0.45]],
+  hue: 0,
+  lightness: 60,
+  render: 'dot',
+  blend: 'source-over',
+};
+export const SOFT_STYLE = Object.assign({}, SPARKLE_STYLE, { size: [[0, 1.2], [1, 0.6]], render: 'soft', blend: 'screen' });
+export const STAR_STYLE = Object.assign({}, SPARKLE_STYLE, { lightness: 75, render: 'star', blend: 'lighter' });
+export const STREAK_STYLE = Object.assign({}, SPARKLE_STYLE, { render: 'spark', blend: 'lighter' });
+export const RING_STYLE = Object.assign({}, SPARKLE_STYLE, { render: 'ring' });
+export const BUBBLE_STYLE = {
+  alpha: [[0, 0], [0.15, 0.7], [1, 0]],
+  size: [[0, 0.6], [1, 1.3]],
+  hue: 0,
+  lightness: [[0, 75], [1, 60]],
+  render: 'ring',
+  blend: 'source-over',
+};
+export const EMBER_STYLE = {
+  alpha: [[0, 1], [0.6, 0.7], [1, 0]],
+  size: [[0, 1], [1, 0.3]],
+  hue: [[0, 10], [1, -20]],
+  lightness: [[0, 70], [1, 40]],
+  render: 'spark',
+  blend: 'lighter',
+};
+export const GLOW_STYLE = Object.assign({}, EMBER_STYLE, { render: 'soft', blend: 'screen' });
+
+/**
+ * Fixed-capacity particle storage backed by typed arrays.
+ * Live particles are packed into the first `count` slots; a dead particle is
+ * replaced by the last live one (swap-remove), so nothing is allocated or
+ * shifted while the simulation runs.
+ * Each particle points at a style holding its over-lifetime curves, render
+ * type and blend mode.
+ * Drawing is batched by style and colour, so each batch costs one colour
+ * change and one fill() or stroke() no matter how many particles it holds.
+ */
+export class ParticlePool {
+  constructor(capacity, random = Math.random) {
+    this.capacity = capacity;
+    this.random = random;
+    this.count = 0;
+    this.x = new Float32Array(capacity);
+    this.y = new Float32Array(capacity);
+    // Positions before the last update, for interpolated drawing.
+    this.prevX = new Float32Array(capacity);
+    this.prevY = new Float32Array(capacity);
+    this.vx = new Float32Array(capacity);
+    this.vy = new Float32Array(capacity);
+    this.size = new Float32Array(capacity);
+    this.life = new Float32Array(capacity);
+    this.maxLife = new Float32Array(capacity);
+    this.hue = new Float32Array(capacity);
+    this.style = new Uint8Array(capacity);
+    // Optional CSS colours are stored once in `colors` and referenced by index;
+    // index 0 means "use the hue".
+    this.color = new Uint8Array(capacity);
+    this.colors = [null];
+    // Styles are registered once per style object; index 0 is the default sparkle.
+    this.styles = [];
+    this.styleIndex = new Map();
+    this.registerStyle(SPARKLE_STYLE);
+
+    // Scratch space for the batched draw.
+    this.keys = new Uint32Array(capacity);
+    this.order = new Uint32Array(capacity);
+    this.byStyle = new Uint32Array(capacity);
+    this.styleStart = new Uint32Array(257);
+    this.drawSize = new Float32Array(capacity);
+    this.drawAlpha = new Float32Array(capacity);
+    this.drawX = new Float32Array(capacity);
+    this.drawY = new Float32Array(capacity);
+    this.spare = new Uint32Array(capacity);
+    this.radixCount = new Uint32Array(ParticlePool.RADIX + 1);
+  }
+
+  /**
+   * Turns a style definition into curves and returns its index.
+   * Passing the same definition object again returns the same index.
+   * @param {object} def - {alpha, size, hue, lightness} keyframes or constants,
+   *   plus optional `render`, `blend` and `image`.
+   */
+  registerStyle(def) {
+    if (this.styleIndex.has(def)) return this.styleIndex.get(def);
+    if (this.styles.length >= 256) return 0;
+    const style = {
+      alpha: new Curve(def.alpha ?? SPARKLE_STYLE.alpha),
+      size: new Curve(def.size ?? 1),
+      hue: new Curve(def.hue ?? 0),
+      lightness: new Curve(def.lightness ?? 60),
+      render: def.render || 'dot',
+      blend: def.blend || 'source-over',
+      image: def.image || null,
+    };
+    // Sprites are drawn one by one anyway, so each gets its exact alpha.
+    style.sprite = style.render === 'soft' || style.render === 'image';
+    const index = this.styles.push(style) - 1;
+    this.styleIndex.set(def, index);
+    return index;
+  }
+
+  /**
+   * Adds a particle unless the pool is full.
+   * @param {number} x - The x coordinate to spawn at.
+   * @param {number} y - The y coordinate to spawn at.
+   * @param {object} options - Optional {vx, vy, size, life, hue, color, style}.
+   * @returns {boolean} False when the global cap was hit.
+   */
+  spawn(x, y, options = {}) {
+    const random = this.random;
+    const rand = (a, b) => random() * (b - a) + a;
+    const angle = random() * Math.PI * 2;
+    const speed = rand(0.2, 2);
+    const added = this.spawnRaw(
+      x, y,
+      options.vx ?? Math.cos(angle) * speed,
+      options.vy ?? Math.sin(angle) * speed,
+      options.size ?? rand(1, 4),
+      options.life ?? rand(1, 3.3),
+      options.hue ?? rand(180, 260),
+      options.style ?? 0
+    );
+    if (added && options.color) this.color[this.count - 1] = this.colorIndex(options.color);
+    return added;
+  }
+
+  /**
+   * Allocation-free spawn used by emitters.
+   * @returns {boolean} False when the global cap was hit.
+   */
+  spawnRaw(x, y, vx, vy, size, life, hue, style) {
+    if (this.count >= this.capacity) return false;
+    const i = this.count++;
+    this.x[i] = x;
+    this.y[i] = y;
+    this.prevX[i] = x;
+    this.prevY[i] = y;
+    this.vx[i] = vx;
+    this.vy[i] = vy;
+    this.size[i] = size;
+    this.life[i] = life;
+    this.maxLife[i] = life;
+    this.hue[i] = hue;
+    this.style[i] = style;
+    this.color[i] = 0;
+    return true;
+  }
+
+  colorIndex(color) {
+    let index = this.colors.indexOf(color);
+    if (index < 0) {
+      // Past the table size, extra colours share the last slot.
+      if (this.colors.length >= ParticlePool.MAX_COLORS) return ParticlePool.MAX_COLORS - 1;
+      index = this.colors.push(color) - 1;
+    }
+    return index;
+  }
+
+  clear() {
+    this.count = 0;
+  }
+
+  /**
+   * Applies force fields, moves every particle, ages it, and swap-removes
+   * the dead and, when `bounds` are given, the far off-screen.
+   * Velocities are in pixels per 1/60 s; life is in seconds.
+   * @param {number} dt - The time step in seconds.
+   * @param {number} speedMultiplier - A multiplier to adjust particle speed.
+   * @param {ForceField[]} fields - Fields to apply before integrating.
+   * @param {{width: number, height: number}} [bounds] - The visible area.
+   */
+  update(dt, speedMultiplier, fields = [], bounds = null) {
+    for (const field of fields) field.apply(this, speedMultiplier);
+    const { x, y, vx, vy, life, prevX, prevY } = this;
+    const move = speedMultiplier * dt * 60;
+    prevX.set(x.subarray(0, this.count));
+    prevY.set(y.subarray(0, this.count));
+    let i = 0;
+    while (i < this.count) {
+      x[i] += vx[i] * move;
+      y[i] += vy[i] * move;
+      life[i] -= dt;
+      if (life[i] <= 0 || (bounds && (x[i] < -60 || x[i] > bounds.width + 60 || y[i] < -60 || y[i] > bounds.height + 60))) {
+        this.removeAt(i);
+      } else {
+        i++;
+      }
+    }
+  }
+
+  removeAt(i) {
+    const last = --this.count;
+    if (i === last) return;
+    this.x[i] = this.x[last];
+    this.y[i] = this.y[last];
+    this.prevX[i] = this.prevX[last];
+    this.prevY[i] = this.prevY[last];
+    this.vx[i] = this.vx[last];
+    this.vy[i] = this.vy[last];
+    this.size[i] = this.size[last];
+    this.life[i] = this.life[last];
+    this.maxLife[i] = this.maxLife[last];
+    this.hue[i] = this.hue[last];
+    this.style[i] = this.style[last];
+    this.color[i] = this.color[last];
+  }
+
+  /**
+   * Draws all particles with their style's colour, alpha and size curves
+   * applied at their current age.
+   * Particles are radix-sorted by hue or colour, lightness and alpha, and
+   * then stably grouped by style, so the composite mode changes once per
+   * style and the colour once per batch. Soft and image sprites are batched
+   * by colour alone and drawn with their own alpha.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   * @param {number} [alpha=1] - How far between the previous and current
+   *   positions to draw, for rendering between simulation steps.
+   */
+  draw(ctx, alpha = 1) {
+    const { count, keys, order, spare, byStyle, drawSize, drawAlpha, styles, drawX, drawY, x, y, prevX, prevY } = this;
+    for (let i = 0; i < count; i++) {
+      drawX[i] = prevX[i] + (x[i] - prevX[i]) * alpha;
+      drawY[i] = prevY[i] + (y[i] - prevY[i]) * alpha;
+    }
+    const alphaLevels = ParticlePool.ALPHA_LEVELS;
+    const lightLevels = ParticlePool.LIGHT_LEVELS;
+    const hueBuckets = ParticlePool.HUE_BUCKETS;
+    const styleStart = this.styleStart.fill(0);
+    for (let i = 0; i < count; i++) {
+      const style = styles[this.style[i]];
+      const t = 1 - this.life[i] / this.maxLife[i];
+      drawSize[i] = this.size[i] * style.size.sample(t);
+      const alpha = Math.min(1, Math.max(0, style.alpha.sample(t)));
+      drawAlpha[i] = alpha;
+      // Sprite batches only tell visible particles from invisible ones.
+      const a = style.sprite ? Math.ceil(alpha) : Math.round(alpha * (alphaLevels - 1));
+      const l = Math.min(lightLevels - 1, Math.max(0, Math.round(style.lightness.sample(t) / 100 * (lightLevels - 1))));
+      const c = this.color[i];
+      const hue = this.hue[i] + style.hue.sample(t);
+      const colourKey = c ? hueBuckets + c : Math.min(hueBuckets - 1, Math.floor((((hue % 360) + 360) % 360) / 360 * hueBuckets));
+      const key = (colourKey * lightLevels + l) * alphaLevels + a;
+      keys[i] = key;
+      order[i] = i;
+      styleStart[this.style[i] + 1]++;
+    }
+    // Keys fit in two radix digits: sort by the low digit, then the high.
+    this.radixPass(order, spare, count, 0);
+    this.radixPass(spare, order, count, ParticlePool.RADIX_BITS);
+    // Second, stable pass groups the colour-sorted indices by style.
+    for (let s = 0; s < 256; s++) styleStart[s + 1] += styleStart[s];
+    for (let j = 0; j < count; j++) {
+      const i = order[j];
+      byStyle[styleStart[this.style[i]]++] = i;
+    }
+
+    let j = 0;
+    while (j < count) {
+      const styleId = this.style[byStyle[j]];
+      const style = styles[styleId];
+      ctx.globalCompositeOperation = style.blend;
+      while (j < count && this.style[byStyle[j]] === styleId) {
+        const key = keys[byStyle[j]];
+        let end = j + 1;
+        while (end < count && keys[byStyle[end]] === key && this.style[byStyle[end]] === styleId) end++;
+        if (key % alphaLevels !== 0) this.drawBatch(ctx, style, key, j, end);
+        j = end;
+      }
+    }
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * One stable counting-sort pass: copies the particle indices from[0..count)
+   * into `to`, ordered by the radix digit of their keys at bit `shift`.
+   */
+  radixPass(from, to, count, shift) {
+    const counts = this.radixCount.fill(0);
+    const { keys } = this;
+    const mask = ParticlePool.RADIX - 1;
+    for (let j = 0; j < count; j++) counts[((keys[from[j]] >>> shift) & mask) + 1]++;
+    for (let d = 0; d < mask; d++) counts[d + 1] += counts[d];
+    for (let j = 0; j < count; j++) to[counts[(keys[from[j]] >>> shift) & mask]++] = from[j];
+  }
+
+  /**
+   * Draws particles byStyle[start..end), which share a style and colour bucket.
+   */
+  drawBatch(ctx, style, key, start, end) {
+    const { byStyle, drawSize, drawAlpha, drawX: x, drawY: y, vx, vy } = this;
+    const alphaLevels = ParticlePool.ALPHA_LEVELS;
+    const lightLevels = ParticlePool.LIGHT_LEVELS;
+    const hueBuckets = ParticlePool.HUE_BUCKETS;
+    const alpha = (key % alphaLevels) / (alphaLevels - 1);
+    const l = Math.floor(key / alphaLevels) % lightLevels;
+    const colourKey = Math.floor(key / (alphaLevels * lightLevels));
+    // Opaque base colour; the batch alpha goes through globalAlpha.
+    const colour = colourKey >= hueBuckets
+      ? this.colors[colourKey - hueBuckets]
+      : `hsl(${(colourKey + 0.5) * 360 / hueBuckets},85%,${l * 100 / (lightLevels - 1)}%)`;
+    ctx.globalAlpha = alpha;
+
+    switch (style.render) {
+      case 'soft':
+      case 'image': {
+        const sprite = style.render === 'image' && style.image ? style.image : softSprite(colour);
+        const aspect = (sprite.height || 1) / (sprite.width || 1);
+        for (let j = start; j < end; j++) {
+          const i = byStyle[j];
+          const r = drawSize[i] * 2;
+          ctx.globalAlpha = drawAlpha[i];
+          ctx.drawImage(sprite, x[i] - r, y[i] - r * aspect, r * 2, r * 2 * aspect);
+        }
+        return;
+      }
+      case 'spark': {
+        ctx.strokeStyle = colour;
+        ctx.lineWidth = 1.2;
+        ctx.beginPath();
+        for (let j = start; j < end; j++) {
+          const i = byStyle[j];
+          // The streak trails behind the particle, longer when it is faster or bigger.
+          const len = 1.5 + drawSize[i];
+          ctx.moveTo(x[i], y[i]);
+          ctx.lineTo(x[i] - vx[i] * len, y[i] - vy[i] * len);
+        }
+        ctx.stroke();
+        return;
+      }
+      case 'ring': {
+        ctx.strokeStyle = colour;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let j = start; j < end; j++) {
+          const i = byStyle[j];
+          const r = Math.max(0.5, drawSize[i]);
+          ctx.moveTo(x[i] + r, y[i]);
+          ctx.arc(x[i], y[i], r, 0, Math.PI * 2);
+        }
+        ctx.stroke();
+        return;
+      }
+      case 'star': {
+        ctx.fillStyle = colour;
+        ctx.beginPath();
+        for (let j = start; j < end; j++) {
+          const i = byStyle[j];
+          const r = drawSize[i] * 1.8;
+          const q = r * 0.3;
+          ctx.moveTo(x[i], y[i] - r);
+          ctx.lineTo(x[i] + q, y[i] - q);
+          ctx.lineTo(x[i] + r, y[i]);
+          ctx.lineTo(x[i] + q, y[i] + q);
+          ctx.lineTo(x[i], y[i] + r);
+          ctx.lineTo(x[i] - q, y[i] + q);
+          ctx.lineTo(x[i] - r, y[i]);
+          ctx.lineTo(x[i] - q, y[i] - q);
+          ctx.closePath();
+        }
+        ctx.fill();
+        return;
+      }
+      default: {
+        ctx.fillStyle = colour;
+        ctx.beginPath();
+        for (let j = start; j < end; j++) {
+          const i = byStyle[j];
+          const r = Math.max(0.05, drawSize[i]);
+          ctx.moveTo(x[i] + r, y[i]);
+          ctx.arc(x[i], y[i], r, 0, Math.PI * 2);
+        }
+        ctx.fill();
+      }
+    }
+  }
+}
+
+// Soft radial sprites, rendered once per colour and reused every frame.
+// Each is a white falloff tinted with the colour, so any CSS colour works.
+// Only drawing soft particles needs a document; simulating them does not.
+// Particles can take thousands of colours, so the oldest sprites are
+// dropped once there are SOFT_SPRITE_LIMIT.
+const SOFT_SPRITE_LIMIT = 1024;
+const softSprites = new Map();
+let softFalloff = null;
+function softSprite(colour) {
+  let sprite = softSprites.get(colour);
+  if (!sprite) {
+    if (!softFalloff) {
+      softFalloff = document.createElement('canvas');
+      softFalloff.width = softFalloff.height = 32;
+      const g = softFalloff.getContext('2d');
+      const grad = g.createRadialGradient(16, 16, 0, 16, 16, 16);
+      grad.addColorStop(0, 'rgba(255,255,255,1)');
+      grad.addColorStop(0.35, 'rgba(255,255,255,0.45)');
+      grad.addColorStop(1, 'rgba(255,255,255,0)');
+      g.fillStyle = grad;
+      g.fillRect(0, 0, 32, 32);
+    }
+    sprite = document.createElement('canvas');
+    sprite.width = sprite.height = 32;
+    const g = sprite.getContext('2d');
+    g.drawImage(softFalloff, 0, 0);
+    g.globalCompositeOperation = 'source-in';
+    g.fillStyle = colour;
+    g.fillRect(0, 0, 32, 32);
+    if (softSprites.size >= SOFT_SPRITE_LIMIT) softSprites.delete(softSprites.keys().next().value);
+    softSprites.set(colour, sprite);
+  }
+  return sprite;
+}
+// Draw keys: hue in 2° steps, lightness in 2% steps and 64 alpha levels,
+// fine enough that fades don't band. The (180 + 32) * 51 * 64 keys fit in
+// two radix digits.
+ParticlePool.HUE_BUCKETS = 180;
+ParticlePool.MAX_COLORS = 32;
+ParticlePool.LIGHT_LEVELS = 51;
+ParticlePool.ALPHA_LEVELS = 64;
+ParticlePool.RADIX_BITS = 10;
+ParticlePool.RADIX = 1 << ParticlePool.RADIX_BITS;
+
+// =================================================================
+// EMITTERS
+// Reusable particle sources. Entities declare emitters attached to bone
+// indices and call emit() each step instead of hand-rolling spawn loops.
+// =================================================================
+
+/**
+ * Spawns particles from a shape at a continuous rate and/or in bursts.
+ * Shapes:
+ * - 'point': at the host (or one of its bones).
+ * - 'circle': anywhere inside `radius` around that point.
+ * - 'line': along a `length`-long line across the bone's direction.
+ * - 'chain': at bones `from` to `to`, every `step`th bone; `rate` is per bone.
+ * The host passed to emit() is either a skeletal entity (anything with
+ * `bones`) or a plain {x, y, angle} object.
+ * Ranges are [min, max] pairs; `life` is in seconds. `style` sets the
+ * over-lifetime curves, render type and blend mode.
+ * Particles go into `world.particles` and draw on `world.random`.
+ */
+export class Emitter {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.options = Object.assign({
+      shape: 'point',
+      bone: 0,
+      bones: { from: 0, to: undefined, step: 1 },
+      radius: 6,
+      length: 40,
+      rate: 0, // particles per second (per bone for chains)
+      bursts: null, // [{ every: seconds, count }]
+      jitter: 0, // random positional offset in pixels
+      direction: 0, // emission angle relative to the host/bone angle
+      spread: Math.PI * 2,
+      speed: [0.2, 2],
+      size: [1, 4],
+      life: [1, 3.3],
+      hue: [180, 260],
+      taper: null, // chains: speed scale of `taper + (1 - i / boneCount)`
+      cap: Infinity, // stop emitting while the pool holds more than this
+      style: SPARKLE_STYLE,
+    }, options);
+    this.style = this.world.particles.registerStyle(this.options.style);
+    this.acc = 0;
+    this.burstTimers = (this.options.bursts || []).map(() => 0);
+  }
+
+  // Forgets partly accumulated particles and burst timers.
+  reset() {
+    this.acc = 0;
+    this.burstTimers.fill(0);
+  }
+
+  /**
+   * Switches the look of particles emitted from now on.
+   * @param {object} style - A style definition such as SPARKLE_STYLE.
+   */
+  setStyle(style) {
+    this.options.style = style;
+    this.style = this.world.particles.registerStyle(style);
+  }
+
+  /**
+   * Emits this frame's share of the continuous rate plus any bursts that are due.
+   * @param {number} dt - The time delta in seconds.
+   * @param {object} host - The entity or {x, y, angle} to emit from.
+   */
+  emit(dt, host) {
+    const o = this.options;
+    if (this.world.particles.count > o.cap) return;
+    this.acc += o.rate * dt * this.slotCount(host);
+    let n = Math.floor(this.acc);
+    this.acc -= n;
+    if (o.bursts) {
+      o.bursts.forEach((b, i) => {
+        this.burstTimers[i] += dt;
+        if (this.burstTimers[i] >= b.every) {
+          this.burstTimers[i] -= b.every;
+          n += b.count;
+        }
+      });
+    }
+    for (let i = 0; i < n; i++) this.emitOne(host);
+  }
+
+  /**
+   * Emits `count` particles immediately.
+   */
+  burst(count, host) {
+    for (let i = 0; i < count; i++) this.emitOne(host);
+  }
+
+  chainRange(host) {
+    const { from = 0, to, step = 1 } = this.options.bones;
+    const last = Math.min(to ?? host.bones.length - 1, host.bones.length - 1);
+    return { from, step, slots: Math.max(0, Math.floor((last - from) / step) + 1) };
+  }
+
+  slotCount(host) {
+    return this.options.shape === 'chain' && host.bones ? this.chainRange(host).slots : 1;
+  }
+
+  emitOne(host) {
+    const o = this.options;
+    let x, y, angle;
+    let scale = 1;
+    if (o.shape === 'chain' && host.bones) {
+      const { from, step, slots } = this.chainRange(host);
+      if (slots === 0) return;
+      const i = from + step * Math.floor(this.world.random() * slots);
+      const b = host.bones[i];
+      x = b.x;
+      y = b.y;
+      angle = b.angle;
+      if (o.taper !== null) scale = o.taper + (1 - i / host.bones.length);
+    } else {
+      const anchor = host.bones ? host.bones[o.bone] : host;
+      x = anchor.x;
+      y = anchor.y;
+      angle = anchor.angle || 0;
+      if (o.shape === 'circle') {
+        const r = o.radius * Math.sqrt(this.world.random());
+        const a = this.world.random() * Math.PI * 2;
+        x += Math.cos(a) * r;
+        y += Math.sin(a) * r;
+      } else if (o.shape === 'line') {
+        const u = this.world.rand(-0.5, 0.5) * o.length;
+        x -= Math.sin(angle) * u;
+        y += Math.cos(angle) * u;
+      }
+    }
+    if (o.jitter) {
+      x += this.world.rand(-o.jitter, o.jitter);
+      y += this.world.rand(-o.jitter, o.jitter);
+    }
+    const dir = angle + o.direction + (this.world.random() - 0.5) * o.spread;
+    const speed = this.world.rand(o.speed[0], o.speed[1]) * scale;
+    this.world.particles.spawnRaw(
+      x, y,
+      Math.cos(dir) * speed,
+      Math.sin(dir) * speed,
+      this.world.rand(o.size[0], o.size[1]),
+      this.world.rand(o.life[0], o.life[1]),
+      this.world.rand(o.hue[0], o.hue[1]),
+      this.style
+    );
+  }
+}
+
+// =================================================================
+// FORCE FIELDS
+// Forces the particle update consults every step: gravity, wind, point
+// attractors/repulsors, vortices, drag and curl-noise turbulence.
+// =================================================================
+
+/**
+ * A single force acting on particles.
+ * Point-like fields sit at (x, y), or follow a bone of an attached entity.
+ * `radius` and `falloff` control how the strength fades with distance;
+ * a falloff of 'none' makes the field act everywhere.
+ */
+export class ForceField {
+  constructor(type, options = {}) {
+    this.type = type;
+    Object.assign(this, {
+      x: 0,
+      y: 0,
+      strength: 0.5,
+      radius: 200,
+      falloff: 'linear', // 'linear', 'smooth' or 'none'
+      angle: type === 'gravity' ? Math.PI / 2 : 0, // direction for gravity and wind
+      host: null, // entity the field is attached to
+      bone: 0,
+      time: 0,
+    }, options);
+  }
+
+  /**
+   * Advances the field's own clock and follows its host, if it has one.
+   * @param {number} dt - The time delta in seconds.
+   */
+  update(dt) {
+    this.time += dt;
+    if (this.host) {
+      const anchor = this.host.bones ? this.host.bones[this.bone] : entityPosition(this.host);
+      this.x = anchor.x;
+      this.y = anchor.y;
+    }
+  }
+
+  /**
+   * How strongly the field acts at squared distance `d2` from its centre (0 to 1).
+   */
+  weight(d2) {
+    if (this.falloff === 'none') return 1;
+    const r = this.radius;
+    if (d2 >= r * r) return 0;
+    const f = 1 - Math.sqrt(d2) / r;
+    return this.falloff === 'smooth' ? f * f * (3 - 2 * f) : f;
+  }
+
+  /**
+   * Adds this field's acceleration to every particle in the pool.
+   * @param {ParticlePool} pool - The particles to push.
+   * @param {number} speedMultiplier - The global speed, so forces scale with motion.
+   */
+  apply(pool, speedMultiplier) {
+    const { x, y, vx, vy, life, count } = pool;
+    const s = this.strength * speedMultiplier;
+    const fx = this.x;
+    const fy = this.y;
+    switch (this.type) {
+      case 'gravity':
+      case 'wind': {
+        // Wind gusts by modulating its strength with slow noise.
+        const gust = this.type === 'wind' ? 1 + 0.6 * noise2(this.time * 0.5, 7.3) : 1;
+        const k = (this.type === 'wind' ? 0.05 : 0.1) * s * gust;
+        const ax = Math.cos(this.angle) * k;
+        const ay = Math.sin(this.angle) * k;
+        for (let i = 0; i < count; i++) {
+          const wgt = this.weight((x[i] - fx) ** 2 + (y[i] - fy) ** 2);
+          vx[i] += ax * wgt;
+          vy[i] += ay * wgt;
+        }
+        break;
+      }
+      case 'attractor':
+      case 'repulsor': {
+        const sign = this.type === 'attractor' ? 1 : -1;
+        for (let i = 0; i < count; i++) {
+          const dx = fx - x[i];
+          const dy = fy - y[i];
+          const d2 = dx * dx + dy * dy;
+          const wgt = this.weight(d2);
+          if (wgt === 0) continue;
+          const d = Math.sqrt(d2) || 1;
+          // Attractors swallow particles that reach their core.
+          if (sign > 0 && d < 6) {
+            life[i] = 0;
+            continue;
+          }
+          const a = sign * s * 0.5 * wgt / d;
+          vx[i] += dx * a;
+          vy[i] += dy * a;
+        }
+        break;
+      }
+      case 'vortex': {
+        for (let i = 0; i < count; i++) {
+          const dx = fx - x[i];
+          const dy = fy - y[i];
+          const d2 = dx * dx + dy * dy;
+          const wgt = this.weight(d2);
+          if (wgt === 0) continue;
+          const a = s * 0.4 * wgt / (Math.sqrt(d2) || 1);
+          // Mostly tangential, with a gentle inward pull so particles spiral in.
+          vx[i] += (-dy + dx * 0.2) * a;
+          vy[i] += (dx + dy * 0.2) * a;
+        }
+        break;
+      }
+      case 'drag': {
+        for (let i = 0; i < count; i++) {
+          const keep = 1 - Math.min(1, s * 0.05 * this.weight((x[i] - fx) ** 2 + (y[i] - fy) ** 2));
+          vx[i] *= keep;
+          vy[i] *= keep;
+        }
+        break;
+      }
+      case 'turbulence': {
+        // Curl of a scalar noise field: divergence-free, so particles swirl
+        // instead of bunching up.
+        const scale = 0.006;
+        const e = 1;
+        const t = this.time * 0.2;
+        for (let i = 0; i < count; i++) {
+          const wgt = this.weight((x[i] - fx) ** 2 + (y[i] - fy) ** 2);
+          if (wgt === 0) continue;
+          const nx = x[i] * scale + t;
+          const ny = y[i] * scale;
+          const dndx = (noise2(nx + e * scale, ny) - noise2(nx - e * scale, ny)) / (2 * e);
+          const dndy = (noise2(nx, ny + e * scale) - noise2(nx, ny - e * scale)) / (2 * e);
+          const k = s * wgt * 0.15 / scale;
+          vx[i] += dndy * k;
+          vy[i] -= dndx * k;
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Draws the field's centre and reach as an editing overlay.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   */
+  draw(ctx) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(250,204,21,0.5)';
+    ctx.fillStyle = 'rgba(250,204,21,0.8)';
+    ctx.lineWidth = 1;
+    if (this.falloff !== 'none') {
+      ctx.setLineDash([4, 6]);
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    if (this.type === 'gravity' || this.type === 'wind') {
+      ctx.beginPath();
+      ctx.moveTo(this.x, this.y);
+      ctx.lineTo(this.x + Math.cos(this.angle) * 24, this.y + Math.sin(this.angle) * 24);
+      ctx.stroke();
+    }
+    ctx.font = '11px system-ui';
+    ctx.fillText(this.type, this.x + 8, this.y - 8);
+    ctx.restore();
+  }
+}
+
+// =================================================================
+// BODY COLLISIONS
+// Lets particles bounce off and get shoved by creature bodies. Bodies are
+// gathered as circles (skeletal bones) and ellipses (fish) each frame and
+// bucketed in a spatial hash, so each particle only tests nearby bodies.
+// =================================================================
+
+/**
+ * Resolves particle/body contacts once per simulation step.
+ * Entities take part by implementing `collectColliders(collisions)` and
+ * calling addCircle()/addEllipse(). Hits are counted per bone in
+ * `entity.particleHits`, and `entity.onParticleHits(hits)` is called for
+ * every entity that was touched.
+ */
+export class BodyCollisions {
+  constructor(cellSize = 48) {
+    this.grid = new SpatialHash(cellSize);
+    this.colliders = []; // recycled records, the first `count` are live
+    this.count = 0;
+    this.touched = [];
+    this.restitution = 0.4;
+    this.push = 0.6; // share of the body's velocity handed to particles it hits
+    this.enabled = true;
+  }
+
+  nextCollider(entity, index, x, y, vx, vy) {
+    let c = this.colliders[this.count];
+    if (!c) this.colliders.push(c = {});
+    this.count++;
+    c.entity = entity;
+    c.index = index;
+    c.x = x;
+    c.y = y;
+    c.vx = vx || 0;
+    c.vy = vy || 0;
+    if (!entity.particleHits || entity.particleHits.length <= index) {
+      entity.particleHits = new Uint16Array(Math.max(index + 1, entity.bones ? entity.bones.length : 1));
+    }
+    return c;
+  }
+
+  addCircle(entity, index, x, y, r, vx, vy) {
+    const c = this.nextCollider(entity, index, x, y, vx, vy);
+    c.r = r;
+    c.ellipse = false;
+  }
+
+  addEllipse(entity, index, x, y, a, b, angle, vx, vy) {
+    const c = this.nextCollider(entity, index, x, y, vx, vy);
+    c.r = Math.max(a, b);
+    c.a = a;
+    c.b = b;
+    c.cos = Math.cos(angle);
+    c.sin = Math.sin(angle);
+    c.ellipse = true;
+  }
+
+  /**
+   * Pushes every particle that is inside a body back to its surface and
+   * bounces it off the (moving) body.
+   * @param {ParticlePool} pool - The particles to test.
+   * @param {object[]} entities - Everything that may collide this frame.
+   */
+  step(pool, entities) {
+    if (!this.enabled) return;
+    this.count = 0;
+    for (const entity of entities) {
+      if (entity.collectColliders) entity.collectColliders(this);
+    }
+    this.touched.length = 0;
+    for (let k = 0; k < this.count; k++) {
+      const hits = this.colliders[k].entity.particleHits;
+      if (hits.touchedFrame !== this) {
+        hits.fill(0);
+        hits.touchedFrame = this;
+        this.touched.push(this.colliders[k].entity);
+      }
+    }
+    if (this.count === 0) return;
+
+    const grid = this.grid;
+    grid.clear();
+    for (let k = 0; k < this.count; k++) {
+      const c = this.colliders[k];
+      grid.insertBounds(c, c.x, c.y, c.r);
+    }
+
+    const { x, y, vx, vy, count } = pool;
+    const cs = grid.cellSize;
+    for (let i = 0; i < count; i++) {
+      const bucket = grid.cells.get(grid.key(Math.floor(x[i] / cs), Math.floor(y[i] / cs)));
+      if (!bucket || bucket.length === 0) continue;
+      for (let k = 0; k < bucket.length; k++) {
+        const c = bucket[k];
+        let dx = x[i] - c.x;
+        let dy = y[i] - c.y;
+        let nx, ny, sx, sy;
+        if (c.ellipse) {
+          // Work in the ellipse's own frame, then rotate the result back.
+          const lx = c.cos * dx + c.sin * dy;
+          const ly = -c.sin * dx + c.cos * dy;
+          const q = (lx * lx) / (c.a * c.a) + (ly * ly) / (c.b * c.b);
+          if (q >= 1) continue;
+          const k2 = 1 / Math.sqrt(Math.max(q, 1e-6));
+          const gx = lx / (c.a * c.a);
+          const gy = ly / (c.b * c.b);
+          const gl = Math.hypot(gx, gy) || 1;
+          nx = (c.cos * gx - c.sin * gy) / gl;
+          ny = (c.sin * gx + c.cos * gy) / gl;
+          sx = c.x + c.cos * lx * k2 - c.sin * ly * k2;
+          sy = c.y + c.sin * lx * k2 + c.cos * ly * k2;
+        } else {
+          const d2 = dx * dx + dy * dy;
+          if (d2 >= c.r * c.r) continue;
+          const d = Math.sqrt(d2) || 1;
+          nx = dx / d;
+          ny = dy / d;
+          sx = c.x + nx * c.r;
+          sy = c.y + ny * c.r;
+        }
+        x[i] = sx + nx * 0.5;
+        y[i] = sy + ny * 0.5;
+        // Bounce relative to the body, then carry some of its motion along.
+        const rvx = vx[i] - c.vx;
+        const rvy = vy[i] - c.vy;
+        const vn = rvx * nx + rvy * ny;
+        if (vn < 0) {
+          vx[i] -= (1 + this.restitution) * vn * nx;
+          vy[i] -= (1 + this.restitution) * vn * ny;
+        }
+        vx[i] += c.vx * this.push * 0.1;
+        vy[i] += c.vy * this.push * 0.1;
+        const hits = c.entity.particleHits;
+        if (hits[c.index] < 65535) hits[c.index]++;
+        break;
+      }
+    }
+
+    for (const entity of this.touched) {
+      entity.particleHits.touchedFrame = null;
+      if (entity.onParticleHits) entity.onParticleHits(entity.particleHits);
+    }
+  }
+}
+
+// =================================================================
+// SPLINE PATHS
+// A route authored by clicking on the canvas. Creatures can follow it
+// through the "Path" target mode.
+// =================================================================
+
+/**
+ * A Catmull-Rom or cubic Bezier curve through user-placed control points,
+ * sampled into a table so positions can be looked up by arc length.
+ * For Bezier paths the points are read as anchor, control, control, anchor...
+ */
+export class SplinePath {
+  constructor(type = 'catmull', mode = 'loop') {
+    this.points = [];
+    this.type = type; // 'catmull' or 'bezier'
+    this.mode = mode; // 'loop', 'pingpong' or 'once'
+    this.samples = [];
+    this.length = 0;
+  }
+
+  addPoint(x, y) {
+    this.points.push({ x, y });
+    this.rebuild();
+  }
+
+  removeLastPoint() {
+    this.points.pop();
+    this.rebuild();
+  }
+
+  clear() {
+    this.points = [];
+    this.rebuild();
+  }
+
+  setType(type) {
+    this.type = type;
+    this.rebuild();
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    // Only loops join the last point back to the first.
+    this.rebuild();
+  }
+
+  get closed() {
+    return this.mode === 'loop';
+  }
+
+  /**
+   * Re-samples the curve into `samples` ({x, y, s}) with cumulative arc length.
+   */
+  rebuild() {
+    const stepsPerSegment = 24;
+    const segments = this.type === 'bezier' ? this.bezierSegments() : this.catmullSegments();
+    this.samples = [];
+    this.length = 0;
+    let prev = null;
+    for (const seg of segments) {
+      for (let i = prev ? 1 : 0; i <= stepsPerSegment; i++) {
+        const p = seg(i / stepsPerSegment);
+        if (prev) this.length += Math.hypot(p.x - prev.x, p.y - prev.y);
+        p.s = this.length;
+        this.samples.push(p);
+        prev = p;
+      }
+    }
+  }
+
+  catmullSegments() {
+    const pts = this.points;
+    const n = pts.length;
+    if (n < 2) return [];
+    const at = (i) => this.closed ? pts[(i + n) % n] : pts[Math.max(0, Math.min(n - 1, i))];
+    const count = this.closed ? n : n - 1;
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+      const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+      segments.push((t) => {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const f = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+        return { x: f(p0.x, p1.x, p2.x, p3.x), y: f(p0.y, p1.y, p2.y, p3.y) };
+      });
+    }
+    return segments;
+  }
+
+  bezierSegments() {
+    const pts = this.closed && this.points.length >= 3 ? this.points.concat([this.points[0]]) : this.points;
+    const segments = [];
+    for (let i = 0; i + 3 < pts.length; i += 3) {
+      const [p0, p1, p2, p3] = pts.slice(i, i + 4);
+      segments.push((t) => {
+        const u = 1 - t;
+        const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+        return { x: a * p0.x + b * p1.x + c * p2.x + d * p3.x, y: a * p0.y + b * p1.y + c * p2.y + d * p3.y };
+      });
+    }
+    return segments;
+  }
+
+  /**
+   * Returns the point at arc length `s`, measured from the first point.
+   * @param {number} s - Distance along the path, clamped to [0, length].
+   */
+  pointAt(s) {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+    if (s <= 0) return samples[0];
+    if (s >= this.length) return samples[samples.length - 1];
+    let lo = 0, hi = samples.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (samples[mid].s < s) lo = mid;
+      else hi = mid;
+    }
+    const a = samples[lo], b = samples[hi];
+    const t = (s - a.s) / ((b.s - a.s) || 1);
+    return { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) };
+  }
+
+  /**
+   * Draws the curve, and optionally the control points and Bezier handles.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   * @param {boolean} showPoints - Whether to draw the editable control points.
+   */
+  draw(ctx, showPoints) {
+    ctx.save();
+    if (this.samples.length > 1) {
+      ctx.strokeStyle = 'rgba(96,165,250,0.6)';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      this.samples.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    if (showPoints) {
+      if (this.type === 'bezier') {
+        // Handles connect each anchor to its neighbouring control points.
+        ctx.strokeStyle = 'rgba(230,238,248,0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < this.points.length; i++) {
+          if (i % 3 === 2) continue;
+          ctx.moveTo(this.points[i - 1].x, this.points[i - 1].y);
+          ctx.lineTo(this.points[i].x, this.points[i].y);
+        }
+        ctx.stroke();
+      }
+      this.points.forEach((p, i) => {
+        const isAnchor = this.type !== 'bezier' || i % 3 === 0;
+        ctx.fillStyle = isAnchor ? '#60a5fa' : 'rgba(230,238,248,0.8)';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, isAnchor ? 5 : 3.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+    ctx.restore();
+  }
+}
+
+// =================================================================
+// OBSTACLES
+// Rocks and walls placed on the canvas. Creatures steer around obstacles
+// just ahead of them, take a route found by grid A* when their target is
+// behind one, and are pushed back out of any they end up overlapping.
+// =================================================================
+
+/**
+ * One solid shape: a circle, an axis-aligned rectangle or a closed polygon.
+ * Rectangles are kept as four-point polygons. toJSON() gives back the plain
+ * shape the obstacle was made from, for presets and sessions.
+ */
+export class Obstacle {
+  /**
+   * @param {object} shape - `{type: 'circle', x, y, radius}`,
+   *   `{type: 'rect', x, y, width, height}` or `{type: 'polygon', points: [{x, y}, ...]}`.
+   * @throws {Error} If the shape is unknown or malformed.
+   */
+  constructor(shape) {
+    const finite = (...values) => values.every(v => typeof v === 'number' && Number.isFinite(v));
+    this.type = shape && shape.type;
+    if (this.type === 'circle') {
+      if (!finite(shape.x, shape.y, shape.radius) || shape.radius <= 0) throw new Error('A circle obstacle needs x, y and a positive radius');
+      this.x = shape.x;
+      this.y = shape.y;
+      this.radius = shape.radius;
+      this.bounds = { x0: this.x - this.radius, y0: this.y - this.radius, x1: this.x + this.radius, y1: this.y + this.radius };
+      return;
+    }
+    if (this.type === 'rect') {
+      if (!finite(shape.x, shape.y, shape.width, shape.height) || !shape.width || !shape.height) {
+        throw new Error('A rect obstacle needs x, y and a non-zero width and height');
+      }
+      // Dragging up or left gives a negative size; keep the corner at top left.
+      this.x = Math.min(shape.x, shape.x + shape.width);
+      this.y = Math.min(shape.y, shape.y + shape.height);
+      this.width = Math.abs(shape.width);
+      this.height = Math.abs(shape.height);
+      this.points = [
+        { x: this.x, y: this.y },
+        { x: this.x + this.width, y: this.y },
+        { x: this.x + this.width, y: this.y + this.height },
+        { x: this.x, y: this.y + this.height },
+      ];
+    } else if (this.type === 'polygon') {
+      if (!Array.isArray(shape.points) || shape.points.length < 3 || !shape.points.every(p => p && finite(p.x, p.y))) {
+        throw new Error('A polygon obstacle needs at least 3 points');
+      }
+      this.points = shape.points.map(p => ({ x: p.x, y: p.y }));
+    } else {
+      throw new Error(`Unknown obstacle type "${this.type}"`);
+    }
+    const xs = this.points.map(p => p.x);
+    const ys = this.points.map(p => p.y);
+    this.bounds = { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+  }
+
+  /**
+   * Signed distance from (x, y) to the obstacle's edge: negative inside.
+   * @param {{nx: number, ny: number}} [out] - Receives the outward normal,
+   *   the direction that leads out of (or further away from) the obstacle.
+   */
+  distance(x, y, out) {
+    if (this.type === 'circle') {
+      const dx = x - this.x;
+      const dy = y - this.y;
+      const d = Math.hypot(dx, dy);
+      if (out) {
+        out.nx = d > 1e-9 ? dx / d : 1;
+        out.ny = d > 1e-9 ? dy / d : 0;
+      }
+      return d - this.radius;
+    }
+    // Nearest point on any edge, and even-odd crossings for inside/outside.
+    const pts = this.points;
+    let best = Infinity, cx = x, cy = y, inside = false;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const a = pts[j];
+      const b = pts[i];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const t = Math.max(0, Math.min(1, ((x - a.x) * ex + (y - a.y) * ey) / ((ex * ex + ey * ey) || 1)));
+      const qx = a.x + ex * t;
+      const qy = a.y + ey * t;
+      const d2 = (x - qx) * (x - qx) + (y - qy) * (y - qy);
+      if (d2 < best) {
+        best = d2;
+        cx = qx;
+        cy = qy;
+      }
+      if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) / (b.y - a.y) * ex) inside = !inside;
+    }
+    const d = Math.sqrt(best);
+    if (out) {
+      if (d > 1e-9) {
+        out.nx = (x - cx) / d * (inside ? -1 : 1);
+        out.ny = (y - cy) / d * (inside ? -1 : 1);
+      } else {
+        // Exactly on the edge: head away from the middle of the shape.
+        const mx = x - (this.bounds.x0 + this.bounds.x1) / 2;
+        const my = y - (this.bounds.y0 + this.bounds.y1) / 2;
+        const m = Math.hypot(mx, my) || 1;
+        out.nx = mx / m;
+        out.ny = my / m;
+      }
+    }
+    return inside ? -d : d;
+  }
+
+  toJSON() {
+    if (this.type === 'circle') return { type: 'circle', x: this.x, y: this.y, radius: this.radius };
+    if (this.type === 'rect') return { type: 'rect', x: this.x, y: this.y, width: this.width, height: this.height };
+    return { type: 'polygon', points: this.points.map(p => ({ x: p.x, y: p.y })) };
+  }
+
+  /**
+   * Traces the obstacle's outline as the current path.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   */
+  trace(ctx) {
+    ctx.beginPath();
+    if (this.type === 'circle') {
+      ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+      return;
+    }
+    this.points.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+    ctx.closePath();
+  }
+}
+
+// Side of the cells the pathfinding grid is made of, in pixels.
+const NAV_CELL = 16;
+// Neighbour offsets on the grid with their step costs: 4 straight, 4 diagonal.
+const NAV_STEPS = [[1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1], [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]];
+
+/**
+ * The world's obstacle layer. Entities ask it how far they are from the
+ * nearest obstacle, which way to turn to miss one, and how to reach a point
+ * out of sight. Grids for pathfinding are built per clearance (a body's
+ * radius) on first use and thrown away whenever the obstacles change.
+ */
+export class Obstacles {
+  constructor(world) {
+    this.world = world;
+    this.items = [];
+    // Bumped on every change, so cached routes know to replan.
+    this.version = 0;
+    this.grids = new Map();
+    this.normal = { nx: 0, ny: 0 };
+    this.probe = { nx: 0, ny: 0 };
+  }
+
+  /**
+   * Adds an obstacle.
+   * @param {Obstacle|object} shape - An Obstacle or a shape to make one from.
+   * @returns {Obstacle} The added obstacle.
+   */
+  add(shape) {
+    const obstacle = shape instanceof Obstacle ? shape : new Obstacle(shape);
+    this.items.push(obstacle);
+    this.changed();
+    return obstacle;
+  }
+
+  removeLast() {
+    this.items.pop();
+    this.changed();
+  }
+
+  clear() {
+    this.items = [];
+    this.changed();
+  }
+
+  changed() {
+    this.version++;
+    this.grids.clear();
+  }
+
+  toJSON() {
+    return this.items.map(o => o.toJSON());
+  }
+
+  /**
+   * Signed distance from (x, y) to the nearest obstacle, Infinity when
+   * there are none.
+   * @param {{nx: number, ny: number}} [out] - Receives that obstacle's outward normal.
+   */
+  distance(x, y, out) {
+    let best = Infinity;
+    for (const o of this.items) {
+      const b = o.bounds;
+      // Skip obstacles whose bounding box is already further than the best.
+      const bx = Math.max(b.x0 - x, 0, x - b.x1);
+      const by = Math.max(b.y0 - y, 0, y - b.y1);
+      if (bx * bx + by * by >= best * best) continue;
+      const d = o.distance(x, y, this.probe);
+      if (d < best) {
+        best = d;
+        if (out) {
+          out.nx = this.probe.nx;
+          out.ny = this.probe.ny;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether a circle of radius `clearance` moved in a straight line from
+   * (x0, y0) to (x1, y1) would touch an obstacle. Marches along the line in
+   * steps as long as the free space around each point allows.
+   */
+  blocked(x0, y0, x1, y1, clearance) {
+    if (!this.items.length) return false;
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    for (let s = 0; ; ) {
+      const t = length > 0 ? s / length : 0;
+      const d = this.distance(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t);
+      if (d < clearance) return true;
+      if (s >= length) return false;
+      s = Math.min(length, s + Math.max(1, d - clearance));
+    }
+  }
+
+  /**
+   * Pushes `point` (anything with x and y) out of the obstacles until it is
+   * at least `radius` from all of them.
+   * @returns {{nx: number, ny: number}|null} The outward normal it was last
+   *   pushed along (reused between calls), or null if it was clear.
+   */
+  pushOut(point, radius) {
+    let moved = null;
+    // A few rounds, in case leaving one obstacle lands it in another.
+    for (let round = 0; round < 3; round++) {
+      const n = this.normal;
+      const d = this.distance(point.x, point.y, n);
+      if (d >= radius) break;
+      point.x += n.nx * (radius - d);
+      point.y += n.ny * (radius - d);
+      moved = n;
+    }
+    return moved;
+  }
+
+  /**
+   * Bends a heading away from obstacles just ahead. Feelers reach out
+   * `reach` pixels straight ahead and to either side; each that ends up
+   * closer than `clearance` to an obstacle turns the heading along the
+   * obstacle's edge, more sharply the deeper it is.
+   * @param {number} x - Where the steering body is.
+   * @param {number} y
+   * @param {number} heading - The direction it wants to go, in radians.
+   * @param {number} clearance - How far it wants to stay from obstacles.
+   * @param {number} reach - How far ahead it looks.
+   * @returns {number} The heading to take instead.
+   */
+  steer(x, y, heading, clearance, reach) {
+    if (!this.items.length) return heading;
+    let sx = Math.cos(heading);
+    let sy = Math.sin(heading);
+    const n = this.normal;
+    for (const offset of [0, -0.6, 0.6]) {
+      const a = heading + offset;
+      const d = this.distance(x + Math.cos(a) * reach, y + Math.sin(a) * reach, n);
+      if (d >= clearance) continue;
+      const weight = Math.min(2, (clearance - d) / clearance) * (offset ? 0.6 : 1);
+      // Slide along the edge, on the side the heading already leans towards.
+      let side = Math.sign(sx * -n.ny + sy * n.nx);
+      if (!side) side = offset >= 0 ? 1 : -1;
+      sx += (-n.ny * side + n.nx) * weight;
+      sy += (n.nx * side + n.ny) * weight;
+    }
+    return Math.atan2(sy, sx);
+  }
+
+  /**
+   * Picks where a body at (x, y) should head to get to (tx, ty). With a
+   * clear line that is the target itself; otherwise it is the next
+   * waypoint of an A* route, kept in `nav` and replanned when the
+   * obstacles change, the target moves on, or the body loses sight of
+   * the waypoint. When there is no route, that is remembered too, and the
+   * body heads straight for the target until the obstacles change or the
+   * target moves on.
+   * @param {object} nav - Route state owned by the caller; starts as `{}`.
+   * @returns {{x: number, y: number}} The point to head for (`nav` itself).
+   */
+  navigate(nav, x, y, tx, ty, clearance) {
+    nav.x = tx;
+    nav.y = ty;
+    if (!this.items.length || !this.blocked(x, y, tx, ty, clearance)) {
+      nav.route = null;
+      return nav;
+    }
+    const stale = nav.version !== this.version || Math.hypot(tx - nav.goalX, ty - nav.goalY) > NAV_CELL * 2;
+    if (nav.failed && !stale) return nav;
+    let route = nav.route;
+    if (route && (stale || !route.length || this.blocked(x, y, route[0].x, route[0].y, clearance * 0.5))) {
+      route = null;
+    }
+    if (!route) {
+      route = this.findPath(x, y, tx, ty, clearance) || [];
+      nav.failed = !route.length;
+      nav.version = this.version;
+      nav.goalX = tx;
+      nav.goalY = ty;
+    }
+    // Drop waypoints that are reached or can be skipped.
+    while (route.length > 1 && (Math.hypot(route[0].x - x, route[0].y - y) < NAV_CELL ||
+        !this.blocked(x, y, route[1].x, route[1].y, clearance))) {
+      route.shift();
+    }
+    nav.route = route;
+    if (route.length) {
+      nav.x = route[0].x;
+      nav.y = route[0].y;
+    }
+    return nav;
+  }
+
+  /**
+   * Finds a route around the obstacles with A* on a grid of NAV_CELL cells,
+   * shortened to the corners where it has to turn. A start or goal inside
+   * an obstacle is moved to the nearest free cell.
+   * @returns {Array<{x: number, y: number}>|null} Waypoints after the start,
+   *   ending at the goal, or null when there is no way through.
+   */
+  findPath(x0, y0, x1, y1, clearance) {
+    const grid = this.grid(clearance);
+    const { cols, rows, solid } = grid;
+    const cellOf = (x, y) => Math.max(0, Math.min(rows - 1, Math.floor(y / NAV_CELL))) * cols +
+      Math.max(0, Math.min(cols - 1, Math.floor(x / NAV_CELL)));
+    const start = this.nearestFree(grid, cellOf(x0, y0));
+    const goal = this.nearestFree(grid, cellOf(x1, y1));
+    if (start < 0 || goal < 0) return null;
+    const gx = goal % cols;
+    const gy = Math.floor(goal / cols);
+    const heuristic = (c) => {
+      const dx = Math.abs(c % cols - gx);
+      const dy = Math.abs(Math.floor(c / cols) - gy);
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    const { cost, from, closed, heap, score } = this.scratch(cols * rows);
+    cost.fill(Infinity);
+    from.fill(-1);
+    closed.fill(0);
+    // Binary heap of cells ordered by cost plus heuristic.
+    heap.length = 0;
+    score.length = 0;
+    const push = (c, f) => {
+      let i = heap.length;
+      heap.push(c);
+      score.push(f);
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (score[p] <= f) break;
+        heap[i] = heap[p];
+        score[i] = score[p];
+        i = p;
+      }
+      heap[i] = c;
+      score[i] = f;
+    };
+    const pop = () => {
+      const top = heap[0];
+      const c = heap.pop();
+      const f = score.pop();
+      if (heap.length) {
+        let i = 0;
+        for (;;) {
+          let m = 2 * i + 1;
+          if (m >= heap.length) break;
+          if (m + 1 < heap.length && score[m + 1] < score[m]) m++;
+          if (score[m] >= f) break;
+          heap[i] = heap[m];
+          score[i] = score[m];
+          i = m;
+        }
+        heap[i] = c;
+        score[i] = f;
+      }
+      return top;
+    };
+
+    cost[start] = 0;
+    push(start, heuristic(start));
+    while (heap.length) {
+      const c = pop();
+      if (c === goal) break;
+      if (closed[c]) continue;
+      closed[c] = 1;
+      const cx = c % cols;
+      const cy = Math.floor(c / cols);
+      for (const [dx, dy, step] of NAV_STEPS) {
+        const nx = cx + dx;
+        const ny = cy + dy;
+        if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+        const n = ny * cols + nx;
+        // No cutting corners between two solid cells.
+        if (solid[n] || (dx && dy && (solid[cy * cols + nx] || solid[ny * cols + cx]))) continue;
+        const g = cost[c] + step;
+        if (g < cost[n]) {
+          cost[n] = g;
+          from[n] = c;
+          push(n, g + heuristic(n));
+        }
+      }
+    }
+    if (start !== goal && from[goal] < 0) return null;
+
+    const cells = [];
+    for (let c = goal; c !== start; c = from[c]) {
+      cells.push({ x: (c % cols + 0.5) * NAV_CELL, y: (Math.floor(c / cols) + 0.5) * NAV_CELL });
+    }
+    cells.reverse();
+    // End at the goal itself when it is out in the open.
+    if (this.distance(x1, y1) >= clearance) {
+      if (cells.length) cells[cells.length - 1] = { x: x1, y: y1 };
+      else cells.push({ x: x1, y: y1 });
+    }
+
+    // Keep only the waypoints that can't be seen past.
+    const route = [];
+    let ax = x0, ay = y0;
+    for (let i = 0; i < cells.length; ) {
+      let j = i;
+      while (j + 1 < cells.length && !this.blocked(ax, ay, cells[j + 1].x, cells[j + 1].y, clearance)) j++;
+      route.push(cells[j]);
+      ax = cells[j].x;
+      ay = cells[j].y;
+      i = j + 1;
+    }
+    return route;
+  }
+
+  /**
+   * The pathfinding grid for a clearance: a cell is solid when its centre
+   * is closer than `clearance` to an obstacle.
+   */
+  grid(clearance) {
+    const key = Math.ceil(clearance / 4) * 4;
+    const cols = Math.max(1, Math.ceil(this.world.width / NAV_CELL));
+    const rows = Math.max(1, Math.ceil(this.world.height / NAV_CELL));
+    let grid = this.grids.get(key);
+    if (!grid || grid.cols !== cols || grid.rows !== rows) {
+      const solid = new Uint8Array(cols * rows);
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          solid[r * cols + c] = this.distance((c + 0.5) * NAV_CELL, (r + 0.5) * NAV_CELL) < key ? 1 : 0;
+        }
+      }
+      grid = { cols, rows, solid };
+      this.grids.set(key, grid);
+    }
+    return grid;
+  }
+
+  // Working arrays for searches over `size` cells, reused between searches
+  // and only reallocated when the grid size changes.
+  scratch(size) {
+    if (!this.work || this.work.cost.length !== size) {
+      this.work = {
+        cost: new Float64Array(size),
+        from: new Int32Array(size),
+        closed: new Uint8Array(size),
+        seen: new Uint8Array(size),
+        heap: [],
+        score: [],
+        queue: [],
+      };
+    }
+    return this.work;
+  }
+
+  // Nearest free cell to `cell` by breadth-first search, or -1 if all are solid.
+  nearestFree(grid, cell) {
+    const { cols, rows, solid } = grid;
+    if (!solid[cell]) return cell;
+    const { seen, queue } = this.scratch(cols * rows);
+    seen.fill(0);
+    queue.length = 0;
+    queue.push(cell);
+    seen[cell] = 1;
+    for (let q = 0; q < queue.length; q++) {
+      const c = queue[q];
+      if (!solid[c]) return c;
+      const cx = c % cols;
+      const cy = Math.floor(c / cols);
+      for (const [dx, dy] of NAV_STEPS) {
+        const nx = cx + dx;
+        const ny = cy + dy;
+        const n = ny * cols + nx;
+        if (nx < 0 || ny < 0 || nx >= cols || ny >= rows || seen[n]) continue;
+        seen[n] = 1;
+        queue.push(n);
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Draws the obstacles as rocks.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   */
+  draw(ctx) {
+    if (!this.items.length) return;
+    ctx.save();
+    ctx.lineWidth = 2;
+    for (const o of this.items) {
+      o.trace(ctx);
+      ctx.fillStyle = '#2a2f3a';
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(148,163,184,0.45)';
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
+
+// =================================================================
+// TARGET PROVIDERS
+// Decide where each creature is heading. The scene asks an entry's provider
+// for a point every frame and hands it to the entity's update(). Providers
+// read the pointer, canvas size and path from the world they belong to.
+// =================================================================
+
+/**
+ * Follows the live pointer position.
+ */
+export class PointerTarget {
+  constructor(world) {
+    this.world = world;
+    this.update();
+  }
+
+  update() {
+    this.x = this.world.pointer.x;
+    this.y = this.world.pointer.y;
+  }
+}
+
+/**
+ * Holds still at a fixed point.
+ */
+export class PinnedTarget {
+  constructor(world, x = world.pointer.x, y = world.pointer.y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  update() {}
+}
+
+/**
+ * Drifts around the canvas along a smooth noise field.
+ * Each instance samples its own slice of noise, so several wanderers
+ * don't move in lockstep.
+ */
+export class WanderTarget {
+  constructor(world, speed = 0.12) {
+    this.world = world;
+    this.speed = speed;
+    this.seed = world.rand(0, 1000);
+    this.time = 0;
+    this.update(0);
+  }
+
+  update(dt) {
+    const { width, height } = this.world;
+    this.time += dt * this.speed;
+    this.x = width / 2 + noise2(this.time, this.seed) * width * 0.45;
+    this.y = height / 2 + noise2(this.seed, this.time) * height * 0.45;
+  }
+}
+
+/**
+ * Circles around a centre point at a constant angular speed.
+ */
+export class OrbitTarget {
+  constructor(world, cx = world.width / 2, cy = world.height / 2, radius = Math.min(world.width, world.height) * 0.3, angularSpeed = 0.6) {
+    this.cx = cx;
+    this.cy = cy;
+    this.radius = radius;
+    this.angularSpeed = angularSpeed;
+    this.angle = 0;
+    this.update(0);
+  }
+
+  update(dt) {
+    this.angle += dt * this.angularSpeed;
+    this.x = this.cx + Math.cos(this.angle) * this.radius;
+    this.y = this.cy + Math.sin(this.angle) * this.radius;
+  }
+}
+
+/**
+ * Traces a figure eight (a lemniscate of Gerono) around the canvas centre.
+ */
+export class FigureEightTarget {
+  constructor(world, angularSpeed = 0.5) {
+    this.world = world;
+    this.angularSpeed = angularSpeed;
+    this.angle = 0;
+    this.update(0);
+  }
+
+  update(dt) {
+    const { width, height } = this.world;
+    this.angle += dt * this.angularSpeed;
+    this.x = width / 2 + Math.cos(this.angle) * width * 0.35;
+    this.y = height / 2 + Math.sin(this.angle * 2) * height * 0.3;
+  }
+}
+
+/**
+ * Follows the pointer while it is around and active, and wanders once it
+ * has been idle for `world.idleSeconds` or has left the canvas.
+ */
+export class IdleFallbackTarget {
+  constructor(world) {
+    this.world = world;
+    this.pointer = new PointerTarget(world);
+    this.wander = new WanderTarget(world);
+    this.update(0);
+  }
+
+  get idle() {
+    const { pointer, time, idleSeconds } = this.world;
+    return !pointer.present || time - pointer.lastActivity > idleSeconds;
+  }
+
+  update(dt) {
+    this.wander.update(dt);
+    this.pointer.update(dt);
+    const source = this.idle ? this.wander : this.pointer;
+    this.x = source.x;
+    this.y = source.y;
+  }
+}
+
+/**
+ * Leads a creature along the authored spline path by arc length.
+ * The target only moves ahead while the creature keeps up, so slow or
+ * distant creatures still fly the whole route instead of cutting corners.
+ */
+export class PathTarget {
+  constructor(world, lead = 60, speed = 240) {
+    this.world = world;
+    this.lead = lead; // How far ahead of the creature the target may get
+    this.speed = speed; // Pixels per second along the path
+    this.s = 0;
+    this.direction = 1;
+    this.x = world.pointer.x;
+    this.y = world.pointer.y;
+  }
+
+  update(dt, entity) {
+    const { path, pointer } = this.world;
+    if (path.length <= 0) {
+      // No route yet: behave like a pointer target until one is drawn.
+      this.x = pointer.x;
+      this.y = pointer.y;
+      return;
+    }
+    const current = path.pointAt(this.s);
+    const head = entity ? entityPosition(entity) : current;
+    if (Math.hypot(head.x - current.x, head.y - current.y) < this.lead) {
+      this.s += this.direction * this.speed * dt;
+    }
+    if (path.mode === 'loop') {
+      this.s = ((this.s % path.length) + path.length) % path.length;
+    } else if (path.mode === 'pingpong') {
+      if (this.s >= path.length) { this.s = path.length; this.direction = -1; }
+      if (this.s <= 0) { this.s = 0; this.direction = 1; }
+    } else {
+      this.s = Math.min(this.s, path.length);
+    }
+    const p = path.pointAt(this.s);
+    this.x = p.x;
+    this.y = p.y;
+  }
+}
+
+/**
+ * Returns the point a target provider should measure an entity from:
+ * the head bone of skeletal creatures, the centre of a school, or the
+ * position of a single fish.
+ */
+function entityPosition(entity) {
+  if (entity.bones) return entity.bones[0];
+  if (entity.fish) {
+    let x = 0, y = 0;
+    for (const f of entity.fish) { x += f.x; y += f.y; }
+    return { x: x / entity.fish.length, y: y / entity.fish.length };
+  }
+  return entity;
+}
+
+// Moves the whole of an entity, keeping its shape, so that its position
+// (see entityPosition) ends up at (x, y).
+function moveEntity(entity, x, y) {
+  const at = entityPosition(entity);
+  const dx = x - at.x;
+  const dy = y - at.y;
+  for (const p of entity.bones || entity.fish || [entity]) {
+    p.x += dx;
+    p.y += dy;
+  }
+}
+
+/**
+ * How far an entity keeps from obstacles when it plans a route: its
+ * `clearance`, or 10 pixels for entities that don't say.
+ */
+function entityClearance(entity) {
+  return typeof entity.clearance === 'number' ? entity.clearance : 10;
+}
+
+// Target modes offered in each entity row, keyed by the <option> value.
+// create(world) builds a provider for a creature in that world.
+export const targetModes = {
+  idle: { label: 'Pointer, wander when idle', create: (world) => new IdleFallbackTarget(world) },
+  pointer: { label: 'Pointer', create: (world) => new PointerTarget(world) },
+  wander: { label: 'Wander', create: (world) => new WanderTarget(world) },
+  orbit: { label: 'Orbit', create: (world) => new OrbitTarget(world) },
+  figure8: { label: 'Figure eight', create: (world) => new FigureEightTarget(world) },
+  path: { label: 'Path', create: (world) => new PathTarget(world) },
+  pinned: { label: 'Pinned here', create: (world) => new PinnedTarget(world) },
+};
+
+// =================================================================
+// INVERSE KINEMATICS
+// Bends a chain of bones so its tip reaches a point. Legs use it to keep
+// their feet on the ground while the body moves over them.
+// =================================================================
+
+/**
+ * Bends a chain so its tip reaches for (tx, ty), using cyclic coordinate
+ * descent: working from the joint nearest the tip back to the root, turn
+ * each joint so the tip points at the target, then repeat. Each turn is
+ * clamped to the joint's limits, so a knee only ever bends one way. A target
+ * out of reach leaves the chain pointing at it as far as the limits allow.
+ * @param {{x: number, y: number}} root - Where the chain is attached; stays put.
+ * @param {number} baseAngle - Direction the first joint's limits are measured from.
+ * @param {Array<{x: number, y: number, angle: number, length: number}>} chain -
+ *   Root to tip. Each link's x/y is its far end and `angle` its absolute
+ *   direction; both are updated in place, and the current pose is the
+ *   starting guess.
+ * @param {number} tx - Target x.
+ * @param {number} ty - Target y.
+ * @param {Array<number[]>} [limits] - [min, max] angle of each link relative to
+ *   the one before it (the first relative to `baseAngle`). Missing entries are free.
+ * @param {number} [iterations=12] - Upper bound on passes; stops early once the tip is within half a pixel.
+ * @returns {number} How far the tip ended up from the target.
+ */
+export function solveIk(root, baseAngle, chain, tx, ty, limits = [], iterations = 12) {
+  const n = chain.length;
+  const clamp = (i, a) => (limits[i] ? Math.min(limits[i][1], Math.max(limits[i][0], a)) : a);
+  // Work in joint angles relative to the previous link.
+  const rel = chain.map((link, i) => clamp(i, wrapAngle(link.angle - (i > 0 ? chain[i - 1].angle : baseAngle))));
+  const pose = () => {
+    let x = root.x;
+    let y = root.y;
+    let angle = baseAngle;
+    for (let i = 0; i < n; i++) {
+      const link = chain[i];
+      angle += rel[i];
+      link.angle = angle;
+      link.x = x += Math.cos(angle) * link.length;
+      link.y = y += Math.sin(angle) * link.length;
+    }
+    return Math.hypot(x - tx, y - ty);
+  };
+
+  let miss = pose();
+  for (let iter = 0; iter < iterations && miss > 0.5; iter++) {
+    for (let i = n - 1; i >= 0; i--) {
+      const joint = i > 0 ? chain[i - 1] : root;
+      const tip = chain[n - 1];
+      const turn = wrapAngle(Math.atan2(ty - joint.y, tx - joint.x) - Math.atan2(tip.y - joint.y, tip.x - joint.x));
+      rel[i] = clamp(i, rel[i] + turn);
+      miss = pose();
+    }
+  }
+  return miss;
+}
+
+/**
+ * Represents a bone segment in a skeletal structure.
+ * Each bone has a position (x, y), a length, an angle, and an optional parent bone.
+ * Bones are used to create articulated creatures like snakes, dragons, and centipedes.
+ * @param {number} x - The x coordinate of the bone.
+ * @param {number} y - The y coordinate of the bone.
+ */
+export class Bone {
+  constructor(x, y, parent = null, length = 20, angle = 0) {
+    this.x = x;
+    this.y = y;
+    this.length = length;
+    this.angle = angle;
+    this.parent = parent;
+  }
+
+  update() {
+    /**
+     * Updates the bone's position based on its parent's position and angle.
+     * If the bone has no parent, its position remains unchanged.
+     */
+    if (this.parent) {
+      this.x = this.parent.x + Math.cos(this.angle) * this.length;
+      this.y = this.parent.y + Math.sin(this.angle) * this.length;
+    }
+  }
+}
+
+// LimbSystem – for legs, claws, wings
+ /**
+ * Manages a system of connected bone segments forming a limb.
+ * Used for creating legs, claws, and wings for creatures.
+ * The limb segments are updated and drawn as a chain of connected bones.
+ */
+export class LimbSystem {
+  constructor(parentBone, segments = 3, length = 25, side = 1, clawCount = 0) {
+    this.parentBone = parentBone;
+    this.segments = [];
+    this.side = side;
+    this.clawCount = clawCount;
+    this.color = 'rgba(255,255,255,0.5)';
+    // Resting angle of each joint relative to the bone before it, for a limb
+    // on the right (side 1); the left mirrors it. The last entry covers any
+    // further segments.
+    this.restPose = [Math.PI / 2, -1.2, -0.8];
+    // How far each joint may turn from its resting angle, in radians.
+    this.jointRange = [1.1, 1.0, 0.9];
+
+    // build chain of limb segments
+    let currentParent = parentBone;
+    for (let i = 0; i < segments; i++) {
+      const seg = new Bone(currentParent.x, currentParent.y, currentParent, length, 0);
+      this.segments.push(seg);
+      currentParent = seg;
+    }
+  }
+
+  // Resting angle of joint `i`, relative to the bone before it.
+  restAngle(i) {
+    return this.side * this.restPose[Math.min(i, this.restPose.length - 1)];
+  }
+
+  // Total length of the limb, hip to tip.
+  get reach() {
+    return this.segments.reduce((sum, seg) => sum + seg.length, 0);
+  }
+
+  /**
+   * Where the tip would be with every joint at rest: the spot under the
+   * hip the limb stands on when the body is still.
+   * @param {{x: number, y: number}} [out] - Receives the point.
+   */
+  restTip(out = { x: 0, y: 0 }) {
+    let { x, y, angle } = this.parentBone;
+    this.segments.forEach((seg, i) => {
+      angle += this.restAngle(i);
+      x += Math.cos(angle) * seg.length;
+      y += Math.sin(angle) * seg.length;
+    });
+    out.x = x;
+    out.y = y;
+    return out;
+  }
+
+  /**
+   * Bends the limb so its tip reaches for (x, y), keeping every joint within
+   * `jointRange` of its resting angle.
+   */
+  reachFor(x, y) {
+    const limits = this.segments.map((seg, i) => {
+      const rest = this.restAngle(i);
+      const range = this.jointRange[Math.min(i, this.jointRange.length - 1)];
+      return [rest - range, rest + range];
+    });
+    const base = this.parentBone.angle;
+    const miss = solveIk(this.parentBone, base, this.segments, x, y, limits);
+    if (miss <= 1) return miss;
+    // Stuck against a limit: try again from the resting pose and keep
+    // whichever gets closer.
+    const tried = this.segments.map(seg => seg.angle);
+    let angle = base;
+    this.segments.forEach((seg, i) => { seg.angle = angle += this.restAngle(i); });
+    const retry = solveIk(this.parentBone, base, this.segments, x, y, limits);
+    if (retry <= miss) return retry;
+    this.segments.forEach((seg, i) => { seg.angle = tried[i]; });
+    return solveIk(this.parentBone, base, this.segments, x, y, limits, 0);
+  }
+
+  draw(ctx) {
+    /**
+     * Draws the limb on the canvas context.
+     * Draws the bone segments and claws (if specified).
+     */
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 1.2;
+
+    ctx.beginPath();
+    this.segments.forEach((seg, i) => {
+      if (i === 0) ctx.moveTo(seg.parent.x, seg.parent.y);
+      ctx.lineTo(seg.x, seg.y);
+    });
+    ctx.stroke();
+
+    // claws at the tip if specified
+    if (this.clawCount > 0 && this.segments.length > 1) {
+      const tip = this.segments[this.segments.length - 1];
+      const prev = this.segments[this.segments.length - 2];
+      const angle = Math.atan2(tip.y - prev.y, tip.x - prev.x);
+      const clawLen = 12;
+      for (let i = 0; i < this.clawCount; i++) {
+        const spread = (i - (this.clawCount - 1) / 2) * 0.3;
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(
+          tip.x + Math.cos(angle + spread) * clawLen,
+          tip.y + Math.sin(angle + spread) * clawLen
+        );
+        ctx.stroke();
+      }
+    }
+  }
+}
+
+// =================================================================
+// FORELIMB SYSTEM
+// =================================================================
+class ForeLimbSystem extends LimbSystem {
+  // Front legs: the elbow folds back a little less than a plain limb's.
+  constructor(...args) {
+    super(...args);
+    this.restPose = [Math.PI / 2, -1.0, -0.9];
+  }
+}
+// =================================================================
+// WING SYSTEM
+
+class WingSystem extends LimbSystem {
+  constructor(...args) {
+    super(...args);
+    this.membrane = 'rgba(180, 210, 255, 0.08)';
+  }
+
+  /**
+   * Generates a flapping animation for wings, creating a sweeping motion where they fold and flutter.
+   */
+  update(time, moveDist = 0) {
+    const flapCycle = time / 600; // Slower, more majestic flap
+    const flapAngle = Math.sin(flapCycle) * 1.4;
+
+    this.segments.forEach((seg, i) => {
+      const parentAngle = seg.parent ? seg.parent.angle : 0;
+      let baseAngle;
+
+      if (i === 0) {
+        baseAngle = parentAngle + this.side * (Math.PI / 2.2 + flapAngle);
+      } else {
+        const fold = Math.sin(flapCycle + Math.PI / 2) * 0.6;
+        baseAngle = parentAngle + this.side * (0.1 + fold);
+      }
+      
+      const flutter = Math.sin(time / 100 + i) * 0.05 * Math.min(1, moveDist / 200);
+      seg.angle = baseAngle + this.side * flutter;
+      seg.update();
+    });
+  }
+
+  draw(ctx) {
+    /**
+     * Draws the wing on the canvas context.
+     * Draws the wing bones and the scalloped wing membrane.
+     */
+    // Draw the wing bones
+    super.draw(ctx);
+
+    // Draw the wing membrane
+    ctx.fillStyle = this.membrane;
+    ctx.strokeStyle = 'rgba(210, 230, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(this.parentBone.x, this.parentBone.y);
+
+    // Draw a curved, scalloped membrane between the wing bones for a more realistic look.
+    for (let i = 0; i < this.segments.length - 1; i++) {
+      const p1 = this.segments[i];
+      const p2 = this.segments[i + 1];
+      const midX = (p1.x + p2.x) / 2;
+      const midY = (p1.y + p2.y) / 2;
+      ctx.quadraticCurveTo(p1.x, p1.y, midX, midY);
+    }
+    // Connect back to the root bone
+    ctx.lineTo(this.segments[this.segments.length - 1].x, this.segments[this.segments.length - 1].y);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+// =================================================================
+// HINDLIMB SYSTEM
+// =================================================================
+class HindLimbSystem extends LimbSystem {
+  // Hind legs: the knee bends the opposite way to the elbows.
+  constructor(...args) {
+    super(...args);
+    this.restPose = [Math.PI / 2, 1.5, -2.2];
+  }
+}
+
+// =================================================================
+// GAIT
+// Steps a set of legs across the ground. Each foot stays planted where it
+// landed until the body has carried the leg's resting spot too far away,
+// then swings to where that spot is heading. Legs take turns in two
+// diagonal groups, like a lizard's trot.
+// =================================================================
+export class Gait {
+  /**
+   * @param {LimbSystem[]} legs - The legs to walk with.
+   * @param {Array<object>} bones - The body's spine, head first; used to
+   *   tell front legs from back ones when pairing them up.
+   * @param {object} [options]
+   * @param {number} [options.stride=0.45] - How far, in leg lengths, a foot may
+   *   trail its resting spot before it steps.
+   * @param {number} [options.stepTime=0.16] - Longest swing, in seconds. Swings
+   *   get quicker when the body moves fast.
+   * @param {number} [options.lead=0.5] - How far ahead of the resting spot a
+   *   foot lands, as a share of the body's travel during one swing.
+   */
+  constructor(legs, bones, options = {}) {
+    this.legs = legs;
+    this.options = Object.assign({ stride: 0.45, stepTime: 0.16, lead: 0.5 }, options);
+    // Legs hung from the same bone form a pair. Pairs alternate down the
+    // body, and within a pair the sides alternate, giving diagonal groups.
+    const hips = [...new Set(legs.map(l => bones.indexOf(l.parentBone)))].sort((a, b) => a - b);
+    this.groups = legs.map(l => (hips.indexOf(bones.indexOf(l.parentBone)) + (l.side > 0 ? 0 : 1)) % 2);
+    this.feet = legs.map(() => null); // planted positions, set on the first update
+    this.swings = legs.map(() => null); // { fromX, fromY, t, time } while a foot is in the air
+    this.lastGroup = 1;
+    this.rest = { x: 0, y: 0 };
+  }
+
+  /**
+   * Advances the gait one simulation step and bends every leg to its foot.
+   * Call after the body has moved.
+   * @param {number} dt - Step length in seconds.
+   */
+  update(dt) {
+    const { stride, stepTime, lead } = this.options;
+    const rest = this.rest;
+
+    // Once every foot is down, lift a group with a foot trailing more than
+    // a stride behind, preferring the one that didn't step last time.
+    if (!this.swings.some(Boolean)) {
+      const worst = [0, 0];
+      this.legs.forEach((leg, i) => {
+        if (!this.feet[i]) return;
+        leg.restTip(rest);
+        const g = this.groups[i];
+        worst[g] = Math.max(worst[g], Math.hypot(this.feet[i].x - rest.x, this.feet[i].y - rest.y) / leg.reach);
+      });
+      const other = 1 - this.lastGroup;
+      const group = worst[other] > stride ? other : worst[this.lastGroup] > stride ? this.lastGroup : -1;
+      if (group >= 0) {
+        this.legs.forEach((leg, i) => {
+          if (this.groups[i] === group) this.lift(i);
+        });
+        this.lastGroup = group;
+      }
+    }
+
+    this.legs.forEach((leg, i) => {
+      const hip = leg.parentBone;
+      leg.restTip(rest);
+      let foot = this.feet[i];
+      if (!foot) foot = this.feet[i] = { x: rest.x, y: rest.y };
+
+      const swing = this.swings[i];
+      if (swing) {
+        // Land ahead of the resting spot by a share of the body's travel,
+        // never more than a stride.
+        const speed = Math.hypot(hip.vx, hip.vy) / dt;
+        if (!swing.time) swing.time = Math.min(stepTime, Math.max(0.05, stride * leg.reach / (speed + 1e-6)));
+        const ahead = Math.min(speed * swing.time * lead, stride * leg.reach) / (speed || 1);
+        let toX = rest.x + hip.vx / dt * ahead;
+        let toY = rest.y + hip.vy / dt * ahead;
+        // ...and within the leg's reach, or it would only have to step again.
+        const fromHip = Math.hypot(toX - hip.x, toY - hip.y);
+        if (fromHip > leg.reach * 0.9) {
+          toX = hip.x + (toX - hip.x) * leg.reach * 0.9 / fromHip;
+          toY = hip.y + (toY - hip.y) * leg.reach * 0.9 / fromHip;
+        }
+        swing.t = Math.min(1, swing.t + dt / swing.time);
+        const e = swing.t * swing.t * (3 - 2 * swing.t);
+        // Tuck the foot towards the hip mid-swing, so the leg visibly lifts.
+        const tuck = Math.sin(swing.t * Math.PI) * 0.25;
+        const x = lerp(swing.fromX, toX, e);
+        const y = lerp(swing.fromY, toY, e);
+        foot.x = x + (hip.x - x) * tuck;
+        foot.y = y + (hip.y - y) * tuck;
+        if (swing.t >= 1) this.swings[i] = null;
+      }
+      // A planted foot the leg can no longer reach steps next time, turn or not.
+      if (leg.reachFor(foot.x, foot.y) > leg.reach * 0.1 && !swing) this.lift(i);
+    });
+  }
+
+  // Puts foot `i` in the air, starting from where it stands.
+  lift(i) {
+    const foot = this.feet[i];
+    if (!foot || this.swings[i]) return;
+    this.swings[i] = { fromX: foot.x, fromY: foot.y, t: 0, time: 0 };
+  }
+
+  // True while foot `i` is planted.
+  planted(i) {
+    return !this.swings[i];
+  }
+}
+
+// =================================================================
+// ENTITY CLASSES
+// =================================================================
+
+// Value of a per-joint spine setting for joint `index` of `count`: a
+// number applies to every joint, an array gives one value per joint (the
+// last carrying on past its end), and a function is called with the
+// joint's index and the joint count.
+function jointValue(value, index, count) {
+  if (typeof value === 'function') return value(index, count);
+  if (Array.isArray(value)) return value[Math.min(index, value.length - 1)];
+  return value;
+}
+
+// =================================================================
+// SKELETAL ENTITY (BASE CLASS)
+// Provides common "follow-the-leader" mechanics for segmented creatures.
+// With `spine.physics` on, the body behind the head is simulated instead:
+// each bone keeps its momentum, joints resist bending and can only bend so
+// far, and drag and gravity act on the body.
+// =================================================================
+export class SkeletalEntity {
+  constructor(world, config) {
+    this.world = world;
+    // The child class now provides the full config object.
+    // We just ensure the base properties exist.
+    this.config = Object.assign({
+      boneCount: 20,
+      boneLength: 25,
+      headAngleSmoothing: 8,
+      headSpeed: { min: 1.5, max: 6.0, dist: 300 },
+      bodyRadius: [0.6, 0.25], // collision radius at head and tail, in bone lengths
+      // physics: simulate the body instead of following the leader.
+      // stiffness: share of each joint's bend straightened out per step.
+      // maxBend: most a joint can bend, in radians. Both take a number, an
+      // array with one value per joint from the head back, or a function
+      // `(jointIndex, jointCount) => value`. drag: share of each bone's
+      // speed lost per step. gravity: downward pull, in px per step².
+      spine: { physics: false, stiffness: 0.1, maxBend: 0.5, drag: 0.2, gravity: 0 },
+    }, config || {});
+    this.bones = [];
+    // Particle emitters attached to this entity's bones; subclasses fill it in.
+    this.emitters = [];
+    this.init();
+  }
+
+  init() {
+    this.bones = [];
+    const hx = Math.round(this.world.width / 2);
+    const hy = Math.round(this.world.height / 2);
+    for (let i = 0; i < this.config.boneCount; i++) {
+      this.bones.push({
+        x: hx - i * this.config.boneLength,
+        y: hy,
+        angle: 0,
+        vx: 0,
+        vy: 0
+      });
+    }
+    // How recently each bone was hit by particles (0 to 1), for visual reactions.
+    this.hitHeat = new Float32Array(this.bones.length);
+  }
+
+  /**
+   * Brings the body in line with `config` after it was edited. Only a new
+   * bone count touches the skeleton; everything else is read live.
+   */
+  configChanged() {
+    if (this.bones.length !== Math.max(2, Math.round(this.config.boneCount))) this.resize();
+  }
+
+  /**
+   * Grows or shrinks the spine to `config.boneCount`, leaving the bones that
+   * stay where they are. New bones extend straight back from the tail. Limbs
+   * and wings hung from a dropped bone move up to the new tail.
+   */
+  resize() {
+    const count = Math.max(2, Math.round(this.config.boneCount));
+    const bones = this.bones;
+    const attached = [...(this.limbs || []), ...(this.wings || [])];
+    const anchors = attached.map(l => Math.min(bones.indexOf(l.parentBone), count - 1));
+    bones.length = Math.min(bones.length, count);
+    while (bones.length < count) {
+      const tail = bones[bones.length - 1];
+      bones.push({
+        x: tail.x - Math.cos(tail.angle) * this.config.boneLength,
+        y: tail.y - Math.sin(tail.angle) * this.config.boneLength,
+        angle: tail.angle,
+        vx: 0,
+        vy: 0
+      });
+    }
+    const heat = new Float32Array(count);
+    heat.set(this.hitHeat.subarray(0, count));
+    this.hitHeat = heat;
+    attached.forEach((limb, i) => {
+      limb.parentBone = bones[anchors[i]];
+      limb.segments[0].parent = limb.parentBone;
+    });
+    // Legs may now share a bone they didn't before; pair them up again.
+    if (this.gait) this.gait = new Gait(this.limbs, bones, this.gait.options);
+  }
+
+  update(dt, px, py, speedVal) {
+    for (const b of this.bones) {
+      // Where the bone was a step ago, for the physics spine's momentum.
+      b.px = b.x - b.vx;
+      b.py = b.y - b.vy;
+      b.vx = b.x;
+      b.vy = b.y;
+    }
+    const head = this.bones[0];
+    const dx = px - head.x;
+    const dy = py - head.y;
+    const dist = Math.hypot(dx, dy) || 1;
+    const targetAngle = this.world.obstacles.steer(head.x, head.y, Math.atan2(dy, dx), this.clearance, this.config.boneLength * 3);
+
+    // A predator closing in on prey (see Ecosystem) turns sharper.
+    const turn = this.config.headAngleSmoothing * (this.vitals && this.vitals.prey ? 6 : 1);
+    head.angle = angleLerp(head.angle, targetAngle, Math.min(1, dt * turn));
+
+    const moveSpeed = lerp(this.config.headSpeed.min, this.config.headSpeed.max, Math.min(1, dist / this.config.headSpeed.dist)) * speedVal;
+    head.x += Math.cos(head.angle) * moveSpeed * dt * 60;
+    head.y += Math.sin(head.angle) * moveSpeed * dt * 60;
+
+    if (this.config.spine.physics) {
+      this.simulateSpine(dt);
+    } else {
+      for (let i = 1; i < this.bones.length; i++) {
+        const parent = this.bones[i - 1];
+        const child = this.bones[i];
+        const bdx = parent.x - child.x;
+        const bdy = parent.y - child.y;
+        const bTargetAngle = Math.atan2(bdy, bdx);
+
+        child.x = parent.x - Math.cos(bTargetAngle) * this.config.boneLength;
+        child.y = parent.y - Math.sin(bTargetAngle) * this.config.boneLength;
+        child.angle = bTargetAngle;
+      }
+    }
+    this.keepClear();
+
+    // Per-step bone velocity, used to shove particles the body runs into.
+    for (const b of this.bones) {
+      b.vx = b.x - b.vx;
+      b.vy = b.y - b.vy;
+    }
+    for (let i = 0; i < this.hitHeat.length; i++) this.hitHeat[i] *= 0.92;
+  }
+
+  /**
+   * Moves the body behind the head as a chain of Verlet points: each bone
+   * carries on with last step's motion, less drag, plus gravity. Then, head
+   * to tail, each joint's bend is eased towards straight by `stiffness` and
+   * clamped to `maxBend`, and the bone is put back `boneLength` behind its
+   * parent. Sharp turns of the head swing the body round instead of
+   * folding it in place.
+   */
+  simulateSpine(dt) {
+    const { stiffness, maxBend, drag, gravity } = this.config.spine;
+    const length = this.config.boneLength;
+    const k = dt * 60; // the settings are per 1/60 s step
+    const keep = Math.pow(Math.max(0, 1 - drag), k);
+    const bones = this.bones;
+    const joints = bones.length - 1;
+
+    for (let i = 1; i < bones.length; i++) {
+      const b = bones[i];
+      b.x += (b.x - b.px) * keep;
+      b.y += (b.y - b.py) * keep + gravity * k * k;
+    }
+
+    for (let i = 1; i < bones.length; i++) {
+      const parent = bones[i - 1];
+      const child = bones[i];
+      // Bone angles point from the child to its parent, like the head's heading.
+      let angle = Math.atan2(parent.y - child.y, parent.x - child.x);
+      const straighten = 1 - Math.pow(Math.max(0, 1 - jointValue(stiffness, i - 1, joints)), k);
+      const limit = jointValue(maxBend, i - 1, joints);
+      const bend = wrapAngle(angle - parent.angle) * (1 - straighten);
+      angle = parent.angle + Math.max(-limit, Math.min(limit, bend));
+      child.x = parent.x - Math.cos(angle) * length;
+      child.y = parent.y - Math.sin(angle) * length;
+      child.angle = angle;
+    }
+  }
+
+  /**
+   * Pushes the bones out of obstacles, head to tail. Each bone is first put
+   * back `boneLength` behind its parent, so a body pressed against a rock
+   * slides round it instead of passing through.
+   */
+  keepClear() {
+    const { obstacles } = this.world;
+    if (!obstacles.items.length) return;
+    const length = this.config.boneLength;
+    this.bones.forEach((b, i) => {
+      if (i > 0) {
+        const parent = this.bones[i - 1];
+        const angle = Math.atan2(parent.y - b.y, parent.x - b.x);
+        b.x = parent.x - Math.cos(angle) * length;
+        b.y = parent.y - Math.sin(angle) * length;
+      }
+      if (obstacles.pushOut(b, this.boneRadius(i)) && i > 0) {
+        const parent = this.bones[i - 1];
+        b.angle = Math.atan2(parent.y - b.y, parent.x - b.x);
+      }
+    });
+  }
+
+  // How far the head keeps from obstacles.
+  get clearance() {
+    return this.boneRadius(0) * 1.5;
+  }
+
+  /**
+   * Collision radius of bone `i`, tapering from head to tail.
+   */
+  boneRadius(i) {
+    const [head, tail] = this.config.bodyRadius;
+    return lerp(head, tail, i / this.bones.length) * this.config.boneLength;
+  }
+
+  collectColliders(collisions) {
+    this.bones.forEach((b, i) => collisions.addCircle(this, i, b.x, b.y, this.boneRadius(i), b.vx, b.vy));
+  }
+
+  onParticleHits(hits) {
+    for (let i = 0; i < hits.length && i < this.hitHeat.length; i++) {
+      if (hits[i]) this.hitHeat[i] = Math.min(1, this.hitHeat[i] + hits[i] * 0.08);
+    }
+  }
+
+  emitParticles(dt) {
+    for (const emitter of this.emitters) emitter.emit(dt, this);
+  }
+
+  /**
+   * Objects whose x, y and angle are interpolated between simulation steps
+   * when drawing. Subclasses with extra moving parts add them here.
+   */
+  poseParts() {
+    return this.bones;
+  }
+}
+
+// =================================================================
+// FISH ENTITY
+// Defines a simple fish that swims towards the cursor.
+// =================================================================
+export class Fish {
+  /**
+   * Represents a fish with the ability to swim towards the cursor.
+   * The fish has a position, velocity, angle, size, and color.
+   * It animates its fins and tail and emits bubble-like particles.
+   */
+  constructor(world) {
+    this.world = world;
+    this.x = world.width / 2;
+    this.y = world.height / 2;
+    this.vx = 0;
+    this.vy = 0;
+    this.angle = 0;
+    this.size = 25;
+    this.bodyAspect = 0.5; // body ellipse height relative to its length
+    this.time = 0;
+    this.hue = world.rand(180, 220);
+    // Bubbles trail out behind the fish.
+    this.emitters = [new Emitter(world, {
+      shape: 'point',
+      rate: 12,
+      direction: Math.PI,
+      spread: 0.4,
+      speed: [0.2, 1.0],
+      size: [1, 4],
+      life: [0.7, 1.7],
+      hue: [180, 220],
+      style: BUBBLE_STYLE,
+    })];
+  }
+
+  update(dt, px, py, speedVal) {
+    /**
+     * Updates the fish's properties based on the provided parameters.
+     * Moves the fish towards the cursor, smoothly rotating and accelerating.
+     * @param {number} dt - The time delta in seconds.
+     * @param {number} px - The x coordinate of the cursor.
+     * @param {number} py - The y coordinate of the cursor.
+     * @param {number} speedVal - A multiplier to adjust the fish's speed.
+     */
+    this.time += dt;
+    const dx = px - this.x;
+    const dy = py - this.y;
+    const dist = Math.hypot(dx, dy) || 1;
+    // Swim round obstacles instead of into them.
+    const targetAngle = this.world.obstacles.steer(this.x, this.y, Math.atan2(dy, dx), this.clearance, this.size * 2.5);
+    
+    // Smoothly rotate towards the target angle.
+    const angleDiff = ((targetAngle - this.angle + Math.PI) % (Math.PI * 2)) - Math.PI;
+    this.angle += angleDiff * Math.min(1, dt * 4);
+
+    // Accelerate towards the cursor, with more acceleration when further away.
+    // Frightened fish (see Ecosystem) put on a burst of speed.
+    const fear = this.vitals ? this.vitals.fear : 0;
+    const acceleration = lerp(0.05, 0.3, Math.min(1, dist / 500)) * speedVal * (1 + fear * 0.5);
+    this.vx += Math.cos(this.angle) * acceleration;
+    this.vy += Math.sin(this.angle) * acceleration;
+
+    // friction
+    this.vx *= 0.96;
+    this.vy *= 0.96;
+
+    this.x += this.vx * dt * 60;
+    this.y += this.vy * dt * 60;
+
+    // Bumping into an obstacle stops the part of the motion heading into it.
+    const n = this.world.obstacles.pushOut(this, this.clearance);
+    if (n) {
+      const into = Math.min(0, this.vx * n.nx + this.vy * n.ny);
+      this.vx -= n.nx * into;
+      this.vy -= n.ny * into;
+    }
+  }
+
+  // How far the fish's middle keeps from obstacles.
+  get clearance() {
+    return this.size * 0.6;
+  }
+
+  draw(ctx) {
+    /**
+     * Draws the fish on the canvas context.
+     * Uses procedural animation for fins and tail and a radial gradient for the body.
+     */
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.angle);
+
+    // Procedural animation for fins and tail based on time.
+    const bodySway = Math.sin(this.time * 15) * 0.1;
+
+    // Dorsal Fin
+    ctx.fillStyle = `hsla(${this.hue + 10}, 70%, 40%, 0.8)`;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.1, -this.size * 0.3);
+    ctx.quadraticCurveTo(
+      -this.size * 0.3, -this.size * 0.6 + bodySway * this.size * 0.5,
+      -this.size * 0.6, -this.size * 0.2 + bodySway * this.size * 0.2
+    );
+    ctx.closePath();
+    ctx.fill();
+
+
+    const tailSway = Math.sin(this.time * 25) * 0.4;
+
+    // Tail
+    ctx.fillStyle = `hsl(${this.hue + 20}, 80%, 50%)`;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.8, 0);
+    ctx.quadraticCurveTo(-this.size * 1.2, -this.size * 0.5 + tailSway * this.size, -this.size * 1.5, tailSway * this.size * 0.4);
+    ctx.quadraticCurveTo(-this.size * 1.2, this.size * 0.5 + tailSway * this.size, -this.size * 0.8, 0);
+    ctx.fill();
+
+    // Body with a radial gradient to give it a 3D look.
+    const bodyGrad = ctx.createRadialGradient(0, 0, this.size * 0.2, 0, 0, this.size * 1.2);
+    bodyGrad.addColorStop(0, `hsl(${this.hue}, 90%, 75%)`);
+    bodyGrad.addColorStop(1, `hsl(${this.hue}, 90%, 55%)`);
+    ctx.fillStyle = bodyGrad;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, this.size, this.size * 0.5, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Eye with a small highlight for a more lively look.
+    const eyeX = this.size * 0.5;
+    const eyeY = 0;
+    ctx.fillStyle = 'white';
+    ctx.beginPath();
+    ctx.arc(eyeX, eyeY, this.size * 0.15, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = 'black';
+    ctx.beginPath();
+    ctx.arc(eyeX + this.size * 0.05, eyeY, this.size * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    ctx.beginPath();
+    ctx.arc(eyeX + this.size * 0.02, eyeY - this.size * 0.02, this.size * 0.05, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+
+  collectColliders(collisions) {
+    collisions.addEllipse(this, 0, this.x, this.y, this.size, this.size * this.bodyAspect, this.angle, this.vx, this.vy);
+  }
+
+  poseParts() {
+    return [this];
+  }
+
+  emitParticles(dt) {
+    /**
+     * Emits bubble-like particles from behind the fish.
+     */
+    for (const emitter of this.emitters) emitter.emit(dt, this);
+  }
+}
+
+// What fish eat in ecosystem mode (see Ecosystem). Koi inherit it.
+Fish.diet = ['food'];
+// =================================================================
+// END OF FISH ENTITY
+// =================================================================
+
+// =================================================================
+// KOI ENTITY
+// Extends the Fish class with different colors, patterns, and a larger size.
+// =================================================================
+export class Koi extends Fish {
+  /**
+   * Extends the Fish class with unique colors, patterns, and size.
+   */
+  constructor(world) {
+    super(world);
+    this.size = 35;
+    this.bodyAspect = 0.6;
+    this.hue = world.rand(0, 50); // Oranges and reds for a koi look.
+  }
+
+  draw(ctx) {
+    /**
+     * Draws the Koi on the canvas context.
+     * Uses unique colors, patterns, and bezier curves to create organic-looking spots.
+     */
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.angle);
+
+    const bodySway = Math.sin(this.time * 15) * 0.1;
+
+    // Dorsal Fin
+    ctx.fillStyle = `hsla(${this.hue + 5}, 70%, 50%, 0.8)`;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.1, -this.size * 0.4);
+    ctx.quadraticCurveTo(
+      -this.size * 0.3, -this.size * 0.7 + bodySway * this.size * 0.5,
+      -this.size * 0.6, -this.size * 0.3 + bodySway * this.size * 0.2
+    );
+    ctx.closePath();
+    ctx.fill();
+
+    const tailSway = Math.sin(this.time * 20) * 0.5;
+
+    // Tail
+    ctx.fillStyle = `hsl(${this.hue + 10}, 80%, 60%)`;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.7, 0);
+    ctx.quadraticCurveTo(-this.size * 1.4, -this.size * 0.6 + tailSway * this.size, -this.size * 1.8, tailSway * this.size * 0.3);
+    ctx.quadraticCurveTo(-this.size * 1.4, this.size * 0.6 + tailSway * this.size, -this.size * 0.7, 0);
+    ctx.fill();
+
+    // Body
+    const bodyGrad = ctx.createRadialGradient(0, 0, this.size * 0.2, 0, 0, this.size * 1.2);
+    bodyGrad.addColorStop(0, `hsl(${this.hue}, 95%, 80%)`);
+    bodyGrad.addColorStop(1, `hsl(${this.hue}, 95%, 60%)`);
+    ctx.fillStyle = bodyGrad;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, this.size, this.size * 0.6, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Draw organic-looking spots using bezier curves.
+    ctx.fillStyle = `hsla(${this.hue - 20}, 90%, 30%, 0.8)`;
+    // More organic spots
+    ctx.beginPath();
+    ctx.moveTo(this.size * 0.4, this.size * 0.2);
+    ctx.bezierCurveTo(this.size * 0.5, -this.size * 0.1, this.size * 0.1, -this.size * 0.3, -this.size * 0.1, -this.size * 0.1);
+    ctx.bezierCurveTo(-this.size * 0.3, this.size * 0.1, this.size * 0.2, this.size * 0.4, this.size * 0.4, this.size * 0.2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.5, this.size * 0.3);
+    ctx.bezierCurveTo(-this.size * 0.8, this.size * 0.1, -this.size * 0.8, -this.size * 0.3, -this.size * 0.6, -this.size * 0.2);
+    ctx.bezierCurveTo(-this.size * 0.4, -this.size * 0.1, -this.size * 0.3, this.size * 0.4, -this.size * 0.5, this.size * 0.3);
+    ctx.fill();
+
+    // Eye
+    const eyeX = this.size * 0.6;
+    const eyeY = 0;
+    ctx.fillStyle = 'white';
+    ctx.beginPath();
+    ctx.arc(eyeX, eyeY, this.size * 0.12, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = 'black';
+    ctx.beginPath();
+    ctx.arc(eyeX + this.size * 0.05, eyeY, this.size * 0.07, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
+// =================================================================
+// END OF KOI ENTITY
+// =================================================================
+
+// =================================================================
+// JELLYFISH ENTITY
+// A soft-bodied jellyfish. Its bell swims in pulses and its tentacles are
+// chains of Verlet points held together by distance constraints, so they
+// trail, coil and overshoot under their own momentum.
+// =================================================================
+export class Jellyfish {
+  /**
+   * A jellyfish that pulse-swims towards the cursor.
+   *
+   * Each contraction of the bell gives it a push along its heading, and
+   * water drag slows it between pulses. Tentacle points keep their own
+   * velocity (Verlet integration: the step from the previous position is
+   * the velocity), lose some of it to damping each step, and are pulled
+   * back to `segmentLength` apart by a few constraint passes. The first
+   * point of each tentacle is pinned to the rim of the bell.
+   */
+  constructor(world, config = {}) {
+    this.world = world;
+    this.config = Object.assign({
+      size: 28,
+      bellHue: world.rand(270, 330),
+      pulseRate: 0.9, // pulses per second
+      thrust: 0.4, // push per step at the height of a pulse
+      drag: 0.95, // share of the bell's speed kept each step
+      turnRate: 1.5,
+      tentacleCount: 7,
+      tentacleSegments: 16,
+      segmentLength: 6,
+      damping: 0.96, // share of a tentacle point's speed kept each step
+      curl: 0.35, // how far each joint bends towards a coil, in radians
+      constraintPasses: 4,
+    }, config);
+    this.x = world.width / 2;
+    this.y = world.height / 2;
+    this.vx = 0;
+    this.vy = 0;
+    this.angle = 0;
+    this.time = 0;
+    this.pulse = 0; // position in the current pulse, 0 to 1
+    this.flash = 0; // glow from particles brushing the bell
+    this.buildTentacles();
+  }
+
+  // How far the bell keeps from obstacles; the tentacles trail where they may.
+  get clearance() {
+    return this.config.size * 0.6;
+  }
+
+  // How squeezed the bell is, 0 (relaxed) to 1: quickly in, then slowly out.
+  get contraction() {
+    return this.pulse < 0.35 ? Math.sin(this.pulse / 0.35 * Math.PI) : 0;
+  }
+
+  /**
+   * Lays the tentacles out straight behind the bell. Called when the
+   * jellyfish is built and when the tentacle count or length is edited.
+   */
+  buildTentacles() {
+    const { tentacleCount, tentacleSegments, segmentLength } = this.config;
+    const back = this.angle + Math.PI;
+    const count = Math.max(1, Math.round(tentacleCount));
+    this.tentacles = [];
+    for (let j = 0; j < count; j++) {
+      const anchor = this.rimPoint(j, count, {});
+      const points = [];
+      for (let i = 0; i < Math.max(2, Math.round(tentacleSegments)); i++) {
+        const x = anchor.x + Math.cos(back) * segmentLength * i;
+        const y = anchor.y + Math.sin(back) * segmentLength * i;
+        points.push({ x, y, px: x, py: y });
+      }
+      this.tentacles.push(points);
+    }
+  }
+
+  /**
+   * Where tentacle `j` of `n` hangs from the rim, which narrows as the bell contracts.
+   * @param {object} out - Receives x and y.
+   */
+  rimPoint(j, n, out) {
+    const { size } = this.config;
+    const across = (n > 1 ? j / (n - 1) * 2 - 1 : 0) * size * 0.7 * (1 - 0.3 * this.contraction);
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    out.x = this.x - cos * size * 0.3 - sin * across;
+    out.y = this.y - sin * size * 0.3 + cos * across;
+    return out;
+  }
+
+  update(dt, px, py, speedVal) {
+    const c = this.config;
+    const k = dt * 60; // the constants above are per 1/60 s step
+    this.time += dt;
+    this.flash *= Math.pow(0.9, k);
+
+    // Turn towards the cursor and push off on each pulse, harder when far away.
+    const dx = px - this.x;
+    const dy = py - this.y;
+    const dist = Math.hypot(dx, dy);
+    this.angle += wrapAngle(Math.atan2(dy, dx) - this.angle) * Math.min(1, dt * c.turnRate);
+    this.pulse = (this.pulse + dt * c.pulseRate * speedVal) % 1;
+    const push = c.thrust * this.contraction * lerp(0.3, 1, Math.min(1, dist / 300)) * speedVal * k;
+    this.vx = (this.vx + Math.cos(this.angle) * push) * Math.pow(c.drag, k);
+    this.vy = (this.vy + Math.sin(this.angle) * push) * Math.pow(c.drag, k);
+    this.x += this.vx * k;
+    this.y += this.vy * k;
+    const n = this.world.obstacles.pushOut(this, this.clearance);
+    if (n) {
+      const into = Math.min(0, this.vx * n.nx + this.vy * n.ny);
+      this.vx -= n.nx * into;
+      this.vy -= n.ny * into;
+    }
+
+    const damping = Math.pow(c.damping, k);
+    const passes = Math.max(1, Math.round(c.constraintPasses));
+    this.tentacles.forEach((points, j) => {
+      this.rimPoint(j, this.tentacles.length, points[0]);
+      // Inertia: carry on with last step's motion, less the damping.
+      for (let i = 1; i < points.length; i++) {
+        const p = points[i];
+        const vx = (p.x - p.px) * damping;
+        const vy = (p.y - p.py) * damping;
+        p.px = p.x;
+        p.py = p.y;
+        p.x += vx;
+        p.y += vy;
+      }
+      // Coil: nudge each point towards its joint bent by `curl`, more
+      // towards the tip, with the bend swaying back and forth over time.
+      const sway = Math.sin(this.time * 1.7 + j * 1.3);
+      for (let i = 2; i < points.length; i++) {
+        const a = points[i - 2];
+        const b = points[i - 1];
+        const p = points[i];
+        const bend = Math.atan2(b.y - a.y, b.x - a.x) + c.curl * sway * (i / points.length);
+        p.x += (b.x + Math.cos(bend) * c.segmentLength - p.x) * 0.04;
+        p.y += (b.y + Math.sin(bend) * c.segmentLength - p.y) * 0.04;
+      }
+      // Distance constraints, root to tip. The pinned root doesn't move.
+      for (let pass = 0; pass < passes; pass++) {
+        for (let i = 1; i < points.length; i++) {
+          const a = points[i - 1];
+          const b = points[i];
+          const ddx = b.x - a.x;
+          const ddy = b.y - a.y;
+          const d = Math.hypot(ddx, ddy) || 1e-6;
+          const error = (d - c.segmentLength) / d;
+          const share = i === 1 ? 1 : 0.5;
+          b.x -= ddx * error * share;
+          b.y -= ddy * error * share;
+          if (i > 1) {
+            a.x += ddx * error * share;
+            a.y += ddy * error * share;
+          }
+        }
+      }
+    });
+  }
+
+  configChanged() {
+    const c = this.config;
+    const count = Math.max(1, Math.round(c.tentacleCount));
+    const segments = Math.max(2, Math.round(c.tentacleSegments));
+    if (this.tentacles.length !== count || this.tentacles[0].length !== segments) this.buildTentacles();
+  }
+
+  draw(ctx) {
+    /**
+     * Draws the tentacles, tapering towards their tips, then the bell over them.
+     */
+    const { size, bellHue } = this.config;
+    const glow = this.flash;
+    ctx.lineCap = 'round';
+    for (const points of this.tentacles) {
+      // Smooth curves through the midpoints, each piece a little thinner.
+      for (let i = 1; i < points.length - 1; i++) {
+        const t = i / points.length;
+        const a = points[i - 1];
+        const b = points[i];
+        const n = points[i + 1];
+        ctx.strokeStyle = `hsla(${bellHue}, 80%, ${70 + glow * 20}%, ${lerp(0.7, 0.15, t)})`;
+        ctx.lineWidth = lerp(2.4, 0.5, t) * size / 28;
+        ctx.beginPath();
+        ctx.moveTo(i === 1 ? a.x : (a.x + b.x) / 2, i === 1 ? a.y : (a.y + b.y) / 2);
+        const last = i === points.length - 2;
+        ctx.quadraticCurveTo(b.x, b.y, last ? n.x : (b.x + n.x) / 2, last ? n.y : (b.y + n.y) / 2);
+        ctx.stroke();
+      }
+    }
+    ctx.lineCap = 'butt';
+
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.angle);
+    // The bell is a half ellipse facing forward; contracting makes it
+    // longer and narrower.
+    const squeeze = this.contraction;
+    const rx = size * 0.9 * (1 + 0.2 * squeeze);
+    const ry = size * 0.7 * (1 - 0.3 * squeeze);
+    const bellGrad = ctx.createRadialGradient(size * 0.1, 0, size * 0.1, -size * 0.3, 0, size * 1.1);
+    bellGrad.addColorStop(0, `hsla(${bellHue}, 90%, ${80 + glow * 15}%, ${0.55 + glow * 0.3})`);
+    bellGrad.addColorStop(1, `hsla(${bellHue}, 80%, 50%, 0.15)`);
+    ctx.fillStyle = bellGrad;
+    ctx.beginPath();
+    ctx.ellipse(-size * 0.3, 0, rx, ry, 0, -Math.PI / 2, Math.PI / 2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = `hsla(${bellHue}, 90%, 85%, 0.6)`;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Four gonads glowing through the bell.
+    ctx.fillStyle = `hsla(${bellHue + 40}, 80%, 70%, ${0.35 + glow * 0.3})`;
+    for (let i = 0; i < 4; i++) {
+      const a = (i + 0.5) / 4 * Math.PI - Math.PI / 2;
+      ctx.beginPath();
+      ctx.ellipse(-size * 0.05 + Math.cos(a) * size * 0.2, Math.sin(a) * ry * 0.45, size * 0.12, size * 0.07, a, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  collectColliders(collisions) {
+    const squeeze = this.contraction;
+    const { size } = this.config;
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    // The ellipse is centred halfway along the dome, not at the rim.
+    const half = size * 0.45 * (1 + 0.2 * squeeze);
+    collisions.addEllipse(this, 0, this.x + cos * (half - size * 0.3), this.y + sin * (half - size * 0.3),
+      half, size * 0.7 * (1 - 0.3 * squeeze), this.angle, this.vx, this.vy);
+  }
+
+  onParticleHits(hits) {
+    this.flash = Math.min(1, this.flash + hits[0] * 0.04);
+  }
+
+  poseParts() {
+    return [this, ...this.tentacles.flat()];
+  }
+}
+
+// Slider ranges for the inspector.
+Jellyfish.tunables = [
+  { key: 'size', label: 'Size', min: 8, max: 80, step: 1 },
+  { key: 'pulseRate', label: 'Pulse rate', min: 0.1, max: 4, step: 0.05 },
+  { key: 'thrust', label: 'Thrust', min: 0, max: 1, step: 0.01 },
+  { key: 'drag', label: 'Drag', min: 0.8, max: 1, step: 0.005 },
+  { key: 'tentacleCount', label: 'Tentacles', min: 1, max: 24, step: 1 },
+  { key: 'tentacleSegments', label: 'Tentacle segments', min: 2, max: 40, step: 1 },
+  { key: 'segmentLength', label: 'Segment length', min: 1, max: 20, step: 0.5 },
+  { key: 'damping', label: 'Damping', min: 0.8, max: 1, step: 0.005 },
+  { key: 'curl', label: 'Curl', min: -1.5, max: 1.5, step: 0.05 },
+  { key: 'constraintPasses', label: 'Constraint passes', min: 1, max: 12, step: 1 },
+];
+// =================================================================
+// END OF JELLYFISH ENTITY
+// =================================================================
+
+// =================================================================
+// SCHOOL ENTITY
+// A boids-style school of Fish or Koi that moves as one group.
+// =================================================================
+export class School {
+  /**
+   * Manages a group of fish that steer using separation, alignment and
+   * cohesion, plus a weighted pull towards the target.
+   * Neighbours are found through a spatial hash so large schools stay cheap.
+   * @param {World} world - The world the school swims in.
+   * @param {Function} FishType - The class used for each member (Fish or Koi).
+   * @param {object} config - Overrides for the school size and steering weights.
+   */
+  constructor(world, FishType = Fish, config = {}) {
+    this.world = world;
+    this.FishType = FishType;
+    this.config = Object.assign({
+      size: 40,
+      fishScale: 0.55,
+      separation: 1.6,
+      alignment: 1.0,
+      cohesion: 0.8,
+      pointer: 0.7,
+      radius: 70, // How far a fish can see its neighbours
+      separationRadius: 26,
+      maxNeighbours: 12,
+    }, config);
+    this.fish = [];
+    this.grid = new SpatialHash(this.config.radius);
+    this.neighbours = [];
+    this.resize();
+  }
+
+  /**
+   * Adds or removes members until the school matches `config.size`.
+   */
+  resize() {
+    const size = Math.max(1, Math.round(this.config.size));
+    while (this.fish.length < size) {
+      const f = new this.FishType(this.world);
+      const a = this.world.rand(0, Math.PI * 2);
+      const r = this.world.rand(0, 150);
+      f.x += Math.cos(a) * r;
+      f.y += Math.sin(a) * r;
+      f.angle = this.world.rand(-Math.PI, Math.PI);
+      f.size *= this.config.fishScale * this.world.rand(0.85, 1.15);
+      this.fish.push(f);
+    }
+    this.fish.length = size;
+  }
+
+  update(dt, px, py, speedVal) {
+    const c = this.config;
+    if (this.fish.length !== Math.round(c.size)) this.resize();
+    if (this.grid.cellSize !== c.radius) this.grid = new SpatialHash(c.radius);
+
+    this.grid.clear();
+    for (const f of this.fish) this.grid.insert(f, f.x, f.y);
+
+    const sepR2 = c.separationRadius * c.separationRadius;
+    const visR2 = c.radius * c.radius;
+    for (const f of this.fish) {
+      let sepX = 0, sepY = 0, aliX = 0, aliY = 0, cohX = 0, cohY = 0, n = 0;
+      const candidates = this.grid.query(f.x, f.y, c.radius, this.neighbours);
+      for (let i = 0; i < candidates.length && n < c.maxNeighbours; i++) {
+        const o = candidates[i];
+        if (o === f) continue;
+        const dx = f.x - o.x;
+        const dy = f.y - o.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 > visR2) continue;
+        if (d2 < sepR2) {
+          // Push away harder the closer the neighbour is.
+          const inv = 1 / Math.max(1, d2);
+          sepX += dx * inv * c.separationRadius;
+          sepY += dy * inv * c.separationRadius;
+        }
+        aliX += o.vx;
+        aliY += o.vy;
+        cohX += o.x;
+        cohY += o.y;
+        n++;
+      }
+
+      let steerX = 0, steerY = 0;
+      if (n > 0) {
+        const aliLen = Math.hypot(aliX, aliY) || 1;
+        steerX += (aliX / aliLen) * c.alignment;
+        steerY += (aliY / aliLen) * c.alignment;
+        const toCx = cohX / n - f.x;
+        const toCy = cohY / n - f.y;
+        const cohLen = Math.hypot(toCx, toCy) || 1;
+        steerX += (toCx / cohLen) * c.cohesion * Math.min(1, cohLen / c.radius);
+        steerY += (toCy / cohLen) * c.cohesion * Math.min(1, cohLen / c.radius);
+      }
+      steerX += sepX * c.separation;
+      steerY += sepY * c.separation;
+
+      const tx = px - f.x;
+      const ty = py - f.y;
+      const tLen = Math.hypot(tx, ty) || 1;
+      steerX += (tx / tLen) * c.pointer * Math.min(1, tLen / 100);
+      steerY += (ty / tLen) * c.pointer * Math.min(1, tLen / 100);
+
+      // In ecosystem mode hungry fish break off for food they can see, and
+      // all of them dart away from predators.
+      const v = f.vitals;
+      if (v && v.food) {
+        const fx = v.food.x - f.x;
+        const fy = v.food.y - f.y;
+        const fLen = Math.hypot(fx, fy) || 1;
+        steerX += (fx / fLen) * 2;
+        steerY += (fy / fLen) * 2;
+      }
+      if (v && v.fear) {
+        steerX += v.fleeX * v.fear * 4;
+        steerY += v.fleeY * v.fear * 4;
+      }
+
+      // Separation also nudges velocity directly so fish never stack up
+      // while they are still turning.
+      f.vx += sepX * c.separation * 0.05;
+      f.vy += sepY * c.separation * 0.05;
+
+      // Let the fish's own turning and acceleration chase a point ahead of it
+      // in the combined steering direction.
+      f.update(dt, f.x + steerX * 120, f.y + steerY * 120, speedVal);
+    }
+  }
+
+  // How far the school's middle keeps from obstacles when routing round them.
+  get clearance() {
+    return this.fish.length ? this.fish[0].clearance * 1.5 : 10;
+  }
+
+  draw(ctx) {
+    for (const f of this.fish) f.draw(ctx);
+  }
+
+  collectColliders(collisions) {
+    for (const f of this.fish) f.collectColliders(collisions);
+  }
+
+  poseParts() {
+    return this.fish;
+  }
+
+  emitParticles(dt) {
+    // Only a handful of fish blow bubbles each frame, otherwise a big school
+    // floods the particle system.
+    const share = Math.min(1, 6 / this.fish.length);
+    for (const f of this.fish) {
+      if (this.world.random() < share) f.emitParticles(dt);
+    }
+  }
+}
+
+export class FishSchool extends School {
+  constructor(world, config) {
+    super(world, Fish, config);
+  }
+}
+
+export class KoiSchool extends School {
+  constructor(world, config) {
+    super(world, Koi, Object.assign({ size: 16, fishScale: 0.6, radius: 90, separationRadius: 40 }, config));
+  }
+}
+
+// Sliders shown for each school in the entity list.
+School.tunables = [
+  { key: 'size', label: 'School size', min: 1, max: 300, step: 1 },
+  { key: 'separation', label: 'Separation', min: 0, max: 5, step: 0.1 },
+  { key: 'alignment', label: 'Alignment', min: 0, max: 5, step: 0.1 },
+  { key: 'cohesion', label: 'Cohesion', min: 0, max: 5, step: 0.1 },
+  { key: 'pointer', label: 'Pointer pull', min: 0, max: 5, step: 0.1 },
+  { key: 'radius', label: 'View radius', min: 20, max: 200, step: 5 },
+];
+// =================================================================
+// END OF SCHOOL ENTITY
+// =================================================================
+
+// =================================================================
+// CENTIPEDE ENTITY
+// Defines a multi-segmented creature with legs that follows the cursor.
+// =================================================================
+export class Centipede extends SkeletalEntity {
+  /**
+   * Represents a multi-segmented centipede that follows the cursor.
+   * The centipede has a variable number of bones, each with a length and angle.
+   * It walks on a pair of legs per body segment and emits no particles.
+   *
+   * Legs move in a metachronal wave. Each leg carries a phase that advances
+   * with the distance the body travels, so the legs stand still when the
+   * centipede does and ripple faster the quicker it goes. For the first
+   * `duty` of a cycle the foot holds its spot on the ground; for the rest it
+   * swings forward to its next one. Each leg runs a little ahead of the one
+   * in front of it, so the wave runs from the tail to the head, and the two
+   * legs of a segment are half a cycle apart.
+   */
+  constructor(world) {
+    super(world, {
+      boneCount: 40,
+      boneLength: 12,
+      headAngleSmoothing: 10,
+      // stride: body travel per leg cycle, in leg lengths. duty: share of
+      // the cycle a foot is planted. wavelength: legs per wave.
+      gait: { stride: 1.2, duty: 0.6, wavelength: 8 },
+    });
+    // Distance the body has travelled, in leg cycles, wrapped to [0, 1).
+    this.travel = 0;
+    this.placeLegs();
+  }
+
+  // A leg is as long as its two segments, 0.5 and 0.6 of this, nearly straight.
+  get legLength() {
+    return this.config.boneLength * 1.4;
+  }
+
+  /**
+   * Puts every foot down at its resting spot and staggers the phases into a
+   * fresh wave. Called when the legs are built and when the body resizes.
+   */
+  placeLegs() {
+    this.legs = [];
+    for (let i = 1; i < this.bones.length; i++) {
+      for (let side = -1; side <= 1; side += 2) {
+        const leg = { bone: i, side, x: 0, y: 0, fromX: 0, fromY: 0, swinging: false };
+        leg.phase = this.legPhase(leg);
+        this.restFoot(leg, leg);
+        // Feet already partway through their stance stand behind the rest spot.
+        const { duty } = this.config.gait;
+        this.shiftFoot(leg, (0.5 - (leg.phase < duty ? leg.phase / duty : 0.5)) * this.stanceLength);
+        leg.swinging = leg.phase >= duty;
+        leg.fromX = leg.x;
+        leg.fromY = leg.y;
+        this.legs.push(leg);
+      }
+    }
+  }
+
+  // Where a leg is in its cycle, from 0 (just landed) to 1. Legs further
+  // back run ahead, which sends the wave towards the head.
+  legPhase(leg) {
+    return (this.travel + leg.bone / this.config.gait.wavelength + (leg.side > 0 ? 0.5 : 0)) % 1;
+  }
+
+  resize() {
+    super.resize();
+    this.placeLegs();
+  }
+
+  // How far the body moves while a foot is planted.
+  get stanceLength() {
+    return this.config.gait.stride * this.config.gait.duty * this.legLength;
+  }
+
+  // Where a leg's foot rests with the body still: out to the side and a little forward.
+  restFoot(leg, out) {
+    const b = this.bones[leg.bone];
+    const angle = b.angle + leg.side * 1.1;
+    out.x = b.x + Math.cos(angle) * this.legLength * 0.95;
+    out.y = b.y + Math.sin(angle) * this.legLength * 0.95;
+    return out;
+  }
+
+  // Moves a foot `d` pixels along its segment's heading.
+  shiftFoot(foot, d) {
+    const b = this.bones[foot.bone];
+    foot.x += Math.cos(b.angle) * d;
+    foot.y += Math.sin(b.angle) * d;
+  }
+
+  update(dt, px, py, speedVal) {
+    super.update(dt, px, py, speedVal);
+    const { stride, duty } = this.config.gait;
+    // The rest of the body follows the head's path, so the head's travel
+    // is everyone's. Backing up doesn't turn the wave backwards.
+    const head = this.bones[0];
+    const travel = Math.max(0, head.vx * Math.cos(head.angle) + head.vy * Math.sin(head.angle));
+    this.travel = (this.travel + travel / (stride * this.legLength)) % 1;
+    const target = { bone: 0, x: 0, y: 0 };
+    for (const leg of this.legs) {
+      const b = this.bones[leg.bone];
+      const phase = this.legPhase(leg);
+      const landed = phase < leg.phase;
+      leg.phase = phase;
+      const swinging = phase >= duty;
+
+      // A foot lands half a stance ahead of its rest spot, so it passes
+      // under the rest spot halfway through the stance.
+      target.bone = leg.bone;
+      this.restFoot(leg, target);
+      this.shiftFoot(target, this.stanceLength / 2);
+      if (landed) {
+        leg.x = target.x;
+        leg.y = target.y;
+      }
+      if (swinging && (!leg.swinging || landed)) {
+        leg.fromX = leg.x;
+        leg.fromY = leg.y;
+      }
+      if (swinging) {
+        const u = (phase - duty) / (1 - duty);
+        const e = u * u * (3 - 2 * u);
+        leg.x = lerp(leg.fromX, target.x, e);
+        leg.y = lerp(leg.fromY, target.y, e);
+      } else if (Math.hypot(leg.x - b.x, leg.y - b.y) > this.legLength * 1.5) {
+        // Left behind by a sharp turn: pick the foot up and put it down again.
+        leg.x = target.x;
+        leg.y = target.y;
+      }
+      leg.swinging = swinging;
+    }
+  }
+
+  draw(ctx) {
+    /**
+     * Draws the centipede on the canvas context.
+     * Uses gradients and procedural animation to create a wiggly, realistic appearance.
+     */
+    const time = this.world.frameTime / 1000;
+    const legLength = this.legLength;
+    const upper = legLength * 0.5;
+    const lower = legLength * 0.6;
+    ctx.strokeStyle = `hsl(30, 40%, 15%)`;
+    ctx.lineWidth = 2;
+    for (const leg of this.legs) {
+      // Two-segment leg from the body to the foot, the knee bent back:
+      // put it where circles round the hip and the foot meet.
+      const b = this.bones[leg.bone];
+      const dx = leg.x - b.x;
+      const dy = leg.y - b.y;
+      const d = Math.min(upper + lower - 0.01, Math.max(lower - upper + 0.01, Math.hypot(dx, dy)));
+      const bend = Math.acos((upper * upper + d * d - lower * lower) / (2 * upper * d));
+      const kneeAngle = Math.atan2(dy, dx) + leg.side * bend;
+      const kneeX = b.x + Math.cos(kneeAngle) * upper;
+      const kneeY = b.y + Math.sin(kneeAngle) * upper;
+
+      ctx.beginPath();
+      ctx.moveTo(b.x, b.y);
+      ctx.lineTo(kneeX, kneeY);
+      ctx.lineTo(leg.x, leg.y);
+      ctx.stroke();
+    }
+
+    for (let i = 1; i < this.bones.length; i++) {
+      const b = this.bones[i];
+      const t = i / this.bones.length;
+
+      // Body segment
+      const grad = ctx.createRadialGradient(b.x, b.y, 1, b.x, b.y, this.config.boneLength * 0.7);
+      grad.addColorStop(0, `hsl(30, 50%, ${lerp(50, 35, t)}%)`);
+      grad.addColorStop(1, `hsl(30, 50%, ${lerp(30, 15, t)}%)`);
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, lerp(this.config.boneLength * 0.6, this.config.boneLength * 0.2, t), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Head
+    const head = this.bones[0];
+    const headGrad = ctx.createRadialGradient(head.x, head.y, 2, head.x, head.y, this.config.boneLength);
+    headGrad.addColorStop(0, 'hsl(30, 60%, 60%)');
+    headGrad.addColorStop(1, 'hsl(30, 60%, 40%)');
+    ctx.fillStyle = headGrad;
+    ctx.beginPath();
+    ctx.arc(head.x, head.y, this.config.boneLength * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Add wiggling antennae to the head.
+    const antennaWiggle = Math.sin(time * 20) * 0.4;
+    ctx.strokeStyle = 'hsl(30, 40%, 10%)';
+    ctx.lineWidth = 1.5;
+    for (let side = -1; side <= 1; side += 2) {
+      const ang = head.angle - side * 0.5 + antennaWiggle * side * 0.3;
+      ctx.beginPath();
+      ctx.moveTo(head.x, head.y);
+      ctx.lineTo(head.x + Math.cos(ang) * this.config.boneLength * 1.5, head.y + Math.sin(ang) * this.config.boneLength * 1.5);
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = 'black';
+    ctx.beginPath();
+    ctx.arc(head.x + Math.cos(head.angle) * 4, head.y + Math.sin(head.angle) * 4, 2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+// =================================================================
+// END OF CENTIPEDE ENTITY
+// =================================================================
+
+// =================================================================
+// SNAKE ENTITY
+// This class defines the behavior and appearance of the snake.
+// It manages the skeleton, movement, and rendering of the creature.
+// =================================================================
+export class Snake extends SkeletalEntity {
+  /**
+   * Manages the behavior and appearance of the snake.
+   * Manages the skeleton, movement, and rendering of the creature.
+   */
+  constructor(world, config = {}) {
+    // Create the complete config object first.
+    const finalConfig = Object.assign({
+      boneCount: 22,
+      boneLength: 26,
+      glowHue: 190,
+      glowHueRange: 60,
+      ribWobbleAmp: 2,
+      mouthIdleSpeed: 0.003,
+      headSpeed: { min: 0.5, max: 4.5, dist: 400 }
+    }, config);
+
+    // Pass the final, unified config to the parent.
+    super(world, finalConfig);
+
+    // Warm sparks shed from every third vertebra, faster near the head.
+    this.emitters = [new Emitter(world, {
+      shape: 'chain',
+      bones: { from: 0, step: 3 },
+      rate: 24,
+      jitter: 2,
+      spread: 0.3,
+      speed: [0.2, 1.2],
+      taper: 0.5,
+      size: [0.6, 1.8],
+      life: [0.5, 1.5],
+      hue: [10, 50],
+      style: GLOW_STYLE,
+    })];
+  }
+
+  draw(ctx, px, py) {
+    /**
+     * Draws the snake on the canvas context.
+     * Uses a spine polyline, vertebrae, ribs, and a head with a skull, mouth, teeth, and eyes.
+     */
+    const bones = this.bones;
+    const boneLength = this.config.boneLength;
+
+    // === Spine polyline ===
+    const path = ctx.createPath();
+    for (let i = 0; i < bones.length; i++) {
+      const b = bones[i];
+      if (i === 0) path.moveTo(b.x, b.y);
+      else path.lineTo(b.x, b.y);
+    }
+
+    // The spine's glow hue shifts over time for a dynamic effect.
+    const hueShift = (this.world.frameTime / 50) % this.config.glowHueRange;
+    const glowHue = (this.config.glowHue + hueShift) % 360;
+
+    ctx.strokeStyle = 'rgba(240,240,240,0.12)';
+    ctx.lineWidth = 2.0;
+    ctx.lineJoin = 'round';
+    ctx.stroke(path);
+
+    // A second pass to draw the glow, which pulses in size.
+    const glowPulse = 0.5 + (Math.sin(this.world.frameTime / 400) + 1) * 0.25;
+    ctx.shadowColor = `hsla(${glowHue}, 100%, 70%, 0.4)`;
+    ctx.shadowBlur = 15 * glowPulse;
+    ctx.strokeStyle = `hsla(${glowHue}, 100%, 75%, 0.3)`;
+    ctx.lineWidth = 4;
+    ctx.stroke(path);
+
+    // Reset
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;
+    ctx.lineWidth = 1.0;
+
+    // === Vertebrae: Draw small ellipses along the spine. ===
+    for (let i = 1; i < bones.length; i++) {
+      const b = bones[i];
+      const t = i / bones.length;
+      const rx = lerp(boneLength * 0.5, boneLength * 0.22, t);
+      const ry = lerp(boneLength * 0.22, boneLength * 0.08, t);
+      ctx.save();
+      ctx.translate(b.x, b.y);
+      ctx.rotate(b.angle);
+      const vertGrad = ctx.createLinearGradient(-rx, -ry, rx, ry);
+      const alpha = lerp(0.95, 0.25, t);
+      vertGrad.addColorStop(0, `rgba(255,255,255,${alpha})`);
+      vertGrad.addColorStop(1, `rgba(220,220,230,${alpha * 0.8})`);
+      ctx.fillStyle = vertGrad;
+      ctx.beginPath();
+      ctx.ellipse(0, 0, rx * 0.4, ry * 0.6, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // === Ribs: Draw curved ribs that have a subtle "breathing" wobble. ===
+    for (let i = 1; i < bones.length; i++) {
+      const b = bones[i];
+      const t = i / bones.length;
+      const ux = Math.cos(b.angle);
+      const uy = Math.sin(b.angle);
+      const pxp = -uy;
+      const pyp = ux;
+
+      // The wobble is a sine wave based on time and the bone's index.
+      const wobble = Math.sin(this.world.frameTime / 250 + i * 0.5) * this.config.ribWobbleAmp;
+      const ribLen = lerp(boneLength * 0.5, boneLength * 0.18, t) + wobble;
+      const alpha = lerp(0.9, 0.1, t); // fade tail stronger
+      // Ribs warm up where particles have been hitting them.
+      const heat = this.hitHeat[i];
+      ctx.strokeStyle = `rgba(245,${Math.round(245 - heat * 90)},${Math.round(245 - heat * 170)},${Math.min(1, alpha + heat * 0.6)})`;
+      ctx.lineWidth = Math.max(0.7, 1.0 - t * 0.6);
+
+      const sx = b.x;
+      const sy = b.y;
+      // Left rib
+      const lx = sx - pxp * (2 + ribLen);
+      const ly = sy - pyp * (2 + ribLen);
+      const c1x = sx - pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
+      const c1y = sy - pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
+      ctx.beginPath();
+      ctx.moveTo(sx - pxp * 2, sy - pyp * 2);
+      ctx.quadraticCurveTo(c1x, c1y, lx, ly);
+      ctx.stroke();
+
+      // Right rib
+      const rx = sx + pxp * (2 + ribLen);
+      const ry = sy + pyp * (2 + ribLen);
+      const c2x = sx + pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
+      const c2y = sy + pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
+      ctx.beginPath();
+      ctx.moveTo(sx + pxp * 2, sy + pyp * 2);
+      ctx.quadraticCurveTo(c2x, c2y, rx, ry);
+      ctx.stroke();
+    }
+
+    // === Head ===
+    this.drawSkull(ctx, px, py, glowHue);
+  }
+
+  /**
+   * Draws the skull, mouth, teeth, and eyes.
+   */
+  drawSkull(ctx, px, py, glowHue) {
+    const boneLength = this.config.boneLength;
+    const head = this.bones[0];
+    const dxh = px - head.x;
+    const dyh = py - head.y;
+    const distH = Math.hypot(dxh, dyh) || 1;
+
+    // Mouth opening is a combination of an idle "hiss" and opening wider when the cursor is close.
+    const idle = (Math.sin(this.world.frameTime * this.config.mouthIdleSpeed) + 1) * 0.5;
+    const openH = Math.max(0, Math.min(1, 1 - distH / 200)) + idle * 0.3;
+
+    ctx.save();
+    ctx.translate(head.x, head.y);
+    ctx.rotate(head.angle);
+
+    // Skull
+    ctx.fillStyle = '#f0f4f8';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, boneLength * 0.7, boneLength * 0.6, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Mouth
+    ctx.fillStyle = '#071028';
+    ctx.beginPath();
+    const mouthW = boneLength * 0.9;
+    const mouthH = boneLength * 0.22 + openH * 10;
+    ctx.moveTo(-mouthW * 0.45, 0);
+    ctx.quadraticCurveTo(-mouthW * 0.2, mouthH, mouthW * 0.35, openH * 6);
+    ctx.quadraticCurveTo(-mouthW * 0.2, -mouthH, -mouthW * 0.45, 0);
+    ctx.closePath();
+    ctx.fill();
+
+    // Draw simple triangular teeth inside the mouth.
+    ctx.fillStyle = 'rgba(245,245,245,0.95)';
+    const teeth = 6;
+    for (let i = 0; i < teeth; i++) {
+      const tx = -boneLength * 0.18 + i * (boneLength * 0.12);
+      // lower
+      ctx.beginPath();
+      ctx.moveTo(tx, 6 + openH * 6);
+      ctx.lineTo(tx + 3, 2 + openH * 4);
+      ctx.lineTo(tx - 3, 2 + openH * 4);
+      ctx.closePath();
+      ctx.fill();
+      // upper
+      ctx.beginPath();
+      ctx.moveTo(tx, -6 - openH * 6);
+      ctx.lineTo(tx + 3, -2 - openH * 4);
+      ctx.lineTo(tx - 3, -2 - openH * 4);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Eyes that glow and track the cursor's position.
+    const eyeAngle = Math.atan2(dyh, dxh) - head.angle;
+    const eyeDist = Math.min(boneLength * 0.1, distH * 0.05);
+    const ex = Math.cos(eyeAngle) * eyeDist;
+    const ey = Math.sin(eyeAngle) * eyeDist;
+    ctx.fillStyle = `hsl(${glowHue}, 100%, 70%)`;
+    ctx.shadowColor = `hsl(${glowHue}, 100%, 70%)`;
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    ctx.arc(boneLength * 0.2 + ex, -boneLength * 0.22 + ey, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(boneLength * 0.2 + ex, boneLength * 0.22 + ey, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
+
+// Snakes eat pellets in ecosystem mode, and grow longer with each one.
+Snake.diet = ['food'];
+
+// =================================================================
+// END OF SNAKE ENTITY
+// =================================================================
+
+// =================================================================
+// DRAGON ENTITY
+// A standalone class for the dragon, with its own skeleton, limbs, and rendering.
+// =================================================================
+export class Dragon extends SkeletalEntity {
+  /**
+   * Represents a dragon with its own skeleton, limbs, and rendering.
+   * Manages the dragon's bones, ribs, limbs, and wings.
+   */
+  constructor(world, config = {}) {
+    // Create the complete config object first.
+    const finalConfig = Object.assign({
+      boneCount: 45,
+      boneLength: 28,
+      glowHue: 190,
+      glowHueRange: 60,
+      ribWobbleAmp: 2,
+      mouthIdleSpeed: 0.003,
+      maxParticles: 1500,
+      bodyRadius: [0.7, 0.25],
+      followDelay: 0.08, // Smooth following delay (lower = faster response)
+      headAngleSmoothing: 1 / (0.08 * 60), // Convert delay to smoothing factor
+      headSpeed: { min: 1.5, max: 8.0, dist: 500 } // Custom speed for dragon
+    }, config);
+
+    // Pass the final, unified config to the parent.
+    super(world, finalConfig);
+
+    this.limbs = [];
+    this.wings = [];
+
+    // Initialize limbs and wings after the parent constructor has created the bones.
+    this.limbs = [
+      new LimbSystem(this.bones[6], 3, 25, 1, 3),
+      new ForeLimbSystem(this.bones[6], 3, 25, -1, 3),
+      new HindLimbSystem(this.bones[25], 3, 25, 1, 3),
+      new HindLimbSystem(this.bones[25], 3, 25, -1, 3),
+    ];
+    this.wings = [
+      new WingSystem(this.bones[7], 5, 30, 1, 0),
+      new WingSystem(this.bones[7], 5, 30, -1, 0),
+    ];
+    this.gait = new Gait(this.limbs, this.bones);
+
+    // A dense ember trail from the middle of the body to the tail tip.
+    this.emitters = [new Emitter(world, {
+      shape: 'chain',
+      bones: { from: 15, step: 2 },
+      rate: 36,
+      jitter: 2,
+      spread: 0.3,
+      speed: [0.2, 1.2],
+      taper: 0.2,
+      size: [1.0, 2.5], // Slightly larger particles
+      life: [0.7, 1.7], // Slightly longer life
+      hue: [20, 50],
+      cap: this.config.maxParticles,
+      style: EMBER_STYLE,
+    })];
+  }
+  update(dt, px, py, speedVal) {
+    // First, call the parent update method to move the spine
+    const time = this.world.frameTime;
+    const head = this.bones[0];
+
+    // Calculate distance to cursor BEFORE moving, so wings get the correct value for animation.
+    const dist = Math.hypot(px - head.x, py - head.y);
+
+    // Now, move the entity.
+    super.update(dt, px, py, speedVal);
+    // Walk the legs under the new body, then flap the wings.
+    this.gait.update(dt);
+    this.wings.forEach(w => w.update(time, dist));
+  }
+
+  configChanged() {
+    super.configChanged();
+    this.emitters[0].options.cap = this.config.maxParticles;
+  }
+
+  poseParts() {
+    return [
+      ...this.bones,
+      ...this.limbs.flatMap(l => l.segments),
+      ...this.wings.flatMap(w => w.segments),
+    ];
+  }
+
+  draw(ctx, px, py) {
+    const { bones, config } = this;
+    const { boneLength, glowHue, glowHueRange } = config;
+
+    const time = this.world.frameTime;
+    const hueShift = (time / 50) % glowHueRange;
+    const currentHue = (glowHue + hueShift) % 360;
+
+    // === Spine ===
+    ctx.strokeStyle = "rgba(255,255,255,0.7)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(this.bones[0].x, this.bones[0].y);
+    this.bones.forEach(b => ctx.lineTo(b.x, b.y));
+    ctx.stroke();
+
+    // === Ribs (Copied from Snake class) ===
+    for (let i = 1; i < bones.length; i++) {
+      const b = bones[i];
+      const t = i / bones.length;
+      const ux = Math.cos(b.angle);
+      const uy = Math.sin(b.angle);
+      const pxp = -uy;
+      const pyp = ux;
+
+      const wobble = Math.sin(this.world.frameTime / 250 + i * 0.5) * config.ribWobbleAmp;
+      const ribLen = lerp(boneLength * 0.6, boneLength * 0.2, t) + wobble;
+      const alpha = lerp(0.9, 0.1, t);
+      const heat = this.hitHeat[i];
+      ctx.strokeStyle = `rgba(245,${Math.round(245 - heat * 90)},${Math.round(245 - heat * 170)},${Math.min(1, alpha + heat * 0.6)})`;
+      ctx.lineWidth = Math.max(0.8, 1.2 - t * 0.7);
+
+      const sx = b.x;
+      const sy = b.y;
+      // Left rib
+      const lx = sx - pxp * (2 + ribLen);
+      const ly = sy - pyp * (2 + ribLen);
+      const c1x = sx - pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
+      const c1y = sy - pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
+      ctx.beginPath();
+      ctx.moveTo(sx - pxp * 2, sy - pyp * 2);
+      ctx.quadraticCurveTo(c1x, c1y, lx, ly);
+      ctx.stroke();
+
+      // Right rib
+      const rx = sx + pxp * (2 + ribLen);
+      const ry = sy + pyp * (2 + ribLen);
+      const c2x = sx + pxp * (ribLen * 0.6) - ux * (ribLen * 0.4);
+      const c2y = sy + pyp * (ribLen * 0.6) - uy * (ribLen * 0.4);
+      ctx.beginPath();
+      ctx.moveTo(sx + pxp * 2, sy + pyp * 2);
+      ctx.quadraticCurveTo(c2x, c2y, rx, ry);
+      ctx.stroke();
+    }
+
+    // === Limbs ===
+    this.limbs.forEach(l => l.draw(ctx));
+
+    // === Wings ===
+    this.wings.forEach(w => w.draw(ctx));
+
+    // === Head ===
+    this.drawSkull(ctx, px, py, currentHue);
+  }
+
+  drawSkull(ctx, px, py, glowHue) {
+    const { bones, config } = this;
+    const { boneLength } = config;
+    const head = bones[0];
+
+    ctx.save();
+    ctx.translate(head.x, head.y);
+    ctx.rotate(head.angle);
+
+    // Draw a stylized, black dragon head based on the reference image.
+    ctx.fillStyle = 'black';
+    ctx.strokeStyle = 'rgba(200, 200, 200, 0.8)';
+    ctx.lineWidth = 1;
+
+    // Main head shape
+    ctx.beginPath();
+    ctx.moveTo(boneLength * 0.6, 0);
+    ctx.lineTo(boneLength * 0.2, -boneLength * 0.5);
+    ctx.lineTo(-boneLength * 0.5, -boneLength * 0.3);
+    ctx.lineTo(-boneLength * 0.5, boneLength * 0.3);
+    ctx.lineTo(boneLength * 0.2, boneLength * 0.5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Horns/spikes
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-boneLength * 0.5, -boneLength * 0.3);
+    ctx.lineTo(-boneLength * 0.7, -boneLength * 0.6);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(-boneLength * 0.5, boneLength * 0.3);
+    ctx.lineTo(-boneLength * 0.7, boneLength * 0.6);
+    ctx.stroke();
+
+    // Eyes that glow and track the cursor's position.
+    const dxh = px - head.x;
+    const dyh = py - head.y;
+    const eyeAngle = Math.atan2(dyh, dxh) - head.angle;
+    const eyeDist = Math.min(boneLength * 0.1, Math.hypot(dxh, dyh) * 0.05);
+    const ex = Math.cos(eyeAngle) * eyeDist;
+    const ey = Math.sin(eyeAngle) * eyeDist;
+
+    ctx.fillStyle = `hsl(${glowHue}, 100%, 70%)`;
+    ctx.shadowColor = `hsl(${glowHue}, 100%, 70%)`;
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    ctx.arc(boneLength * 0.3 + ex, -boneLength * 0.2 + ey, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(boneLength * 0.3 + ex, boneLength * 0.2 + ey, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;    // Mouth (new, correct implementation)
+    const distH = Math.hypot(px - head.x, py - head.y) || 1;
+    const idle = (Math.sin(this.world.frameTime * config.mouthIdleSpeed) + 1) * 0.5;
+    const openFactor = Math.max(0, Math.min(1, 1 - distH / 200)) + idle * 0.3;
+    ctx.fillStyle = `hsl(${glowHue}, 90%, 50%)`;
+    ctx.beginPath();
+    ctx.moveTo(boneLength * 0.6, 0);
+    ctx.lineTo(boneLength * 0.4, openFactor * 4);
+    ctx.lineTo(boneLength * 0.4, -openFactor * 4);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
+
+// Dragons hunt fish in ecosystem mode.
+Dragon.diet = ['fish'];
+// =================================================================
+// END OF DRAGON ENTITY
+// =================================================================
+
+// =================================================================
+// DEFINED CREATURES
+// Skeletal creatures described by plain JSON instead of a class: bone count
+// and length, a width profile, limbs and wings attached by bone index, a
+// head style, a palette and a particle trail. The README lists every field;
+// creatures/*.json are worked examples.
+// =================================================================
+
+// Limb systems a definition can attach, by the name used in JSON.
+const LIMB_SYSTEMS = { LimbSystem, ForeLimbSystem, HindLimbSystem, WingSystem };
+// Particle styles a definition's trail can use.
+const TRAIL_STYLES = {
+  sparkle: SPARKLE_STYLE,
+  soft: SOFT_STYLE,
+  star: STAR_STYLE,
+  spark: STREAK_STYLE,
+  ring: RING_STYLE,
+  bubble: BUBBLE_STYLE,
+  ember: EMBER_STYLE,
+  glow: GLOW_STYLE,
+};
+const HEAD_STYLES = ['round', 'skull', 'dragon', 'none'];
+const LIMB_SIDES = { left: [-1], right: [1], both: [1, -1] };
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|(rgba?|hsla?)\([^()]*\)|[a-z]+)$/i;
+
+/**
+ * Checks a creature definition and fills in the defaults for every optional
+ * field. Passing the result back in returns an equal definition.
+ * @param {object} def - A parsed creature definition.
+ * @returns {object} The complete definition.
+ * @throws {Error} Listing every problem found, one per line, with its
+ *   path (for example `limbs[2].bone`). The list is also on `error.problems`.
+ */
+export function validateCreatureDefinition(def) {
+  const problems = [];
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  // Each check records a problem and returns the default when `value` is
+  // missing or wrong, so one pass reports everything at once.
+  function object(path, value, keys) {
+    if (value === undefined) return {};
+    if (!isObject(value)) {
+      problems.push(`${path} must be an object`);
+      return {};
+    }
+    for (const key of Object.keys(value)) {
+      if (!keys.includes(key)) problems.push(`${path ? path + '.' : ''}${key} is not a known field (expected one of: ${keys.join(', ')})`);
+    }
+    return value;
+  }
+  function number(path, value, fallback, min, max, integer = false) {
+    if (value === undefined && fallback !== undefined) return fallback;
+    if (value === undefined) {
+      problems.push(`${path} is required`);
+      return min;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      problems.push(`${path} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}, got ${JSON.stringify(value)}`);
+      return fallback ?? min;
+    }
+    return value;
+  }
+  function range(path, value, fallback, min, max) {
+    if (value === undefined) return fallback;
+    if (!Array.isArray(value) || value.length !== 2) {
+      problems.push(`${path} must be a [min, max] pair, got ${JSON.stringify(value)}`);
+      return fallback;
+    }
+    const pair = [number(`${path}[0]`, value[0], fallback[0], min, max), number(`${path}[1]`, value[1], fallback[1], min, max)];
+    if (pair[0] > pair[1]) problems.push(`${path} must list the smaller value first, got ${JSON.stringify(value)}`);
+    return pair;
+  }
+  function oneOf(path, value, fallback, options) {
+    if (value === undefined && fallback !== undefined) return fallback;
+    if (value === undefined) {
+      problems.push(`${path} is required (one of ${options.map(o => JSON.stringify(o)).join(', ')})`);
+      return options[0];
+    }
+    if (!options.includes(value)) {
+      problems.push(`${path} must be one of ${options.map(o => JSON.stringify(o)).join(', ')}, got ${JSON.stringify(value)}`);
+      return fallback ?? options[0];
+    }
+    return value;
+  }
+  function color(path, value, fallback) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'string' || !CSS_COLOR.test(value.trim())) {
+      problems.push(`${path} must be a CSS colour such as "#ffaa00" or "hsl(30, 80%, 50%)", got ${JSON.stringify(value)}`);
+      return fallback;
+    }
+    return value;
+  }
+
+  if (!isObject(def)) throw Object.assign(new Error('A creature definition must be a JSON object'), { problems: [] });
+  object('', def, ['id', 'name', 'bones', 'width', 'speed', 'turnRate', 'limbs', 'head', 'palette', 'trail']);
+
+  if (typeof def.name !== 'string' || !def.name.trim()) problems.push('name must be a non-empty string');
+  const name = typeof def.name === 'string' ? def.name.trim() : '';
+  const id = def.id === undefined ? name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : def.id;
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    problems.push(`id must use lowercase letters, digits and dashes, got ${JSON.stringify(id)}`);
+  }
+
+  const bonesIn = object('bones', def.bones, ['count', 'length']);
+  const bones = {
+    count: number('bones.count', bonesIn.count, undefined, 2, 200, true),
+    length: number('bones.length', bonesIn.length, undefined, 2, 100),
+  };
+  // Without a valid bone count, still check indices against the largest allowed.
+  const lastBone = Number.isInteger(bonesIn.count) && bonesIn.count >= 2 && bonesIn.count <= 200 ? bones.count - 1 : 199;
+
+  // Half-width of the body in bone lengths, head (0) to tail (1).
+  let width = def.width ?? [[0, 0.6], [1, 0.25]];
+  if (typeof width === 'number') {
+    width = number('width', width, 0.5, 0, 5);
+  } else if (!Array.isArray(width) || width.length === 0) {
+    problems.push('width must be a number or a list of [t, width] keyframes');
+    width = 0.5;
+  } else {
+    width = width.map((key, i) => {
+      if (!Array.isArray(key) || key.length !== 2) {
+        problems.push(`width[${i}] must be a [t, width] pair, got ${JSON.stringify(key)}`);
+        return [0, 0.5];
+      }
+      return [number(`width[${i}][0]`, key[0], 0, 0, 1), number(`width[${i}][1]`, key[1], 0.5, 0, 5)];
+    });
+    for (let i = 1; i < width.length; i++) {
+      if (width[i][0] < width[i - 1][0]) problems.push(`width keyframes must be in order of t, but width[${i}] comes before width[${i - 1}]`);
+    }
+  }
+
+  const speedIn = object('speed', def.speed, ['min', 'max', 'dist']);
+  const speed = {
+    min: number('speed.min', speedIn.min, 1.5, 0, 50),
+    max: number('speed.max', speedIn.max, 6, 0, 50),
+    dist: number('speed.dist', speedIn.dist, 300, 1, 5000),
+  };
+  if (speed.min > speed.max) problems.push(`speed.min (${speed.min}) must not be more than speed.max (${speed.max})`);
+  const turnRate = number('turnRate', def.turnRate, 8, 0.1, 60);
+
+  let limbs = def.limbs ?? [];
+  if (!Array.isArray(limbs)) {
+    problems.push('limbs must be a list');
+    limbs = [];
+  }
+  limbs = limbs.map((limbIn, i) => {
+    const path = `limbs[${i}]`;
+    const limb = object(path, limbIn, ['system', 'bone', 'segments', 'length', 'side', 'claws']);
+    return {
+      system: oneOf(`${path}.system`, limb.system, undefined, Object.keys(LIMB_SYSTEMS)),
+      bone: number(`${path}.bone`, limb.bone, undefined, 0, lastBone, true),
+      segments: number(`${path}.segments`, limb.segments, 3, 1, 12, true),
+      length: number(`${path}.length`, limb.length, 25, 1, 200),
+      side: oneOf(`${path}.side`, limb.side, 'both', Object.keys(LIMB_SIDES)),
+      claws: number(`${path}.claws`, limb.claws, 0, 0, 8, true),
+    };
+  });
+
+  const head = oneOf('head', def.head, 'round', HEAD_STYLES);
+
+  const paletteIn = object('palette', def.palette, ['body', 'outline', 'spine', 'limbs', 'membrane', 'glowHue', 'glowHueRange']);
+  const palette = {
+    body: color('palette.body', paletteIn.body, 'rgba(240,244,248,0.12)'),
+    outline: color('palette.outline', paletteIn.outline, 'rgba(255,255,255,0.5)'),
+    spine: color('palette.spine', paletteIn.spine, 'rgba(255,255,255,0.7)'),
+    limbs: color('palette.limbs', paletteIn.limbs, 'rgba(255,255,255,0.5)'),
+    membrane: color('palette.membrane', paletteIn.membrane, 'rgba(180, 210, 255, 0.08)'),
+    glowHue: number('palette.glowHue', paletteIn.glowHue, 190, 0, 360),
+    glowHueRange: number('palette.glowHueRange', paletteIn.glowHueRange, 60, 0, 360),
+  };
+
+  let trail = null;
+  if (def.trail !== undefined && def.trail !== null) {
+    const t = object('trail', def.trail, ['style', 'from', 'to', 'step', 'rate', 'hue', 'size', 'life', 'speed', 'spread', 'jitter', 'taper', 'cap']);
+    trail = {
+      style: oneOf('trail.style', t.style, 'ember', Object.keys(TRAIL_STYLES)),
+      from: number('trail.from', t.from, 0, 0, lastBone, true),
+      to: number('trail.to', t.to, lastBone, 0, lastBone, true),
+      step: number('trail.step', t.step, 1, 1, 200, true),
+      rate: number('trail.rate', t.rate, 24, 0, 1000),
+      hue: range('trail.hue', t.hue, [20, 50], -360, 720),
+      size: range('trail.size', t.size, [1, 2.5], 0, 20),
+      life: range('trail.life', t.life, [0.7, 1.7], 0.05, 10),
+      speed: range('trail.speed', t.speed, [0.2, 1.2], 0, 20),
+      spread: number('trail.spread', t.spread, 0.3, 0, Math.PI * 2),
+      jitter: number('trail.jitter', t.jitter, 2, 0, 50),
+      taper: t.taper === null ? null : number('trail.taper', t.taper, null, 0, 2),
+      cap: number('trail.cap', t.cap, 1500, 0, 1e6, true),
+    };
+    if (trail.from > trail.to) problems.push(`trail.from (${trail.from}) must not be after trail.to (${trail.to})`);
+  }
+
+  if (problems.length) {
+    const error = new Error(`Invalid creature definition${name ? ` "${name}"` : ''}:\n- ${problems.join('\n- ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return { id, name, bones, width, speed, turnRate, limbs, head, palette, trail };
+}
+
+/**
+ * A skeletal creature built from a definition (see validateCreatureDefinition).
+ * Limbs are drawn under the body, wings over it.
+ */
+export class DefinedCreature extends SkeletalEntity {
+  /**
+   * @param {World} world - The world the creature lives in.
+   * @param {object} definition - A creature definition; checked on the way in.
+   */
+  constructor(world, definition) {
+    const def = validateCreatureDefinition(definition);
+    super(world, {
+      boneCount: def.bones.count,
+      boneLength: def.bones.length,
+      headAngleSmoothing: def.turnRate,
+      headSpeed: Object.assign({}, def.speed),
+      glowHue: def.palette.glowHue,
+      glowHueRange: def.palette.glowHueRange,
+      mouthIdleSpeed: 0.003,
+      // Colours live in the config, not the definition, so they can be edited live.
+      palette: {
+        body: def.palette.body,
+        outline: def.palette.outline,
+        spine: def.palette.spine,
+        limbs: def.palette.limbs,
+        membrane: def.palette.membrane,
+      },
+    });
+    this.definition = def;
+    this.width = new Curve(def.width);
+
+    this.limbs = [];
+    this.wings = [];
+    for (const limb of def.limbs) {
+      const System = LIMB_SYSTEMS[limb.system];
+      for (const side of LIMB_SIDES[limb.side]) {
+        const system = new System(this.bones[limb.bone], limb.segments, limb.length, side, limb.claws);
+        (System === WingSystem ? this.wings : this.limbs).push(system);
+      }
+    }
+    this.paintLimbs();
+    this.gait = new Gait(this.limbs, this.bones);
+
+    if (def.trail) {
+      const t = def.trail;
+      this.emitters = [new Emitter(world, {
+        shape: 'chain',
+        bones: { from: t.from, to: t.to, step: t.step },
+        rate: t.rate,
+        jitter: t.jitter,
+        spread: t.spread,
+        speed: t.speed,
+        taper: t.taper,
+        size: t.size,
+        life: t.life,
+        hue: t.hue,
+        cap: t.cap,
+        style: TRAIL_STYLES[t.style],
+      })];
+    }
+  }
+
+  update(dt, px, py, speedVal) {
+    const time = this.world.frameTime;
+    const head = this.bones[0];
+    // Distance before moving, as the dragon does, so wings animate with it.
+    const dist = Math.hypot(px - head.x, py - head.y);
+    super.update(dt, px, py, speedVal);
+    this.gait.update(dt);
+    this.wings.forEach(w => w.update(time, dist));
+  }
+
+  configChanged() {
+    super.configChanged();
+    this.paintLimbs();
+  }
+
+  // Copies the palette's limb and membrane colours onto the limb systems.
+  paintLimbs() {
+    const { palette } = this.config;
+    for (const system of [...this.limbs, ...this.wings]) {
+      system.color = palette.limbs;
+      if (system instanceof WingSystem) system.membrane = palette.membrane;
+    }
+  }
+
+  /**
+   * Collision radius of bone `i`, following the width profile.
+   */
+  boneRadius(i) {
+    return this.width.sample(i / (this.bones.length - 1)) * this.config.boneLength;
+  }
+
+  poseParts() {
+    return [
+      ...this.bones,
+      ...this.limbs.flatMap(l => l.segments),
+      ...this.wings.flatMap(w => w.segments),
+    ];
+  }
+
+  draw(ctx, px, py) {
+    const { bones, config } = this;
+    const { palette } = config;
+    const hueShift = config.glowHueRange ? (this.world.frameTime / 50) % config.glowHueRange : 0;
+    const glowHue = (config.glowHue + hueShift) % 360;
+
+    this.limbs.forEach(l => l.draw(ctx));
+
+    // === Body: outline through both flanks, at the profile's width ===
+    ctx.beginPath();
+    for (let i = 0; i < bones.length; i++) this.flankPoint(ctx, i, -1, i === 0);
+    for (let i = bones.length - 1; i >= 0; i--) this.flankPoint(ctx, i, 1, false);
+    ctx.closePath();
+    ctx.fillStyle = palette.body;
+    ctx.fill();
+    ctx.strokeStyle = palette.outline;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    // === Spine ===
+    ctx.strokeStyle = palette.spine;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    bones.forEach((b, i) => (i === 0 ? ctx.moveTo(b.x, b.y) : ctx.lineTo(b.x, b.y)));
+    ctx.stroke();
+
+    this.wings.forEach(w => w.draw(ctx));
+    this.drawSkull(ctx, px, py, glowHue);
+  }
+
+  // Adds the point on one side of bone `i` to the current path.
+  flankPoint(ctx, i, side, first) {
+    const b = this.bones[i];
+    const r = this.boneRadius(i) * side;
+    const x = b.x - Math.sin(b.angle) * r;
+    const y = b.y + Math.cos(b.angle) * r;
+    if (first) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+
+  /**
+   * Draws the head in the definition's style: the snake's skull, the
+   * dragon's, a plain rounded head with eyes, or nothing.
+   */
+  drawSkull(ctx, px, py, glowHue) {
+    const style = this.definition.head;
+    if (style === 'skull') return Snake.prototype.drawSkull.call(this, ctx, px, py, glowHue);
+    if (style === 'dragon') return Dragon.prototype.drawSkull.call(this, ctx, px, py, glowHue);
+    if (style === 'none') return;
+
+    const { boneLength } = this.config;
+    const head = this.bones[0];
+    const r = Math.max(this.boneRadius(0), boneLength * 0.3);
+    ctx.save();
+    ctx.translate(head.x, head.y);
+    ctx.rotate(head.angle);
+    ctx.fillStyle = this.config.palette.body;
+    ctx.strokeStyle = this.config.palette.outline;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.ellipse(boneLength * 0.2, 0, r * 1.3, r, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // Eyes that glow and glance towards the target.
+    const eyeAngle = Math.atan2(py - head.y, px - head.x) - head.angle;
+    const ex = Math.cos(eyeAngle) * r * 0.1;
+    const ey = Math.sin(eyeAngle) * r * 0.1;
+    ctx.fillStyle = `hsl(${glowHue}, 100%, 70%)`;
+    ctx.shadowColor = `hsl(${glowHue}, 100%, 70%)`;
+    ctx.shadowBlur = 6;
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.arc(boneLength * 0.45 + ex, side * r * 0.5 + ey, Math.max(1.5, r * 0.15), 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
+// =================================================================
+// END OF DEFINED CREATURES
+// =================================================================
+
+// =================================================================
+// ENTITY MANAGEMENT
+// =================================================================
+// The scene holds every creature on screen. Creatures are added from the
+// dropdown and can be removed, re-ordered and tuned from the entity list.
+// =================================================================
+export const entityTypes = {
+  snake: Snake,
+  fish: Fish,
+  koi: Koi,
+  jellyfish: Jellyfish,
+  centipede: Centipede,
+  dragon: Dragon,
+  fishSchool: FishSchool,
+  koiSchool: KoiSchool,
+};
+
+// Metadata by entity type; `label` is the name shown in pickers.
+export const entityMeta = {
+  snake: { label: 'Snake' },
+  fish: { label: 'Fish' },
+  koi: { label: 'Koi' },
+  jellyfish: { label: 'Jellyfish' },
+  centipede: { label: 'Centipede' },
+  dragon: { label: 'Dragon' },
+  fishSchool: { label: 'Fish school' },
+  koiSchool: { label: 'Koi school' },
+};
+
+const registrationListeners = [];
+
+/**
+ * Calls `listener(id, EntityClass, meta)` whenever an entity type is
+ * registered or a creature definition is (re)loaded, so pickers can list it.
+ * @returns {function(): void} Stops calling the listener.
+ */
+export function onEntityRegistered(listener) {
+  registrationListeners.push(listener);
+  return () => {
+    const i = registrationListeners.indexOf(listener);
+    if (i >= 0) registrationListeners.splice(i, 1);
+  };
+}
+
+function addEntityType(id, EntityClass, meta) {
+  entityTypes[id] = EntityClass;
+  entityMeta[id] = meta;
+  for (const listener of registrationListeners) listener(id, EntityClass, meta);
+}
+
+// Methods an entity class must have, and ones that must be methods if present.
+const REQUIRED_ENTITY_METHODS = ['update', 'draw'];
+const OPTIONAL_ENTITY_METHODS = ['emitParticles', 'dispose', 'poseParts', 'collectColliders', 'onParticleHits', 'configChanged'];
+
+/**
+ * Registers an entity type, so `scene.add(id)` creates one.
+ *
+ * The contract, for `new EntityClass(world)`:
+ * - `update(dt, targetX, targetY, speed)` advances it one simulation step;
+ * - `draw(ctx, targetX, targetY)` draws it with a CanvasRenderer or SvgRenderer;
+ * - `emitParticles(dt)` (optional) spawns its particles after the step;
+ * - `dispose()` (optional) is called once it leaves the scene;
+ * - `poseParts()`, `collectColliders(collisions)`, `onParticleHits(hits)` and
+ *   `configChanged()` (all optional) opt into interpolated drawing, body
+ *   collisions and the inspector, as SkeletalEntity does. A `config` object
+ *   on the instance is what the inspector and presets edit;
+ * - `clearance` (optional) is how far it keeps from obstacles when the
+ *   scene routes it round them (10 pixels if absent).
+ *
+ * @param {string} id - The type id: a letter followed by letters, digits, `-` or `_`.
+ * @param {Function} EntityClass - The entity class.
+ * @param {object} [meta] - Metadata; `label` names it in pickers (defaults to `id`).
+ * @returns {string} The id.
+ * @throws {TypeError} If the id or class breaks the contract. The message
+ *   lists every problem, and `error.problems` holds them as an array.
+ * @throws {Error} If the id is already registered.
+ */
+export function registerEntity(id, EntityClass, meta = {}) {
+  const problems = [];
+  if (typeof id !== 'string' || !/^[A-Za-z][\w-]*$/.test(id)) {
+    problems.push(`id must be a letter followed by letters, digits, "-" or "_", got ${JSON.stringify(id)}`);
+  }
+  if (typeof EntityClass !== 'function' || !EntityClass.prototype) {
+    problems.push(`the entity class must be a class, got ${EntityClass === null ? 'null' : typeof EntityClass}`);
+  } else {
+    const proto = EntityClass.prototype;
+    for (const method of REQUIRED_ENTITY_METHODS) {
+      if (typeof proto[method] !== 'function') problems.push(`the entity class must have a ${method}() method`);
+    }
+    for (const method of OPTIONAL_ENTITY_METHODS) {
+      if (method in proto && typeof proto[method] !== 'function') problems.push(`${method} must be a method when present`);
+    }
+  }
+  if (!meta || typeof meta !== 'object') problems.push('meta must be an object');
+  else if ('label' in meta && typeof meta.label !== 'string') problems.push('meta.label must be a string');
+  if (problems.length) {
+    const error = new TypeError(`Cannot register entity ${JSON.stringify(id)}:\n` + problems.map(p => `- ${p}`).join('\n'));
+    error.problems = problems;
+    throw error;
+  }
+  if (Object.hasOwn(entityTypes, id)) throw new Error(`An entity type "${id}" is already registered`);
+  addEntityType(id, EntityClass, Object.assign({ label: id }, meta));
+  return id;
+}
+
+/**
+ * Registers a creature definition as an entity type, so `scene.add(id)`
+ * creates one. Loading a definition with the same id again replaces it.
+ * @param {object} definition - A creature definition (see validateCreatureDefinition).
+ * @returns {string} The entity type id.
+ * @throws {Error} If the definition is invalid or its id is taken by a type
+ *   that isn't a definition.
+ */
+export function defineCreature(definition) {
+  const def = validateCreatureDefinition(definition);
+  const existing = Object.hasOwn(entityTypes, def.id) ? entityTypes[def.id] : null;
+  if (existing && !existing.definition) throw new Error(`"${def.id}" is already an entity type; give the definition another id`);
+  const DefinedType = class extends DefinedCreature {
+    constructor(world) {
+      super(world, def);
+    }
+  };
+  DefinedType.definition = def;
+  addEntityType(def.id, DefinedType, { label: def.name });
+  return def.id;
+}
+
+// Fields copied from an entity's pose parts before each simulation step and
+// blended with the new values when a frame lands between two steps.
+const POSE_KEYS = ['x', 'y', 'angle', 'time'];
+
+/**
+ * Records the pose of an entity's parts into `pose` (reused when given).
+ * @returns {Float64Array} Values per part, in POSE_KEYS order.
+ */
+function capturePose(entity, pose) {
+  const parts = entity.poseParts ? entity.poseParts() : [];
+  const size = parts.length * POSE_KEYS.length;
+  if (!pose || pose.length !== size) pose = new Float64Array(size);
+  let k = 0;
+  for (const part of parts) {
+    for (const key of POSE_KEYS) pose[k++] = part[key];
+  }
+  return pose;
+}
+
+/**
+ * Moves an entity's parts to `alpha` of the way from the captured pose to
+ * their current values, runs `draw`, then puts the current values back.
+ * Angles blend the short way round; parts added since the capture are drawn
+ * where they are.
+ */
+function drawInterpolated(entity, pose, alpha, draw) {
+  const parts = entity.poseParts ? entity.poseParts() : [];
+  if (!pose || alpha >= 1 || pose.length !== parts.length * POSE_KEYS.length) {
+    draw();
+    return;
+  }
+  const current = new Float64Array(pose.length);
+  let k = 0;
+  for (const part of parts) {
+    for (const key of POSE_KEYS) {
+      const now = part[key];
+      current[k] = now;
+      const before = pose[k++];
+      if (typeof now !== 'number' || Number.isNaN(before)) continue;
+      if (key === 'angle') {
+        let d = now - before;
+        d -= Math.round(d / (Math.PI * 2)) * Math.PI * 2;
+        part[key] = now - d * (1 - alpha);
+      } else {
+        part[key] = before + (now - before) * alpha;
+      }
+    }
+  }
+  try {
+    draw();
+  } finally {
+    k = 0;
+    for (const part of parts) {
+      for (const key of POSE_KEYS) {
+        const value = current[k++];
+        if (typeof part[key] === 'number') part[key] = value;
+      }
+    }
+  }
+}
+
+// Deep copy of a config. Unlike a JSON round trip it keeps functions, such
+// as a per-joint `spine.stiffness`, which are shared rather than copied.
+function copyConfig(value) {
+  if (Array.isArray(value)) return value.map(copyConfig);
+  if (!value || typeof value !== 'object') return value;
+  const copy = {};
+  for (const key of Object.keys(value)) copy[key] = copyConfig(value[key]);
+  return copy;
+}
+
+/**
+ * An ordered collection of entities. Array order is draw order: the first
+ * entry is drawn first and ends up furthest back.
+ * Each entry carries its own speed multiplier and target, so a dragon can
+ * chase the pointer while a koi circles a pinned spot.
+ */
+export class Scene {
+  constructor(world) {
+    this.world = world;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Creates an entity of the given type and appends it to the front of the scene.
+   * @param {string} type - A key of `entityTypes`.
+   * @returns {object} The new scene entry.
+   */
+  add(type) {
+    const EntityClass = Object.hasOwn(entityTypes, type) ? entityTypes[type] : null;
+    if (!EntityClass) throw new Error(`Unknown entity type "${type}"`);
+    const entity = new EntityClass(this.world);
+    const entry = {
+      id: this.nextId++,
+      type,
+      entity,
+      // The config the entity started with, for resetConfig().
+      defaults: entity.config ? copyConfig(entity.config) : null,
+      speed: 1,
+      targetMode: 'idle',
+      target: targetModes.idle.create(this.world),
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // Removes every entry and restarts ids from 1.
+  clear() {
+    for (const entry of this.entries) this.release(entry);
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  remove(id) {
+    const entry = this.get(id);
+    if (entry) this.release(entry);
+    this.entries = this.entries.filter(e => e.id !== id);
+  }
+
+  // Detaches what an entity leaves behind and lets it clean up after itself.
+  release(entry) {
+    this.world.detachFields(entry.entity);
+    if (entry.entity.dispose) entry.entity.dispose();
+  }
+
+  /**
+   * Moves an entry up or down the draw order.
+   * @param {number} id - The entry id.
+   * @param {number} delta - -1 to move it back, +1 to move it forward.
+   */
+  move(id, delta) {
+    const from = this.entries.findIndex(e => e.id === id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= this.entries.length) return;
+    const [entry] = this.entries.splice(from, 1);
+    this.entries.splice(to, 0, entry);
+  }
+
+  get(id) {
+    return this.entries.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Puts an entry's config back to how it was when the entity was created.
+   * @param {number} id - The entry id.
+   */
+  resetConfig(id) {
+    const entry = this.get(id);
+    if (!entry || !entry.defaults) return;
+    Object.assign(entry.entity.config, copyConfig(entry.defaults));
+    if (entry.entity.configChanged) entry.entity.configChanged();
+  }
+
+  /**
+   * Swaps the target provider of an entry.
+   * @param {number} id - The entry id.
+   * @param {string} mode - A key of `targetModes`.
+   */
+  setTarget(id, mode) {
+    const entry = this.get(id);
+    if (!entry || !Object.hasOwn(targetModes, mode)) return;
+    entry.targetMode = mode;
+    entry.target = targetModes[mode].create(this.world);
+  }
+
+  /**
+   * Advances every entity by one simulation step, keeping its previous pose
+   * for interpolated drawing. In ecosystem mode hungry and frightened
+   * creatures head for food, prey or safety instead of their target. A
+   * target behind an obstacle is swapped for the next waypoint of a route
+   * around it.
+   */
+  update(dt, speed) {
+    const { obstacles, ecosystem } = this.world;
+    for (const entry of this.entries) {
+      const t = entry.target;
+      entry.pose = capturePose(entry.entity, entry.pose);
+      t.update(dt, entry.entity);
+      let goal = ecosystem.enabled ? ecosystem.redirect(entry.entity, t) : t;
+      if (obstacles.items.length) {
+        const at = entityPosition(entry.entity);
+        goal = obstacles.navigate(entry.nav || (entry.nav = {}), at.x, at.y, goal.x, goal.y, entityClearance(entry.entity));
+      }
+      entry.entity.update(dt, goal.x, goal.y, speed * entry.speed);
+    }
+  }
+
+  /**
+   * Draws every entity, back to front.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   * @param {number} [alpha=1] - How far between the previous and current
+   *   simulation step to draw each entity.
+   */
+  draw(ctx, alpha = 1) {
+    for (const entry of this.entries) {
+      const t = entry.target;
+      drawInterpolated(entry.entity, entry.pose, alpha, () => entry.entity.draw(ctx, t.x, t.y));
+    }
+  }
+
+  emitParticles(dt) {
+    for (const entry of this.entries) {
+      if (entry.entity.emitParticles) {
+        entry.entity.emitParticles(dt);
+      }
+    }
+  }
+}
+
+// =================================================================
+// ECOSYSTEM
+// An optional living-aquarium mode. Food pellets sink through the water,
+// creatures grow hungry and go after food or prey, well-fed fish breed,
+// and creatures that starve or get eaten leave the scene and come back
+// a while later, so the tank keeps going unattended. What a creature eats
+// is its class's static `diet`: 'food' for pellets, 'fish' for any Fish.
+// =================================================================
+
+/**
+ * Runs the ecosystem rules over a world's scene once per step, after the
+ * creatures have moved. Each animal (a lone creature, or each member of a
+ * school) carries `vitals`: hunger from 0 (full) to 1 (starving), energy
+ * that drains while starving, its age, and what it is going after or
+ * fleeing from. Creatures read those in their next update.
+ */
+export class Ecosystem {
+  constructor(world) {
+    this.world = world;
+    this.enabled = false;
+    // Drop a handful of pellets now and then, for an unattended tank.
+    this.autoFeed = true;
+    this.config = {
+      hungerRate: 1 / 60, // hunger gained per second
+      starveRate: 1 / 25, // energy lost per second while starving
+      recoverRate: 0.1, // energy regained per second while fed
+      seekHunger: 0.3, // hunger from which food eaters go looking for food
+      huntHunger: 0.35, // hunger from which predators hunt
+      foodValue: 0.4, // hunger a pellet takes away
+      preyValue: 0.6, // hunger a caught fish takes away
+      sight: 160, // how far a school fish spots pellets and predators
+      fleeRadius: 180,
+      foodLife: 40, // seconds before an uneaten pellet dissolves
+      sinkSpeed: 0.25, // pellet fall speed, px per 1/60 s step
+      maxFood: 300,
+      feedInterval: 5, // seconds between automatic feedings
+      feedAmount: 12,
+      breedRate: 0.04, // chance per second a well-fed animal breeds
+      breedAge: 15, // seconds an animal lives before it can breed
+      maxPrey: 90,
+      maxCreatures: 3, // most lone creatures of one type that breeding makes
+      maxBones: 40, // longest a spine grows by eating
+      returnTime: 20, // seconds before a creature that died comes back
+    };
+    this.reset();
+  }
+
+  /**
+   * Removes all food and forgets creatures waiting to return, keeping
+   * `enabled`, `autoFeed` and `config`.
+   */
+  reset() {
+    this.food = [];
+    this.returning = [];
+    this.stats = { born: 0, eaten: 0, starved: 0 };
+    this.time = 0;
+    this.feedTimer = 0;
+    // Bumped whenever the ecosystem adds or removes scene entries.
+    this.version = 0;
+  }
+
+  /**
+   * Scatters `count` pellets around (x, y).
+   */
+  dropFood(x, y, count = 6) {
+    for (let i = 0; i < count && this.food.length < this.config.maxFood; i++) {
+      this.food.push({ x: x + this.world.rand(-12, 12), y: y + this.world.rand(-12, 12), age: 0 });
+    }
+  }
+
+  /**
+   * The vitals of an animal, created on first use.
+   */
+  vitals(animal) {
+    if (!animal.vitals) {
+      animal.vitals = { hunger: this.world.rand(0.1, 0.4), energy: 1, age: 0, food: null, prey: null, fear: 0, fleeX: 0, fleeY: 0 };
+    }
+    return animal.vitals;
+  }
+
+  // Nearest pellet to (x, y) within `range`, or null.
+  nearestFood(x, y, range = Infinity) {
+    let best = null;
+    let bestD2 = range * range;
+    for (const p of this.food) {
+      const d2 = (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y);
+      if (d2 < bestD2) {
+        best = p;
+        bestD2 = d2;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Where a creature should head instead of its target, if anywhere: a fish
+   * flees predators, a hungry creature goes for food or prey, and a school
+   * as a whole heads for the food nearest its middle when it is hungry.
+   * @returns {{x: number, y: number}} The point to head for; `target` when
+   *   the creature has nothing better to do.
+   */
+  redirect(entity, target) {
+    if (entity.fish) {
+      if (!entity.fish.length || !this.food.length) return target;
+      let hunger = 0;
+      for (const f of entity.fish) hunger += this.vitals(f).hunger;
+      if (hunger / entity.fish.length < this.config.seekHunger) return target;
+      const at = entityPosition(entity);
+      return this.nearestFood(at.x, at.y) || target;
+    }
+    const v = entity.vitals;
+    if (!v) return target;
+    const at = entity.bones ? entity.bones[0] : entity;
+    if (v.fear) return { x: at.x + v.fleeX * 200, y: at.y + v.fleeY * 200 };
+    if (v.prey) {
+      // Aim where the prey is going to be, and well past it, so the
+      // predator doesn't slow down as it closes in.
+      const dx = v.prey.x + v.prey.vx * 10 - at.x;
+      const dy = v.prey.y + v.prey.vy * 10 - at.y;
+      const d = Math.hypot(dx, dy) || 1;
+      return { x: at.x + dx / d * Math.max(d, 150), y: at.y + dy / d * Math.max(d, 150) };
+    }
+    return v.food || target;
+  }
+
+  /**
+   * Advances the ecosystem one step: food sinks, animals eat, starve and
+   * breed, and creatures that died come back when their time is up.
+   * @param {number} dt - Step length in seconds.
+   */
+  step(dt) {
+    if (!this.enabled) return;
+    const c = this.config;
+    const { world } = this;
+    const k = dt * 60;
+    this.time += dt;
+
+    for (const p of this.food) {
+      p.age += dt;
+      p.y += c.sinkSpeed * k;
+      p.x += Math.sin(p.age * 2 + p.y * 0.05) * 0.1 * k;
+    }
+    this.food = this.food.filter(p => p.age < c.foodLife && p.y < world.height);
+    if (this.autoFeed) {
+      this.feedTimer -= dt;
+      if (this.feedTimer <= 0) {
+        this.feedTimer = c.feedInterval;
+        this.dropFood(world.rand(0.1, 0.9) * world.width, world.rand(0.05, 0.5) * world.height, c.feedAmount);
+      }
+    }
+
+    const predators = [];
+    let prey = 0;
+    for (const entry of world.scene.entries) {
+      const diet = dietOf(entry.entity);
+      if (diet && diet.includes('fish')) predators.push(entry.entity.bones ? entry.entity.bones[0] : entry.entity);
+      if (entry.entity.fish) prey += entry.entity.fish.length;
+      else if (entry.entity instanceof Fish) prey++;
+    }
+
+    for (const entry of world.scene.entries.slice()) {
+      const entity = entry.entity;
+      const diet = dietOf(entity);
+      if (!diet || !world.scene.get(entry.id)) continue;
+      if (entity.fish) {
+        for (const f of entity.fish.slice()) this.live(entry, f, f, f.clearance, diet, predators, prey, dt);
+      } else {
+        const mouth = entity.bones ? entity.bones[0] : entity;
+        const reach = entity.bones ? entity.boneRadius(0) * 1.5 : entityClearance(entity);
+        this.live(entry, entity, mouth, reach, diet, predators, prey, dt);
+      }
+    }
+
+    for (const r of this.returning.filter(r => r.at <= this.time)) this.bringBack(r);
+    this.returning = this.returning.filter(r => r.at > this.time);
+  }
+
+  /**
+   * One step of one animal's life. `mouth` is the point it eats with and
+   * `reach` how close food has to be to it.
+   */
+  live(entry, animal, mouth, reach, diet, predators, prey, dt) {
+    const c = this.config;
+    const v = this.vitals(animal);
+    if (v.dead) return;
+    v.age += dt;
+    v.hunger = Math.min(1, v.hunger + c.hungerRate * dt);
+
+    if (diet.includes('food')) {
+      // One pellet a step, and none once full, so no one hoards a whole feeding.
+      const i = v.hunger > 0.1 ? this.food.findIndex(p => (p.x - mouth.x) * (p.x - mouth.x) + (p.y - mouth.y) * (p.y - mouth.y) <= (reach + 3) * (reach + 3)) : -1;
+      if (i >= 0) {
+        this.food.splice(i, 1);
+        v.hunger = Math.max(0, v.hunger - c.foodValue);
+        // A spine grows a bone with every pellet.
+        if (animal.bones && animal.config.boneCount < c.maxBones) {
+          animal.config.boneCount++;
+          animal.configChanged();
+        }
+      }
+      const range = entry.entity.fish ? c.sight : Infinity;
+      v.food = v.hunger >= c.seekHunger ? this.nearestFood(mouth.x, mouth.y, range) : null;
+    }
+
+    if (diet.includes('fish')) {
+      v.prey = null;
+      if (v.hunger >= c.huntHunger) {
+        let bestD2 = Infinity;
+        for (const other of this.world.scene.entries.slice()) {
+          const school = other.entity.fish;
+          if (!school && !(other.entity instanceof Fish)) continue;
+          for (const f of school ? school.slice() : [other.entity]) {
+            const d2 = (f.x - mouth.x) * (f.x - mouth.x) + (f.y - mouth.y) * (f.y - mouth.y);
+            if (d2 < (reach + f.size * 0.5) * (reach + f.size * 0.5)) {
+              this.remove(other, f);
+              this.stats.eaten++;
+              v.hunger = Math.max(0, v.hunger - c.preyValue);
+              if (v.hunger < c.huntHunger) break;
+            } else if (d2 < bestD2) {
+              v.prey = f;
+              bestD2 = d2;
+            }
+          }
+          if (v.hunger < c.huntHunger) {
+            v.prey = null;
+            break;
+          }
+        }
+      }
+    }
+
+    if (animal instanceof Fish) {
+      // Fear grows as the nearest predator closes in.
+      v.fear = 0;
+      for (const p of predators) {
+        const dx = animal.x - p.x;
+        const dy = animal.y - p.y;
+        const d = Math.hypot(dx, dy) || 1;
+        const fear = 1 - d / c.fleeRadius;
+        if (fear > v.fear) {
+          v.fear = fear;
+          v.fleeX = dx / d;
+          v.fleeY = dy / d;
+        }
+      }
+    }
+
+    if (v.hunger >= 1) v.energy -= c.starveRate * dt;
+    else if (v.hunger < 0.5) v.energy = Math.min(1, v.energy + c.recoverRate * dt);
+    if (v.energy <= 0) {
+      this.remove(entry, animal);
+      this.stats.starved++;
+      return;
+    }
+
+    if (v.hunger < 0.25 && v.energy >= 1 && v.age > c.breedAge && this.world.random() < c.breedRate * dt) {
+      // Fish stop breeding at maxPrey in all, and lone creatures, which each
+      // add a scene entry, at maxCreatures of their type.
+      const room = (!(animal instanceof Fish) || prey < c.maxPrey) && (entry.entity.fish ||
+        this.world.scene.entries.filter(e => e.type === entry.type).length < c.maxCreatures);
+      if (room) this.breed(entry, animal);
+    }
+  }
+
+  /**
+   * Takes an animal out of the world: a school loses the member, and a lone
+   * creature, or a school with no members left, leaves the scene. If it was
+   * the last of its type, it is queued to come back after
+   * `config.returnTime`.
+   */
+  remove(entry, animal) {
+    const entity = entry.entity;
+    this.vitals(animal).dead = true;
+    if (entity.fish) {
+      const i = entity.fish.indexOf(animal);
+      if (i >= 0) entity.fish.splice(i, 1);
+      entity.config.size = entity.fish.length;
+      if (entity.fish.length) return;
+    }
+    const { scene } = this.world;
+    if (!scene.get(entry.id)) return;
+    // Only the last of a type comes back; the others can breed more.
+    if (!scene.entries.some(e => e !== entry && e.type === entry.type)) {
+      this.returning.push({ type: entry.type, targetMode: entry.targetMode, speed: entry.speed, at: this.time + this.config.returnTime });
+    }
+    scene.remove(entry.id);
+    this.version++;
+  }
+
+  // A well-fed animal spawns another behind it, at the cost of some food: a
+  // school fish joins its school, and a lone creature gets a scene entry of
+  // its own.
+  breed(entry, parent) {
+    const entity = entry.entity;
+    let child;
+    if (entity.fish) {
+      child = new entity.FishType(this.world);
+      child.size = parent.size * this.world.rand(0.9, 1.1);
+      entity.fish.push(child);
+      entity.config.size = entity.fish.length;
+    } else {
+      const added = this.world.scene.add(entry.type);
+      this.world.scene.setTarget(added.id, entry.targetMode);
+      added.speed = entry.speed;
+      child = added.entity;
+      this.version++;
+    }
+    if (parent.bones) {
+      const tail = parent.bones[parent.bones.length - 1];
+      moveEntity(child, tail.x, tail.y);
+    } else {
+      child.x = parent.x - Math.cos(parent.angle) * parent.size;
+      child.y = parent.y - Math.sin(parent.angle) * parent.size;
+      child.angle = parent.angle;
+    }
+    this.vitals(child).hunger = 0.5;
+    this.vitals(parent).hunger += 0.3;
+    this.stats.born++;
+  }
+
+  // Adds a creature that died back to the scene, swimming in from an edge.
+  bringBack(r) {
+    if (!Object.hasOwn(entityTypes, r.type)) return;
+    const { world } = this;
+    const entry = world.scene.add(r.type);
+    world.scene.setTarget(entry.id, r.targetMode);
+    entry.speed = r.speed;
+    const side = Math.floor(world.rand(0, 4));
+    const x = side === 0 ? 30 : side === 1 ? world.width - 30 : world.rand(30, world.width - 30);
+    const y = side === 2 ? 30 : side === 3 ? world.height - 30 : world.rand(30, world.height - 30);
+    moveEntity(entry.entity, x, y);
+    this.version++;
+  }
+
+  /**
+   * Population counts for an overlay.
+   * @returns {{counts: Object<string, number>, food: number, born: number, eaten: number, starved: number}}
+   *   `counts` has the number of animals per entity type; schools count their members.
+   */
+  census() {
+    const counts = {};
+    for (const entry of this.world.scene.entries) {
+      counts[entry.type] = (counts[entry.type] || 0) + (entry.entity.fish ? entry.entity.fish.length : 1);
+    }
+    return Object.assign({ counts, food: this.food.length }, this.stats);
+  }
+
+  /**
+   * Draws the food pellets, fading out as they dissolve.
+   * @param {CanvasRenderer|SvgRenderer} ctx - The renderer to draw with.
+   */
+  draw(ctx) {
+    if (!this.food.length) return;
+    const life = this.config.foodLife;
+    ctx.save();
+    ctx.fillStyle = '#f59e0b';
+    for (const p of this.food) {
+      ctx.globalAlpha = Math.min(1, (life - p.age) / 5);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
+
+// What an entity eats: its class's `diet`, or its school members'.
+function dietOf(entity) {
+  return entity.constructor.diet || (entity.FishType && entity.FishType.diet) || null;
+}
+
+// =================================================================
+// WORLD
+// Everything one simulation needs: its size, random number generator,
+// particle sink, pointer, authored path, force fields, obstacles, ecosystem
+// and scene. Creatures,
+// emitters and target providers keep a reference to their world instead of
+// reading globals, so several worlds can run side by side.
+// =================================================================
+
+// Length of one simulation step in seconds. Runs with the same seed and the
+// same inputs at the same steps produce the same motion.
+export const SIM_STEP = 1 / 60;
+
+export class World {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.width=800] - Width of the area creatures roam, in pixels.
+   * @param {number} [options.height=600] - Height of that area.
+   * @param {number} [options.seed=0] - Seed for the built-in generator.
+   * @param {function(): number} [options.random] - A generator of floats in
+   *   [0, 1) to use instead of seeding the built-in one.
+   * @param {ParticlePool} [options.particles] - Where emitters spawn particles.
+   *   Anything with ParticlePool's interface works.
+   * @param {number} [options.capacity=30000] - Size of the pool created when
+   *   `particles` isn't given. 0 runs without particles.
+   */
+  constructor(options = {}) {
+    const { width = 800, height = 600, seed = 0, random, particles, capacity = 30000 } = options;
+    this.width = width;
+    this.height = height;
+    this.seed = seed >>> 0;
+    // A generator passed in belongs to the caller and is never reseeded.
+    this.seededRandom = !random;
+    this.random = random || createRng(this.seed);
+    this.particles = particles || new ParticlePool(capacity, () => this.random());
+    this.time = 0; // simulation seconds
+    this.steps = 0;
+    // Simulation clock in milliseconds. Animation wobbles and pulses read
+    // this; a renderer may set it between steps for interpolated frames.
+    this.frameTime = 0;
+    // Where the pointer is, whether it is over the canvas, and the
+    // simulation time of its last activity. Target providers follow it.
+    this.pointer = { x: 0, y: 0, present: false, lastActivity: 0 };
+    // Seconds without pointer activity before "idle" targets start wandering.
+    this.idleSeconds = 5;
+    this.path = new SplinePath();
+    this.fields = [];
+    this.obstacles = new Obstacles(this);
+    this.ecosystem = new Ecosystem(this);
+    this.collisions = new BodyCollisions();
+    this.scene = new Scene(this);
+  }
+
+  /**
+   * A random float in [a, b) from the world's generator.
+   */
+  rand(a, b) {
+    return this.random() * (b - a) + a;
+  }
+
+  // Drops fields attached to an entity that is leaving the scene.
+  detachFields(entity) {
+    this.fields = this.fields.filter(f => f.host !== entity);
+  }
+
+  /**
+   * Empties the world and restarts its clock, reseeding the built-in
+   * generator. A generator passed as `options.random` is kept as it is.
+   * Size, idle timeout and collision settings are kept.
+   * @param {number} [seed] - The new seed; defaults to the current one.
+   */
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    if (this.seededRandom) this.random = createRng(this.seed);
+    this.particles.clear();
+    this.scene.clear();
+    this.fields = [];
+    this.obstacles.clear();
+    this.ecosystem.reset();
+    this.path.clear();
+    this.time = 0;
+    this.steps = 0;
+    this.frameTime = 0;
+    Object.assign(this.pointer, { x: 0, y: 0, present: false, lastActivity: 0 });
+  }
+
+  /**
+   * Advances the simulation by one step.
+   * @param {number} [dt=SIM_STEP] - The step length in seconds.
+   * @param {number} [speed=1] - Global speed multiplier for particles and creatures.
+   */
+  step(dt = SIM_STEP, speed = 1) {
+    this.frameTime = this.time * 1000;
+
+    // Update particles; dead ones are swap-removed inside the pool.
+    for (const field of this.fields) field.update(dt);
+    this.particles.update(dt, speed, this.fields, this);
+
+    // Update every entity in the scene.
+    this.scene.update(dt, speed);
+    this.ecosystem.step(dt);
+
+    // Let creature bodies push particles around.
+    this.collisions.step(this.particles, this.scene.entries.map(e => e.entity));
+
+    this.scene.emitParticles(dt);
+    this.time += dt;
+    this.steps++;
+  }
+}
@@ -0,0 +1,111 @@
+// Checks the inverse kinematics in sim.js: solveIk, Bone and LimbSystem
+// must reach targets in range, point at ones out of range, keep every bone
+// its own length and keep every joint within its limits.
+// Run from the repository root with `node tools/check-ik.mjs`.
+import assert from 'node:assert/strict';
+import { solveIk, Bone, LimbSystem, wrapAngle } from '../sim.js';
+
+const EPSILON = 1e-6;
+
+// A straight chain of `count` links of `length` from `root`, pointing along `angle`.
+function chain(root, count, length, angle = 0) {
+  const links = [];
+  let parent = root;
+  for (let i = 0; i < count; i++) {
+    const link = new Bone(parent.x + Math.cos(angle) * length, parent.y + Math.sin(angle) * length, parent, length, angle);
+    links.push(link);
+    parent = link;
+  }
+  return links;
+}
+
+// Fails unless every link is its own length from the one before it.
+function assertLengths(root, links, label) {
+  links.forEach((link, i) => {
+    const prev = i > 0 ? links[i - 1] : root;
+    const d = Math.hypot(link.x - prev.x, link.y - prev.y);
+    assert.ok(Math.abs(d - link.length) < EPSILON, `${label}: link ${i} is ${d} long, not ${link.length}`);
+  });
+}
+
+// Fails unless every joint angle, relative to the link before it, is within its limits.
+function assertLimits(links, baseAngle, limits, label) {
+  links.forEach((link, i) => {
+    const rel = wrapAngle(link.angle - (i > 0 ? links[i - 1].angle : baseAngle));
+    const [min, max] = limits[i];
+    assert.ok(rel >= min - EPSILON && rel <= max + EPSILON, `${label}: joint ${i} at ${rel} is outside [${min}, ${max}]`);
+  });
+}
+
+const checks = {
+  'Bone.update keeps a bone its length from its parent'() {
+    const parent = new Bone(10, 20);
+    const bone = new Bone(0, 0, parent, 30, 0.7);
+    bone.update();
+    assert.ok(Math.abs(Math.hypot(bone.x - parent.x, bone.y - parent.y) - 30) < EPSILON);
+  },
+
+  'solveIk reaches a target in range'() {
+    const root = { x: 0, y: 0 };
+    const links = chain(root, 3, 20);
+    for (const [tx, ty] of [[30, 25], [-10, 40], [5, -45], [50, 0]]) {
+      const miss = solveIk(root, 0, links, tx, ty, [], 50);
+      assert.ok(miss <= 0.5, `missed (${tx}, ${ty}) by ${miss}`);
+      const tip = links[links.length - 1];
+      assert.ok(Math.abs(Math.hypot(tip.x - tx, tip.y - ty) - miss) < EPSILON, 'returned miss is not the tip distance');
+      assertLengths(root, links, `target (${tx}, ${ty})`);
+    }
+  },
+
+  'solveIk stretches towards a target out of reach'() {
+    const root = { x: 100, y: 100 };
+    const links = chain(root, 3, 20, 1);
+    const miss = solveIk(root, 0, links, 100, 300, [], 50);
+    assert.ok(Math.abs(miss - (200 - 60)) < 0.5, `missed by ${miss}, not ${200 - 60}`);
+    assertLengths(root, links, 'out of reach');
+  },
+
+  'solveIk keeps joints within their limits'() {
+    const root = { x: 0, y: 0 };
+    const links = chain(root, 3, 20);
+    const limits = [[-0.5, 0.5], [0, 1], [0, 1]];
+    for (const [tx, ty] of [[0, -50], [-30, 10], [20, 40], [60, 0]]) {
+      solveIk(root, 0, links, tx, ty, limits);
+      assertLimits(links, 0, limits, `target (${tx}, ${ty})`);
+      assertLengths(root, links, `target (${tx}, ${ty})`);
+    }
+  },
+
+  'LimbSystem reaches within its reach and keeps to its joint range'() {
+    for (const side of [1, -1]) {
+      const hip = new Bone(200, 200, null, 20, 0.3);
+      const limb = new LimbSystem(hip, 3, 25, side);
+      assert.equal(limb.reach, 75);
+      const rest = limb.restTip();
+      assert.ok(limb.reachFor(rest.x, rest.y) <= 1, 'missed its own resting tip');
+      assertLengths(hip, limb.segments, `side ${side} at rest`);
+      for (let a = 0; a < Math.PI * 2; a += Math.PI / 8) {
+        const miss = limb.reachFor(hip.x + Math.cos(a) * 200, hip.y + Math.sin(a) * 200);
+        assert.ok(miss >= 200 - limb.reach - EPSILON, `side ${side}: tip ended ${miss} from a target 200 away`);
+        assertLengths(hip, limb.segments, `side ${side} reaching ${a.toFixed(2)}`);
+        const limits = limb.segments.map((seg, i) => {
+          const range = limb.jointRange[Math.min(i, limb.jointRange.length - 1)];
+          return [limb.restAngle(i) - range, limb.restAngle(i) + range];
+        });
+        assertLimits(limb.segments, hip.angle, limits, `side ${side} reaching ${a.toFixed(2)}`);
+      }
+    }
+  },
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`FAIL ${name}\n     ${error.message}`);
+  }
+}
+process.exitCode = failed ? 1 : 0;